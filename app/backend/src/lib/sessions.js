@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const prisma = new PrismaClient();
+
+// Access tokens are short-lived; the rotating refresh token lives in an
+// httpOnly cookie and only its hash is stored on the Session row
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE = 'biolink_refresh';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// The API is served from the frontend's origin (the /api proxy), so the
+// cookie never needs to travel cross-site
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: 'strict',
+  path: '/api/auth',
+  maxAge: REFRESH_TOKEN_TTL_MS,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashIp = (ip) => (ip ? hashToken(`${JWT_SECRET}:${ip}`) : null);
+
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]]
+    .find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = [['iOS', /iPhone|iPad|iPod/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]]
+    .find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const clientDetails = (req) => {
+  const userAgent = req.headers['user-agent'] || null;
+  return {
+    userAgent: userAgent ? userAgent.substring(0, 255) : null,
+    device: describeDevice(userAgent || ''),
+    ipHash: hashIp(req.ip),
+  };
+};
+
+const newRefreshToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const generateAccessToken = (session) => {
+  return jwt.sign({ id: session.userId, sid: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions);
+};
+
+const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions;
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+// Sign in on a new device: sets the refresh cookie, returns the access token
+const createSession = async (user, req, res) => {
+  const { token, tokenHash } = newRefreshToken();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: tokenHash,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...clientDetails(req),
+    },
+  });
+
+  setRefreshCookie(res, token);
+  return generateAccessToken(session);
+};
+
+// Swap the refresh cookie for a new one plus an access token (null if invalid)
+const rotateSession = async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE];
+  if (!refreshToken) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+  });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const { token, tokenHash } = newRefreshToken();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash },
+    data: {
+      refreshTokenHash: tokenHash,
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...clientDetails(req),
+    },
+  });
+  if (count !== 1) return null;
+
+  setRefreshCookie(res, token);
+  return generateAccessToken(session);
+};
+
+const revokeCurrentSession = async (req, res) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE];
+  if (refreshToken) {
+    await prisma.session.updateMany({
+      where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  }
+  clearRefreshCookie(res);
+};
+
+const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+  await prisma.session.updateMany({
+    where: { userId, revokedAt: null, ...(exceptSessionId && { id: { not: exceptSessionId } }) },
+    data: { revokedAt: new Date() },
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeCurrentSession,
+  revokeUserSessions,
+  clearRefreshCookie,
+};
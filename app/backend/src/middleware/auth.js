@@ -1,8 +1,13 @@
 const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'biolink-secret-key-change-in-production';
 
-const authenticateToken = (req, res, next) => {
+const prisma = new PrismaClient();
+
+// Access tokens are only honoured while their session is active,
+// so logging a device out takes effect immediately
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -10,22 +15,31 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    // 401 tells the client to refresh and retry
+    return res.status(err.name === 'TokenExpiredError' ? 401 : 403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    const session = payload.sid && await prisma.session.findUnique({
+      where: { id: payload.sid },
+      include: { user: { select: { id: true, email: true, handle: true } } },
+    });
+
+    if (!session || session.revokedAt || session.expiresAt < new Date() || session.userId !== payload.id) {
+      return res.status(401).json({ error: 'Session expired' });
     }
-    req.user = user;
-    next();
-  });
-};
 
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, email: user.email, handle: user.handle },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+    req.user = session.user;
+    req.sessionId = session.id;
+    next();
+  } catch (error) {
+    console.error('Auth error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
 };
 
-module.exports = { authenticateToken, generateToken, JWT_SECRET };
-
+module.exports = { authenticateToken, JWT_SECRET };
@@ -1,7 +1,14 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
-const { generateToken, authenticateToken } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeCurrentSession,
+  revokeUserSessions,
+  clearRefreshCookie,
+} = require('../lib/sessions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -100,7 +107,7 @@ router.post('/signup', async (req, res) => {
       },
     });
     
-    const token = generateToken(user);
+    const token = await createSession(user, req, res);
     
     res.status(201).json({
       token,
@@ -136,7 +143,7 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const token = generateToken(user);
+    const token = await createSession(user, req, res);
     
     res.json({
       token,
@@ -188,5 +195,78 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Exchange the refresh cookie for a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const token = await rotateSession(req, res);
+    if (!token) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    res.json({ token });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out this device
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeCurrentSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+    clearRefreshCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { userId: req.user.id, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastSeenAt: 'desc' },
+      select: { id: true, device: true, userAgent: true, lastSeenAt: true, createdAt: true },
+    });
+
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out a single device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
 
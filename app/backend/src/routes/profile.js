@@ -81,8 +81,8 @@ router.put('/', authenticateToken, async (req, res) => {
     if (backgroundColor !== undefined) updateData.backgroundColor = backgroundColor;
     if (buttonStyle !== undefined) updateData.buttonStyle = buttonStyle;
     if (fontFamily !== undefined) updateData.fontFamily = fontFamily;
-    if (metaTitle !== undefined) updateData.metaTitle = metaTitle;
-    if (metaDescription !== undefined) updateData.metaDescription = metaDescription;
+    if (metaTitle !== undefined) updateData.metaTitle = metaTitle?.substring(0, 60) || null;
+    if (metaDescription !== undefined) updateData.metaDescription = metaDescription?.substring(0, 160) || null;
     
     const user = await prisma.user.update({
       where: { id: req.user.id },
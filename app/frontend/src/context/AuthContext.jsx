@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react'
-import { api } from '../utils/api'
+import { api, setAccessToken, refreshAccessToken } from '../utils/api'
 
 const AuthContext = createContext(null)
 
@@ -7,13 +7,15 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
 
+  // Restore the session from the refresh cookie
   useEffect(() => {
-    const token = localStorage.getItem('biolink_token')
-    if (token) {
-      fetchUser()
-    } else {
-      setLoading(false)
-    }
+    refreshAccessToken().then((token) => {
+      if (token) {
+        fetchUser()
+      } else {
+        setLoading(false)
+      }
+    })
   }, [])
 
   const fetchUser = async () => {
@@ -21,7 +23,8 @@ export function AuthProvider({ children }) {
       const userData = await api.get('/auth/me')
       setUser(userData)
     } catch (error) {
-      localStorage.removeItem('biolink_token')
+      setAccessToken(null)
+      setUser(null)
     } finally {
       setLoading(false)
     }
@@ -29,20 +32,25 @@ export function AuthProvider({ children }) {
 
   const login = async (email, password) => {
     const response = await api.post('/auth/login', { email, password })
-    localStorage.setItem('biolink_token', response.token)
+    setAccessToken(response.token)
     setUser(response.user)
     return response
   }
 
   const signup = async (data) => {
     const response = await api.post('/auth/signup', data)
-    localStorage.setItem('biolink_token', response.token)
+    setAccessToken(response.token)
     setUser(response.user)
     return response
   }
 
-  const logout = () => {
-    localStorage.removeItem('biolink_token')
+  const logout = async ({ everywhere = false } = {}) => {
+    try {
+      await api.post(everywhere ? '/auth/logout-all' : '/auth/logout')
+    } catch (error) {
+      console.error('Logout error:', error)
+    }
+    setAccessToken(null)
     setUser(null)
   }
 
@@ -1,18 +1,50 @@
 const BASE_URL = import.meta.env.VITE_API_URL || '/api'
 
-async function request(endpoint, options = {}) {
-  const token = localStorage.getItem('biolink_token')
-  
-  const config = {
+// Short-lived access token kept in memory; the refresh token is an httpOnly cookie
+let accessToken = null
+let refreshPromise = null
+
+export const setAccessToken = (token) => {
+  accessToken = token
+}
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${BASE_URL}/auth/refresh`, { method: 'POST', credentials: 'include' })
+      .then(async (response) => {
+        accessToken = response.ok ? (await response.json()).token : null
+        return accessToken
+      })
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
+// Send a request, refreshing the access token once if it has expired
+async function send(endpoint, options, headers = {}) {
+  const attempt = () => fetch(`${BASE_URL}${endpoint}`, {
     ...options,
+    credentials: 'include',
     headers: {
-      'Content-Type': 'application/json',
-      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+      ...(accessToken && { Authorization: `Bearer ${accessToken}` }),
       ...options.headers,
     },
+  })
+
+  const hadToken = Boolean(accessToken)
+  const response = await attempt()
+  if (response.status === 401 && hadToken && await refreshAccessToken()) {
+    return attempt()
   }
+  return response
+}
 
-  const response = await fetch(`${BASE_URL}${endpoint}`, config)
+async function request(endpoint, options = {}) {
+  const response = await send(endpoint, options, { 'Content-Type': 'application/json' })
   
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Request failed' }))
@@ -28,14 +60,7 @@ export const api = {
   put: (endpoint, data) => request(endpoint, { method: 'PUT', body: JSON.stringify(data) }),
   delete: (endpoint) => request(endpoint, { method: 'DELETE' }),
   upload: async (endpoint, formData) => {
-    const token = localStorage.getItem('biolink_token')
-    const response = await fetch(`${BASE_URL}${endpoint}`, {
-      method: 'POST',
-      headers: {
-        ...(token && { Authorization: `Bearer ${token}` }),
-      },
-      body: formData,
-    })
+    const response = await send(endpoint, { method: 'POST', body: formData })
     if (!response.ok) {
       const error = await response.json().catch(() => ({ error: 'Upload failed' }))
       throw new Error(error.error || 'Upload failed')
@@ -0,0 +1,115 @@
+/**
+ * Seed Data
+ * Built-in theme presets. Safe to run repeatedly: presets are upserted by
+ * id, so edits here update existing rows and profiles using them.
+ *
+ * Usage: npm run db:seed
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Translucent buttons use #rrggbbaa so the background shows through
+const PRESET_THEMES = [
+  {
+    id: 'dark',
+    name: 'Dark',
+    backgroundColor: '#0a0a0a',
+    textColor: '#ffffff',
+    buttonColor: '#ffffff14',
+    buttonTextColor: '#ffffff',
+    buttonBorderColor: '#ffffff1a',
+    buttonShadowColor: '#00000033',
+    cornerRadius: 16,
+    fontFamily: 'Inter'
+  },
+  {
+    id: 'light',
+    name: 'Light',
+    backgroundColor: '#ffffff',
+    textColor: '#1a1a1a',
+    buttonColor: '#0000000d',
+    buttonTextColor: '#1a1a1a',
+    buttonBorderColor: '#0000001a',
+    buttonShadowColor: '#0000001a',
+    cornerRadius: 16,
+    fontFamily: 'Inter'
+  },
+  {
+    id: 'sunset',
+    name: 'Sunset',
+    backgroundColor: 'linear-gradient(135deg, #764ba2, #f093fb)',
+    textColor: '#ffffff',
+    buttonColor: '#ffffff26',
+    buttonTextColor: '#ffffff',
+    buttonBorderColor: '#ffffff33',
+    buttonShadowColor: '#00000033',
+    cornerRadius: 16,
+    fontFamily: 'Poppins'
+  },
+  {
+    id: 'ocean',
+    name: 'Ocean',
+    backgroundColor: 'linear-gradient(135deg, #1a2a6c, #2980b9, #21d4fd)',
+    textColor: '#ffffff',
+    buttonColor: '#ffffff1f',
+    buttonTextColor: '#ffffff',
+    buttonBorderColor: '#ffffff26',
+    buttonShadowColor: '#00000033',
+    cornerRadius: 16,
+    fontFamily: 'Inter'
+  },
+  {
+    id: 'forest',
+    name: 'Forest',
+    backgroundColor: 'linear-gradient(135deg, #134e5e, #71b280)',
+    textColor: '#ffffff',
+    buttonColor: '#ffffff1f',
+    buttonTextColor: '#ffffff',
+    buttonBorderColor: '#ffffff26',
+    buttonShadowColor: '#00000033',
+    cornerRadius: 16,
+    fontFamily: 'Lato'
+  },
+  {
+    id: 'neon',
+    name: 'Neon',
+    backgroundColor: '#0a0014',
+    textColor: '#ffffff',
+    buttonColor: '#ff00ff1a',
+    buttonTextColor: '#ffffff',
+    buttonBorderColor: '#ff00ff4d',
+    buttonShadowColor: '#ff00ff33',
+    cornerRadius: 16,
+    fontFamily: 'Space Grotesk'
+  },
+  {
+    id: 'minimal',
+    name: 'Minimal',
+    backgroundColor: '#f5f5f5',
+    textColor: '#333333',
+    buttonColor: '#ffffff',
+    buttonTextColor: '#333333',
+    buttonBorderColor: '#0000001a',
+    buttonShadowColor: '#0000000d',
+    cornerRadius: 8,
+    fontFamily: 'Inter'
+  }
+];
+
+try {
+  for (const [position, { id, ...theme }] of PRESET_THEMES.entries()) {
+    await prisma.theme.upsert({
+      where: { id },
+      create: { id, ...theme, position },
+      update: { ...theme, position }
+    });
+  }
+  console.log(`Seeded ${PRESET_THEMES.length} theme presets`);
+} catch (error) {
+  console.error('Seed failed:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
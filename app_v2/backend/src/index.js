@@ -5,16 +5,28 @@
 
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import dotenv from 'dotenv';
 import { PrismaClient } from '@prisma/client';
 
 // Routes
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import linksRoutes from './routes/links.js';
 import profileRoutes from './routes/profile.js';
 import analyticsRoutes from './routes/analytics.js';
 import publicRoutes from './routes/public.js';
 import socialRoutes from './routes/social.js';
+import paymentsRoutes from './routes/payments.js';
+import billingRoutes from './routes/billing.js';
+import exportRoutes from './routes/export.js';
+import adminRoutes from './routes/admin.js';
+import { schedulePurgeJob } from './lib/accountDeletion.js';
+import { scheduleUnfurlWorker } from './lib/linkThumbnails.js';
+import { scheduleExportWorker } from './lib/dataExport.js';
+import { getStorage } from './lib/storage/index.js';
+import { userRateLimit, publicRateLimit } from './middleware/rateLimit.js';
+import { frontendOrigin } from './lib/config.js';
 
 dotenv.config();
 
@@ -22,13 +34,22 @@ const app = express();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3001;
 
+// Only trust X-Forwarded-For when told how many proxies sit in front of
+// us; otherwise any client could pick its own IP for rate limits
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS ? Number(process.env.TRUST_PROXY_HOPS) : false);
+
 // Middleware
 app.use(cors({
-  origin: true, // Allow all origins for now
-  credentials: true
+  // Only the frontend may make credentialed requests (the refresh cookie)
+  origin: frontendOrigin(),
+  credentials: true,
+  exposedHeaders: ['Content-Disposition', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
+// Payment webhooks need the raw body for signature verification
+app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Request logging
 app.use((req, res, next) => {
@@ -45,13 +66,25 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Uploaded media, when kept on local disk (STORAGE_DRIVER=local)
+const mediaHandler = getStorage().handler?.();
+if (mediaHandler) {
+  app.use('/media', mediaHandler);
+}
+
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/links', linksRoutes);
-app.use('/api/profile', profileRoutes);
-app.use('/api/analytics', analyticsRoutes);
-app.use('/api/public', publicRoutes);
-app.use('/api/social', socialRoutes);
+// Mixed public/authenticated routers (payments) apply limits per route
+app.use('/api/auth/2fa', userRateLimit, twoFactorRoutes);
+app.use('/api/auth', userRateLimit, authRoutes);
+app.use('/api/links', userRateLimit, linksRoutes);
+app.use('/api/profile', userRateLimit, profileRoutes);
+app.use('/api/analytics', analyticsRoutes); // Limited per route: tracking is public
+app.use('/api/public', publicRateLimit, publicRoutes);
+app.use('/api/social', userRateLimit, socialRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/billing', userRateLimit, billingRoutes);
+app.use('/api/export', userRateLimit, exportRoutes);
+app.use('/api/admin', userRateLimit, adminRoutes);
 
 // 404 handler
 app.use('/api/*', (req, res) => {
@@ -83,6 +116,9 @@ app.listen(PORT, () => {
 ║  Environment: ${process.env.NODE_ENV || 'development'}                    ║
 ╚══════════════════════════════════════════════════╝
   `);
+  schedulePurgeJob();
+  scheduleUnfurlWorker();
+  scheduleExportWorker();
 });
 
 export { prisma };
@@ -0,0 +1,23 @@
+/**
+ * Purge Deleted Accounts
+ * One-off run of the account purge for cron/serverless schedulers:
+ *   npm run jobs:purge-accounts
+ */
+
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { purgeDeletedAccounts } from '../lib/accountDeletion.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+try {
+  const purged = await purgeDeletedAccounts();
+  console.log(`Purged ${purged} deleted account(s)`);
+} catch (error) {
+  console.error('Account purge failed:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
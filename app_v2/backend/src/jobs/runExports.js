@@ -0,0 +1,26 @@
+/**
+ * Run Exports
+ * One-off run of the data export worker (pending exports, then expired
+ * archives) for cron/serverless schedulers:
+ *   npm run jobs:run-exports
+ */
+
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { processPendingExports, removeExpiredExports } from '../lib/dataExport.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+try {
+  const processed = await processPendingExports();
+  console.log(`Built ${processed} data export(s)`);
+  const expired = await removeExpiredExports();
+  console.log(`Removed ${expired} expired data export(s)`);
+} catch (error) {
+  console.error('Data export failed:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,23 @@
+/**
+ * Unfurl Links
+ * One-off run of the link thumbnail worker for cron/serverless schedulers:
+ *   npm run jobs:unfurl-links
+ */
+
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import { processPendingUnfurls } from '../lib/linkThumbnails.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+try {
+  const processed = await processPendingUnfurls();
+  console.log(`Unfurled ${processed} link(s)`);
+} catch (error) {
+  console.error('Link unfurl failed:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,134 @@
+/**
+ * Account Deletion
+ * From knowledge base: accounts are hard-deleted after a 14-day grace
+ * period, analytics are anonymized but retained (GDPR). Logging back in
+ * during the grace period cancels the deletion.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { getPaymentProvider } from './payments/index.js';
+import { handleSubscriptionEvent } from './billing.js';
+import { revokeUserSessions } from './sessions.js';
+import { removeOldExports } from './dataExport.js';
+import { invalidateUserProfile } from './profileCache/index.js';
+import { removeOgImages } from './ogImage.js';
+import { removeUserMedia } from './media.js';
+
+const prisma = new PrismaClient();
+
+export const DELETION_GRACE_DAYS = 14;
+
+const GRACE_PERIOD_MS = DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+export const purgeDateFor = (deletedAt) => new Date(new Date(deletedAt).getTime() + GRACE_PERIOD_MS);
+
+// Deleted accounts can be restored until the purge date
+export const canRestoreAccount = (user, now = new Date()) =>
+  Boolean(user.deletedAt) && !user.isActive && purgeDateFor(user.deletedAt) > now;
+
+// Hide the account right away and log it out everywhere.
+// A paid subscription stops renewing so the user isn't billed again.
+export const requestAccountDeletion = async (userId) => {
+  const deletedAt = new Date();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { isActive: false, deletedAt }
+  });
+  await revokeUserSessions(userId);
+  await invalidateUserProfile(userId);
+
+  const subscription = await prisma.subscription.findUnique({ where: { userId } });
+  if (subscription?.providerSubscriptionId && subscription.status !== 'CANCELED' && !subscription.cancelAtPeriodEnd) {
+    const event = await getPaymentProvider().updateSubscription(subscription.providerSubscriptionId, {
+      cancelAtPeriodEnd: true
+    });
+    await handleSubscriptionEvent(event);
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { canceledByDeletion: true }
+    });
+  }
+
+  return { deletedAt, purgeAt: purgeDateFor(deletedAt) };
+};
+
+// Undo a deletion, including the renewal it switched off
+export const restoreAccount = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { isActive: true, deletedAt: null }
+  });
+  await invalidateUserProfile(userId);
+
+  const subscription = await prisma.subscription.findUnique({ where: { userId } });
+  if (subscription?.canceledByDeletion) {
+    if (subscription.status !== 'CANCELED' && subscription.cancelAtPeriodEnd) {
+      const event = await getPaymentProvider().updateSubscription(subscription.providerSubscriptionId, {
+        cancelAtPeriodEnd: false
+      });
+      await handleSubscriptionEvent(event);
+    }
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { canceledByDeletion: false }
+    });
+  }
+};
+
+// Hard-delete one account. Analytics events outlive it without anything
+// that could identify the owner or their visitors.
+const purgeAccount = async (user) => {
+  const subscription = await prisma.subscription.findUnique({ where: { userId: user.id } });
+  if (subscription?.providerSubscriptionId && subscription.status !== 'CANCELED') {
+    await getPaymentProvider().cancelSubscription(subscription.providerSubscriptionId);
+  }
+  await removeOldExports(user.id);
+  await removeOgImages(user.id);
+  await removeUserMedia(user.id);
+
+  await prisma.$transaction([
+    prisma.loginAttempt.deleteMany({
+      where: { OR: [{ userId: user.id }, { email: user.email }] }
+    }),
+    prisma.analyticsEvent.updateMany({
+      where: { userId: user.id },
+      data: { userId: null, ipHash: null, userAgent: null, city: null }
+    }),
+    prisma.user.delete({ where: { id: user.id } })
+  ]);
+};
+
+// Purge every account whose grace period is over. Returns how many were purged.
+export const purgeDeletedAccounts = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: {
+      isActive: false,
+      deletedAt: { lte: new Date(now.getTime() - GRACE_PERIOD_MS) }
+    },
+    select: { id: true, email: true }
+  });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      // Leave it for the next run rather than failing the whole batch
+      console.error(`Account purge failed for ${user.id}:`, error);
+    }
+  }
+  return purged;
+};
+
+// Run the purge once a day inside a long-running server
+export const schedulePurgeJob = () => {
+  const run = () => purgeDeletedAccounts()
+    .then(count => count && console.log(`Purged ${count} deleted account(s)`))
+    .catch(error => console.error('Account purge job error:', error));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
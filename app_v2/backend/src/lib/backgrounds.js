@@ -0,0 +1,53 @@
+/**
+ * Profile Backgrounds
+ * A profile's background is the theme's unless the creator picks a solid
+ * color or gradient (backgroundColor) or uploads an image or a short
+ * looping video. From PRD: image/video backgrounds are a paid feature.
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const MB = 1024 * 1024;
+
+export const BACKGROUND_TYPES = ['solid', 'gradient', 'image', 'video'];
+export const MEDIA_BACKGROUND_TYPES = ['image', 'video'];
+
+export const BACKGROUND_IMAGE_MAX_BYTES = 5 * MB;
+export const BACKGROUND_VIDEO_MAX_BYTES = 15 * MB;
+export const BACKGROUND_VIDEO_MAX_SECONDS = 15;
+
+// Upper bounds for the overlay settings (blur in px, dim in percent)
+export const MAX_BACKGROUND_BLUR = 20;
+export const MAX_BACKGROUND_DIM = 80;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const GRADIENT = /^linear-gradient\((\d{1,3})deg(, #[0-9a-f]{6}){2,3}\)$/i;
+
+// "#rrggbb" or "linear-gradient(<angle>deg, #rrggbb, #rrggbb)" (up to
+// three stops) - the format the color pickers write, so nothing else
+// ends up in a style
+export const isValidBackgroundColor = (value) => {
+  if (typeof value !== 'string') return false;
+  if (HEX_COLOR.test(value)) return true;
+
+  const gradient = value.match(GRADIENT);
+  return Boolean(gradient) && Number(gradient[1]) <= 360;
+};
+
+// Whole number between 0 and max; anything unparseable is 0
+export const clampBackgroundSetting = (value, max) => {
+  return Math.min(max, Math.max(0, Math.round(Number(value)) || 0));
+};
+
+// Background type a stored asset can be shown as
+export const backgroundMediaType = (asset) => (asset.format === 'mp4' ? 'video' : 'image');
+
+// The user's uploaded background, if any (uploading replaces the previous one)
+export const findBackgroundMedia = (userId) => {
+  return prisma.mediaAsset.findFirst({
+    where: { userId, kind: 'background' },
+    orderBy: { createdAt: 'desc' }
+  });
+};
@@ -0,0 +1,106 @@
+/**
+ * Billing
+ * Applies subscription state from the payment provider to users.
+ * Webhooks are the source of truth; routes reuse the same handlers
+ * with the provider's synchronous responses.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { getPlan } from './plans.js';
+import { MEDIA_BACKGROUND_TYPES } from './backgrounds.js';
+import { invalidateUserProfile } from './profileCache/index.js';
+
+const prisma = new PrismaClient();
+
+// Move a user to a plan. Downgrades hide links beyond the plan limit
+// (they are never deleted) and upgrades bring them back.
+export const applyPlanChange = async (userId, planTier) => {
+  const plan = getPlan(planTier);
+
+  if (planTier === 'premium') {
+    await prisma.$transaction([
+      prisma.user.update({ where: { id: userId }, data: { planTier } }),
+      prisma.link.updateMany({
+        where: { userId, hiddenByPlan: true },
+        data: { isActive: true, hiddenByPlan: false }
+      })
+    ]);
+    await invalidateUserProfile(userId);
+    return;
+  }
+
+  const activeLinks = await prisma.link.findMany({
+    where: { userId, isActive: true, isDeleted: false, type: { not: 'HEADER' } },
+    orderBy: { position: 'asc' },
+    select: { id: true }
+  });
+  const excessIds = activeLinks.slice(plan.maxActiveLinks).map(l => l.id);
+
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { backgroundType: true } });
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        planTier,
+        // Premium-only appearance falls back to the default
+        ...(MEDIA_BACKGROUND_TYPES.includes(user?.backgroundType) && { backgroundType: 'gradient' })
+      }
+    }),
+    prisma.link.updateMany({
+      where: { id: { in: excessIds } },
+      data: { isActive: false, hiddenByPlan: true }
+    })
+  ]);
+  await invalidateUserProfile(userId);
+};
+
+// Apply a normalized subscription.* event (idempotent)
+export const handleSubscriptionEvent = async (event) => {
+  if (event.type === 'subscription.activated') {
+    const subscription = await prisma.subscription.findFirst({
+      where: event.sessionId
+        ? { providerSessionId: event.sessionId }
+        : { userId: event.metadata?.userId }
+    });
+    if (!subscription) return;
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: 'ACTIVE',
+        providerSubscriptionId: event.subscriptionId,
+        providerCustomerId: event.customerId,
+        currentPeriodEnd: event.currentPeriodEnd ? new Date(event.currentPeriodEnd) : null,
+        cancelAtPeriodEnd: false
+      }
+    });
+    await applyPlanChange(subscription.userId, subscription.plan);
+    return;
+  }
+
+  if (event.type !== 'subscription.updated' && event.type !== 'subscription.canceled') return;
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { providerSubscriptionId: event.subscriptionId }
+  });
+  if (!subscription) return;
+
+  const status = event.type === 'subscription.canceled' ? 'CANCELED' : event.status.toUpperCase();
+
+  await prisma.subscription.update({
+    where: { id: subscription.id },
+    data: {
+      status,
+      cancelAtPeriodEnd: Boolean(event.cancelAtPeriodEnd),
+      ...(event.currentPeriodEnd && { currentPeriodEnd: new Date(event.currentPeriodEnd) })
+    }
+  });
+
+  // Past-due accounts keep premium while the provider retries payment
+  if (status === 'CANCELED') {
+    await applyPlanChange(subscription.userId, 'free');
+  } else if (status === 'ACTIVE' || status === 'PAST_DUE') {
+    await applyPlanChange(subscription.userId, subscription.plan);
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Config
+ * Environment settings shared by several modules. Read on each call, as
+ * index.js loads .env only after the modules it imports have run.
+ */
+
+// The frontend's base URL, optionally with a path appended
+export const frontendUrl = (path = '') => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+export const frontendOrigin = () => new URL(frontendUrl()).origin;
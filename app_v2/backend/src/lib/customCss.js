@@ -0,0 +1,190 @@
+/**
+ * Custom CSS
+ * Premium profiles can add their own CSS to the public page. It's parsed
+ * with postcss and rejected with line-numbered errors if it could load
+ * anything from another host or run script (@import, external url(),
+ * expression() and friends). Accepted CSS is scoped under the profile
+ * container so it can't restyle anything else on the page.
+ */
+
+import postcss from 'postcss';
+import valueParser from 'postcss-value-parser';
+import { getStorage } from './storage/index.js';
+
+export const MAX_CUSTOM_CSS_LENGTH = 10000;
+
+// The public page's root element (PublicProfile.jsx)
+const SCOPE = '.public-profile';
+
+const ALLOWED_AT_RULES = ['media', 'supports', 'keyframes', '-webkit-keyframes'];
+
+// Old IE/Firefox ways of running script from CSS
+const BLOCKED_PROPERTIES = ['behavior', '-moz-binding'];
+const BLOCKED_VALUES = /expression\s*\(|javascript:|vbscript:/i;
+
+const DATA_IMAGE = /^data:image\/(png|jpeg|gif|webp);/i;
+
+// Undo CSS escapes (\75 rl, \(...) so checks see what the browser sees
+const unescapeCss = (value) => value.replace(/\\(?:([0-9a-f]{1,6})\s?|(.))/gis, (match, hex, char) => {
+  if (char !== undefined) return char;
+  const code = parseInt(hex, 16);
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+});
+
+// Relative paths, small inline images and our own uploaded media
+const isAllowedUrl = (url) => {
+  if (DATA_IMAGE.test(url)) return true;
+
+  // Browsers drop tabs and newlines from URLs and read "\" as "/"
+  const normalized = url.replace(/[\t\n\r]/g, '').replace(/\\/g, '/');
+  if (/^\/(?!\/)/.test(normalized) || /^[\w.-]+(\/[\w.-]*)*$/.test(normalized)) return true;
+
+  return normalized.startsWith(getStorage().url(''));
+};
+
+// Functions that load what they're given, vendor-prefixed or not
+const URL_FUNCTIONS = /^(-[a-z]+-)?(url|src|image-set|image|cross-fade)$/i;
+
+// Every resource a value refers to: the argument of url(), plus every
+// string inside the functions that also take one as a URL, at any depth
+// (image-set(url(a.png) 1x, "b.png" 2x))
+const referencedUrls = (value) => {
+  const urls = [];
+  valueParser(value).walk(node => {
+    if (node.type !== 'function' || !URL_FUNCTIONS.test(node.value)) return;
+    const isUrl = /url$/i.test(node.value);
+    for (const arg of node.nodes) {
+      if (arg.type === 'string' || (isUrl && arg.type === 'word')) {
+        urls.push(arg.value.trim());
+      }
+    }
+  });
+  return urls;
+};
+
+// The combinator after a selector's first compound selector, skipping
+// over strings, [attr] and :pseudo(...) arguments
+const firstCombinator = (selector) => {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '\\') {
+      i++;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (depth === 0 && /[\s>+~]/.test(char)) {
+      const next = selector.slice(i).trim()[0];
+      return /[>+~]/.test(next) ? next : ' ';
+    }
+  }
+  return null;
+};
+
+// Null when the selector would reach outside the profile: siblings of the
+// container (".public-profile ~ *", ":root + div") aren't part of it
+const scopeSelector = (selector) => {
+  const trimmed = selector.trim();
+  let scoped = `${SCOPE} ${trimmed}`;
+
+  // Page-level selectors stand for the profile itself
+  const page = trimmed.match(/^(:root|html|body)(\s+body)?(?=$|[\s>+~.#:[])/i);
+  if (trimmed === SCOPE || trimmed.startsWith(`${SCOPE} `) || trimmed.startsWith(`${SCOPE}.`)) {
+    scoped = trimmed;
+  } else if (page) {
+    scoped = `${SCOPE}${trimmed.slice(page[0].length)}`;
+  }
+
+  return ['+', '~'].includes(firstCombinator(scoped)) ? null : scoped;
+};
+
+const insideKeyframes = (node) => {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'atrule' && parent.name.toLowerCase().endsWith('keyframes')) return true;
+  }
+  return false;
+};
+
+/**
+ * Check and scope a profile's CSS.
+ * Returns { css } ready to inject (empty string for no CSS) or
+ * { errors: [{ line, column, message }] }.
+ */
+export const sanitizeCustomCss = (source) => {
+  if (!source || !source.trim()) {
+    return { css: '' };
+  }
+
+  if (source.length > MAX_CUSTOM_CSS_LENGTH) {
+    return { errors: [{ line: 1, column: 1, message: `Custom CSS can be at most ${MAX_CUSTOM_CSS_LENGTH} characters` }] };
+  }
+
+  let root;
+  try {
+    root = postcss.parse(source);
+  } catch (error) {
+    if (error.name === 'CssSyntaxError') {
+      return { errors: [{ line: error.line, column: error.column, message: error.reason }] };
+    }
+    throw error;
+  }
+
+  const errors = [];
+  const report = (node, message) => {
+    errors.push({ line: node.source.start.line, column: node.source.start.column, message });
+  };
+
+  root.walkComments(comment => comment.remove());
+
+  root.walkAtRules(rule => {
+    const name = rule.name.toLowerCase();
+    if (!ALLOWED_AT_RULES.includes(name)) {
+      report(rule, name === 'import' ? '@import is not allowed' : `@${rule.name} is not allowed`);
+    }
+  });
+
+  root.walkDecls(decl => {
+    // Write out the value as checked, without comments kept from the source
+    delete decl.raws.value;
+    const property = unescapeCss(decl.prop).toLowerCase();
+    // Comments dropped too, so "u/**/rl(" is checked like url(
+    const value = unescapeCss(decl.value).replace(/\/\*[\s\S]*?\*\//g, '');
+
+    if (BLOCKED_PROPERTIES.includes(property)) {
+      report(decl, `"${decl.prop}" is not allowed`);
+    } else if (BLOCKED_VALUES.test(value)) {
+      report(decl, 'expression() and script URLs are not allowed');
+    } else {
+      const external = referencedUrls(value).find(url => !isAllowedUrl(url));
+      if (external !== undefined) {
+        report(decl, `url() can only point to images uploaded to BioLink (found "${external}")`);
+      }
+    }
+  });
+
+  root.walkRules(rule => {
+    if (insideKeyframes(rule)) return;
+
+    const selectors = rule.selectors.map(scopeSelector);
+    const outside = rule.selectors.find((selector, i) => !selectors[i]);
+    if (outside !== undefined) {
+      report(rule, `Selectors can only style the profile, not what's next to it (found "${outside.trim()}")`);
+    } else {
+      rule.selectors = selectors;
+    }
+  });
+
+  if (errors.length) {
+    return { errors };
+  }
+
+  // "<" can only appear inside strings here; escape it so the CSS can't
+  // close the <style> element it's rendered into
+  return { css: root.toString().replace(/</g, '\\3c ') };
+};
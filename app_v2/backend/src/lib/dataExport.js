@@ -0,0 +1,273 @@
+/**
+ * Personal Data Export
+ * From knowledge base: users can export their profile, links and analytics
+ * at any time (GDPR). Builds a zip with one JSON document holding
+ * everything plus a CSV file per entity. Analytics are streamed into the
+ * archive a page at a time, so only the compressed zip is held in memory.
+ * Archives are kept in media storage under an unguessable key, downloaded
+ * through the API and removed once they expire.
+ */
+
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import archiver from 'archiver';
+import { PrismaClient } from '@prisma/client';
+import { ownerGateView } from './linkGating.js';
+import { getStorage } from './storage/index.js';
+
+const prisma = new PrismaClient();
+
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EVENT_BATCH_SIZE = 5000;
+const WORKER_INTERVAL_MS = 60 * 1000;
+const WORKER_BATCH_SIZE = 5;
+
+// PROCESSING jobs older than this were interrupted (server restarted,
+// serverless function frozen) and are picked up again
+export const STALE_JOB_MS = 60 * 60 * 1000;
+
+// Everything on User except credentials and 2FA secrets
+const userSelect = {
+  id: true,
+  email: true,
+  handle: true,
+  displayName: true,
+  bioTitle: true,
+  bioDescription: true,
+  avatarUrl: true,
+  category: true,
+  metaTitle: true,
+  metaDescription: true,
+  theme: true,
+  buttonStyle: true,
+  fontFamily: true,
+  headingFont: true,
+  backgroundColor: true,
+  backgroundType: true,
+  backgroundUrl: true,
+  backgroundBlur: true,
+  backgroundDim: true,
+  hideBadge: true,
+  customCss: true,
+  planTier: true,
+  emailVerified: true,
+  totpEnabled: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const LINK_COLUMNS = [
+  'id', 'title', 'url', 'type', 'position', 'isActive', 'isDeleted', 'deletedAt',
+  'scheduledStart', 'scheduledEnd', 'clickCount', 'thumbnailUrl', 'settings', 'createdAt', 'updatedAt'
+];
+const SOCIAL_ICON_COLUMNS = ['id', 'platform', 'url', 'position', 'createdAt', 'updatedAt'];
+const THEME_COLUMNS = [
+  'id', 'name', 'backgroundColor', 'textColor', 'buttonColor', 'buttonTextColor', 'buttonBorderColor',
+  'buttonShadowColor', 'cornerRadius', 'fontFamily', 'createdAt', 'updatedAt'
+];
+const EVENT_COLUMNS = [
+  'id', 'eventType', 'linkId', 'referrer', 'referrerCategory', 'countryCode', 'city', 'device', 'userAgent', 'createdAt'
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Stop spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (row, columns) => `${columns.map(column => csvValue(row[column])).join(',')}\r\n`;
+
+export const toCsv = (rows, columns) =>
+  `${columns.join(',')}\r\n${rows.map(row => csvLine(row, columns)).join('')}`;
+
+// Analytics in pages of EVENT_BATCH_SIZE, oldest first, using a cursor
+// so each page is a cheap index lookup
+async function* analyticsEventPages(userId) {
+  let cursor;
+
+  for (;;) {
+    const batch = await prisma.analyticsEvent.findMany({
+      where: { userId },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: EVENT_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      select: Object.fromEntries(EVENT_COLUMNS.map(column => [column, true]))
+    });
+    if (batch.length) yield batch;
+    if (batch.length < EVENT_BATCH_SIZE) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+// biolink-export.json: the rest of the data as usual, with the events
+// written into its analyticsEvents array page by page
+async function* exportJson(data, userId) {
+  const document = JSON.stringify({ exportedAt: new Date().toISOString(), ...data, analyticsEvents: [] }, null, 2);
+  const eventsAt = document.lastIndexOf('[]') + 1;
+  yield document.slice(0, eventsAt);
+
+  let separator = '\n';
+  for await (const batch of analyticsEventPages(userId)) {
+    yield `${separator}${batch.map(event => `    ${JSON.stringify(event)}`).join(',\n')}`;
+    separator = ',\n';
+  }
+  yield `\n  ${document.slice(eventsAt)}`;
+}
+
+async function* eventsCsv(userId) {
+  yield `${EVENT_COLUMNS.join(',')}\r\n`;
+  for await (const batch of analyticsEventPages(userId)) {
+    yield batch.map(event => csvLine(event, EVENT_COLUMNS)).join('');
+  }
+}
+
+// Everything but the analytics events
+export const collectUserData = async (userId) => {
+  const [user, links, socialIcons, themes] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: userSelect }),
+    prisma.link.findMany({ where: { userId }, orderBy: { position: 'asc' } }),
+    prisma.socialIcon.findMany({ where: { userId }, orderBy: { position: 'asc' } }),
+    prisma.theme.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } })
+  ]);
+
+  return {
+    user,
+    links: links.map(({ userId: owner, ...link }) => ({
+      ...link,
+      settings: ownerGateView(link.settings ? JSON.parse(link.settings) : {})
+    })),
+    socialIcons: socialIcons.map(({ userId: owner, ...icon }) => icon),
+    themes: themes.map(({ userId: owner, position, ...theme }) => theme)
+  };
+};
+
+// The zip archive as a Buffer
+const buildArchive = (userId, data) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const stream = (generator) => Readable.from(generator).on('error', reject);
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  archive.append(stream(exportJson(data, userId)), { name: 'biolink-export.json' });
+  archive.append(toCsv([data.user], Object.keys(userSelect)), { name: 'profile.csv' });
+  archive.append(toCsv(data.links, LINK_COLUMNS), { name: 'links.csv' });
+  archive.append(toCsv(data.socialIcons, SOCIAL_ICON_COLUMNS), { name: 'social_icons.csv' });
+  archive.append(toCsv(data.themes, THEME_COLUMNS), { name: 'themes.csv' });
+  archive.append(stream(eventsCsv(userId)), { name: 'analytics_events.csv' });
+
+  archive.finalize();
+});
+
+// Stored archive bytes for a READY export, or null if it's gone
+export const readExportArchive = (job) => getStorage().get(job.fileName);
+
+const removeArchives = async (jobs) => {
+  const keys = jobs.map(job => job.fileName).filter(Boolean);
+  if (keys.length) await getStorage().remove(keys);
+};
+
+// Build the archive for a DataExport row and record the outcome. Safe to
+// call concurrently: only one caller claims the job.
+export const runExport = async (exportId) => {
+  const { count } = await prisma.dataExport.updateMany({
+    where: {
+      id: exportId,
+      OR: [
+        { status: 'PENDING' },
+        { status: 'PROCESSING', startedAt: { lt: new Date(Date.now() - STALE_JOB_MS) } }
+      ]
+    },
+    data: { status: 'PROCESSING', startedAt: new Date() }
+  });
+  if (!count) return;
+
+  const job = await prisma.dataExport.findUnique({ where: { id: exportId } });
+
+  try {
+    const data = await collectUserData(job.userId);
+    const archive = await buildArchive(job.userId, data);
+
+    // Storage may serve its files publicly, so the key is the secret
+    const fileName = `exports/${job.userId}/${crypto.randomBytes(24).toString('hex')}.zip`;
+    await getStorage().put(fileName, archive, { contentType: 'application/zip' });
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: {
+        status: 'READY',
+        fileName,
+        size: archive.length,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+      }
+    });
+  } catch (error) {
+    console.error(`Data export ${exportId} failed:`, error);
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { status: 'FAILED', error: 'Export failed. Please try again.' }
+    });
+  }
+};
+
+// Remove a user's previous archives before starting a new one
+export const removeOldExports = async (userId) => {
+  const old = await prisma.dataExport.findMany({
+    where: { userId, fileName: { not: null } },
+    select: { id: true, fileName: true }
+  });
+
+  await removeArchives(old);
+  await prisma.dataExport.deleteMany({ where: { userId, status: { in: ['READY', 'FAILED'] } } });
+};
+
+// Delete archives past their expiry. The rows stay, so the owner still
+// sees that the export expired. Returns how many were removed.
+export const removeExpiredExports = async (now = new Date()) => {
+  const expired = await prisma.dataExport.findMany({
+    where: { status: 'READY', fileName: { not: null }, expiresAt: { lt: now } },
+    select: { id: true, fileName: true }
+  });
+
+  await removeArchives(expired);
+  await prisma.dataExport.updateMany({
+    where: { id: { in: expired.map(job => job.id) } },
+    data: { fileName: null }
+  });
+  return expired.length;
+};
+
+// Work through queued and interrupted exports. Returns how many were processed.
+export const processPendingExports = async () => {
+  const jobs = await prisma.dataExport.findMany({
+    where: {
+      OR: [
+        { status: 'PENDING' },
+        { status: 'PROCESSING', startedAt: { lt: new Date(Date.now() - STALE_JOB_MS) } }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: WORKER_BATCH_SIZE,
+    select: { id: true }
+  });
+
+  for (const job of jobs) {
+    await runExport(job.id);
+  }
+  return jobs.length;
+};
+
+// Sweep the queue and expired archives every minute inside a long-running server
+export const scheduleExportWorker = () => {
+  const run = () => processPendingExports()
+    .then(() => removeExpiredExports())
+    .catch(error => console.error('Export worker error:', error));
+
+  run();
+  setInterval(run, WORKER_INTERVAL_MS).unref();
+};
@@ -0,0 +1,91 @@
+/**
+ * Transactional Emails
+ * Builds and sends the emails BioLink sends to account owners.
+ */
+
+import { sendMail } from './mailer/index.js';
+import { frontendUrl } from './config.js';
+
+export const sendPasswordResetEmail = async (user, token) => {
+  const url = frontendUrl(`/reset-password?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your BioLink password',
+    text: `Hi @${user.handle},
+
+Someone asked to reset the password for your BioLink account.
+Use the link below within the next hour to choose a new password:
+
+${url}
+
+If you didn't request this, you can ignore this email.`,
+    html: `<p>Hi @${user.handle},</p>
+<p>Someone asked to reset the password for your BioLink account. Use the link below within the next hour to choose a new password:</p>
+<p><a href="${url}">Reset my password</a></p>
+<p>If you didn't request this, you can ignore this email.</p>`
+  });
+};
+
+export const sendVerificationEmail = async (user, token) => {
+  const url = frontendUrl(`/verify-email?token=${token}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your BioLink email',
+    text: `Hi @${user.handle},
+
+Welcome to BioLink! Confirm this is your email address so you can publish all of your links:
+
+${url}
+
+The link is valid for 24 hours. If you didn't create a BioLink account, you can ignore this email.`,
+    html: `<p>Hi @${user.handle},</p>
+<p>Welcome to BioLink! Confirm this is your email address so you can publish all of your links:</p>
+<p><a href="${url}">Verify my email</a></p>
+<p>The link is valid for 24 hours. If you didn't create a BioLink account, you can ignore this email.</p>`
+  });
+};
+
+export const sendAccountDeletionEmail = async (user, purgeAt) => {
+  const url = frontendUrl('/login');
+  const date = purgeAt.toDateString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your BioLink account is scheduled for deletion',
+    text: `Hi @${user.handle},
+
+Your BioLink account and profile are now hidden and will be permanently deleted on ${date}.
+
+Changed your mind? Log in before then to keep your account:
+
+${url}`,
+    html: `<p>Hi @${user.handle},</p>
+<p>Your BioLink account and profile are now hidden and will be permanently deleted on ${date}.</p>
+<p>Changed your mind? <a href="${url}">Log in</a> before then to keep your account.</p>`
+  });
+};
+
+export const sendAccountLockedEmail = async (user, token, lockedUntil) => {
+  const url = frontendUrl(`/unlock-account?token=${token}`);
+  const time = lockedUntil.toUTCString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your BioLink account has been locked',
+    text: `Hi @${user.handle},
+
+We locked your BioLink account after too many failed login attempts. It unlocks by itself at ${time}.
+
+If this was you, unlock it now with the link below (valid for 24 hours):
+
+${url}
+
+If it wasn't you, someone may be trying to guess your password. Consider changing it and turning on two-factor authentication.`,
+    html: `<p>Hi @${user.handle},</p>
+<p>We locked your BioLink account after too many failed login attempts. It unlocks by itself at ${time}.</p>
+<p>If this was you, <a href="${url}">unlock it now</a> (valid for 24 hours).</p>
+<p>If it wasn't you, someone may be trying to guess your password. Consider changing it and turning on two-factor authentication.</p>`
+  });
+};
@@ -0,0 +1,117 @@
+/**
+ * Embed Provider Detection
+ * Recognises music and video URLs and extracts a normalized embed id
+ * that the public page turns into an inline player.
+ */
+
+// YouTube video ids are always 11 characters
+const YOUTUBE_ID = /^[\w-]{11}$/;
+
+// Each provider returns { id, kind? } for a matching URL, or null
+const PROVIDERS = {
+  youtube: {
+    name: 'YouTube',
+    linkType: 'VIDEO',
+    hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be'],
+    parse: (url) => {
+      let id;
+      if (url.hostname === 'youtu.be') {
+        id = url.pathname.slice(1).split('/')[0];
+      } else if (url.pathname === '/watch') {
+        id = url.searchParams.get('v');
+      } else {
+        id = url.pathname.match(/^\/(?:embed|shorts|live)\/([\w-]+)/)?.[1];
+      }
+      return YOUTUBE_ID.test(id || '') ? { id } : null;
+    }
+  },
+  vimeo: {
+    name: 'Vimeo',
+    linkType: 'VIDEO',
+    hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+    parse: (url) => {
+      const match = url.pathname.match(/^\/(?:video\/)?(\d+)/);
+      return match ? { id: match[1] } : null;
+    }
+  },
+  spotify: {
+    name: 'Spotify',
+    linkType: 'MUSIC',
+    hosts: ['open.spotify.com'],
+    parse: (url) => {
+      const match = url.pathname.match(/^\/(?:intl-[\w-]+\/)?(?:embed\/)?(track|album|playlist|episode|show|artist)\/(\w+)/);
+      return match ? { kind: match[1], id: match[2] } : null;
+    }
+  },
+  soundcloud: {
+    name: 'SoundCloud',
+    linkType: 'MUSIC',
+    hosts: ['soundcloud.com', 'www.soundcloud.com', 'm.soundcloud.com'],
+    parse: (url) => {
+      // soundcloud.com/<artist>/<track> or /<artist>/sets/<playlist>
+      const parts = url.pathname.split('/').filter(Boolean);
+      if (parts.length < 2) return null;
+      return { id: parts.slice(0, parts[1] === 'sets' ? 3 : 2).join('/') };
+    }
+  },
+  apple: {
+    name: 'Apple Music',
+    linkType: 'MUSIC',
+    hosts: ['music.apple.com', 'embed.music.apple.com'],
+    parse: (url) => {
+      // music.apple.com/<country>/<album|playlist|song>/<slug>/<id>[?i=<track>]
+      const match = url.pathname.match(/^\/([a-z]{2})\/(album|playlist|song)\/([^/]+)\/([\w.-]+)/);
+      if (!match) return null;
+      const track = url.searchParams.get('i');
+      return {
+        kind: match[2],
+        id: `${match[1]}/${match[2]}/${match[3]}/${match[4]}${track ? `?i=${track}` : ''}`
+      };
+    }
+  }
+};
+
+export const EMBED_LINK_TYPES = ['MUSIC', 'VIDEO'];
+
+// Providers supported for a link type, for error messages
+export const providersFor = (linkType) =>
+  Object.values(PROVIDERS).filter(config => config.linkType === linkType).map(config => config.name);
+
+// Detect the provider for a URL: { provider, linkType, id, kind? } or null
+export const detectEmbed = (rawUrl) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return null;
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  for (const [provider, config] of Object.entries(PROVIDERS)) {
+    if (!config.hosts.includes(hostname)) continue;
+    const parsed = config.parse(url);
+    if (parsed) {
+      return { provider, linkType: config.linkType, ...parsed };
+    }
+  }
+  return null;
+};
+
+// Attach (or drop) settings.embed based on the link type and URL.
+// Returns { settings } or { error }.
+export const applyEmbedSettings = (type, url, settings = {}) => {
+  const { embed, ...rest } = settings;
+
+  if (!EMBED_LINK_TYPES.includes(type)) {
+    return { settings: rest };
+  }
+
+  const detected = url ? detectEmbed(url) : null;
+  if (!detected || detected.linkType !== type) {
+    const label = type === 'MUSIC' ? 'music' : 'video';
+    return { error: `Unsupported ${label} URL. Supported providers: ${providersFor(type).join(', ')}` };
+  }
+
+  const { linkType, ...normalized } = detected;
+  return { settings: { ...rest, embed: normalized } };
+};
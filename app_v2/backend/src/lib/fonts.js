@@ -0,0 +1,37 @@
+/**
+ * Profile Fonts
+ * Fonts a profile or theme can use. The files are self-hosted by the
+ * frontend (latin subset, from @fontsource), so `weights` lists the
+ * weights it ships for each font and `fallback` is the stack shown
+ * until a face loads.
+ */
+
+const SANS_SERIF = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const SERIF = "Georgia, 'Times New Roman', serif";
+
+export const FONTS = [
+  { id: 'Inter', name: 'Inter', category: 'sans-serif', weights: [400, 500, 600, 700], fallback: SANS_SERIF },
+  { id: 'Poppins', name: 'Poppins', category: 'sans-serif', weights: [400, 500, 600, 700], fallback: SANS_SERIF },
+  { id: 'Roboto', name: 'Roboto', category: 'sans-serif', weights: [400, 500, 600, 700], fallback: SANS_SERIF },
+  { id: 'Playfair Display', name: 'Playfair Display', category: 'serif', weights: [400, 500, 600, 700], fallback: SERIF },
+  { id: 'Montserrat', name: 'Montserrat', category: 'sans-serif', weights: [400, 500, 600, 700], fallback: SANS_SERIF },
+  { id: 'Open Sans', name: 'Open Sans', category: 'sans-serif', weights: [400, 500, 600, 700], fallback: SANS_SERIF },
+  { id: 'Lato', name: 'Lato', category: 'sans-serif', weights: [400, 700], fallback: SANS_SERIF },
+  { id: 'Space Grotesk', name: 'Space Grotesk', category: 'sans-serif', weights: [400, 500, 600, 700], fallback: SANS_SERIF }
+];
+
+export const FONT_IDS = FONTS.map(font => font.id);
+
+export const DEFAULT_FONT = 'Inter';
+
+export const findFont = (id) => FONTS.find(font => font.id === id) || null;
+
+/**
+ * Fonts a profile is drawn with. Body text uses the profile's font, else
+ * the theme's; headings use their own font, else the body font.
+ */
+export const resolveFonts = (user, theme) => {
+  const body = findFont(user.fontFamily) || findFont(theme.fontFamily) || findFont(DEFAULT_FONT);
+  const heading = findFont(user.headingFont) || body;
+  return { heading, body };
+};
@@ -0,0 +1,73 @@
+/**
+ * Handle Candidates
+ * The database-free half of handle suggestions: candidate handles in the
+ * order they're offered, and how many suggestions a caller may ask for.
+ * handleSuggestions.js checks which candidates are actually free.
+ */
+
+export const DEFAULT_SUGGESTIONS = 5;
+export const MAX_SUGGESTIONS = 10;
+
+const MAX_HANDLE_LENGTH = 30;
+
+// Matches the categories offered at signup
+const CATEGORY_WORDS = {
+  creative: ['art', 'creates', 'studio', 'design'],
+  business: ['co', 'hq', 'works', 'biz'],
+  tech: ['dev', 'codes', 'labs', 'tech'],
+  music: ['music', 'beats', 'sounds', 'live'],
+  fashion: ['style', 'looks', 'wears', 'fashion'],
+  fitness: ['fit', 'trains', 'active', 'health'],
+  food: ['eats', 'kitchen', 'cooks', 'food']
+};
+const GENERIC_WORDS = ['hq', 'page', 'links', 'online'];
+
+const PREFIXES = ['its', 'the', 'hey', 'iam'];
+const NUMBERS = [1, 2, 3, 7, 99];
+
+// Append a suffix, shortening the base so the result still fits
+const withSuffix = (base, suffix) => `${base.slice(0, MAX_HANDLE_LENGTH - suffix.length)}${suffix}`;
+
+// Candidate groups, best first within each group
+const candidateGroups = (base, category) => {
+  const words = CATEGORY_WORDS[category] || GENERIC_WORDS;
+  const year = new Date().getFullYear();
+  const bare = base.replace(/[._]/g, '');
+
+  return [
+    words.flatMap(word => [withSuffix(base, `.${word}`), withSuffix(base, `_${word}`)]),
+    [withSuffix(base, String(year)), withSuffix(base, `.${year}`), withSuffix(base, String(year).slice(2))],
+    [
+      // Swap or drop separators: jane.doe -> jane_doe, janedoe
+      base.replace(/\./g, '_'),
+      base.replace(/_/g, '.'),
+      bare,
+      ...PREFIXES.map(prefix => `${prefix}${base}`.slice(0, MAX_HANDLE_LENGTH)),
+      withSuffix(base, '_')
+    ],
+    NUMBERS.map(number => withSuffix(base, String(number)))
+  ];
+};
+
+// Take one candidate from each group in turn so the top results differ
+// in kind, not just in a trailing digit
+const interleave = (groups) => {
+  const ordered = [];
+  const longest = Math.max(...groups.map(group => group.length));
+  for (let i = 0; i < longest; i++) {
+    for (const group of groups) {
+      if (i < group.length) ordered.push(group[i]);
+    }
+  }
+  return ordered;
+};
+
+// Candidates for `base`, best first, without duplicates or `base` itself
+export const candidateHandles = (base, category) =>
+  [...new Set(interleave(candidateGroups(base, category)))].filter(candidate => candidate !== base);
+
+// Requested limit clamped to 1..MAX_SUGGESTIONS; the default when missing
+export const suggestionLimit = (limit) => {
+  if (!Number.isInteger(limit)) return DEFAULT_SUGGESTIONS;
+  return Math.min(Math.max(limit, 1), MAX_SUGGESTIONS);
+};
@@ -0,0 +1,28 @@
+/**
+ * Handle Suggestions
+ * Alternatives offered when a handle is taken: category words
+ * (jane.music), year suffixes, prefixes and separators, and finally
+ * numbers (see handleCandidates.js). All candidates are checked together
+ * in one round of queries.
+ */
+
+import { validateHandle, findTakenHandles } from './handles.js';
+import { findReservedHandles } from './reservedHandles.js';
+import { candidateHandles, suggestionLimit } from './handleCandidates.js';
+
+// Up to `limit` available handles similar to `handle`, best first
+export const suggestHandles = async (handle, { category, limit } = {}) => {
+  const candidates = candidateHandles(handle.toLowerCase(), category)
+    .filter(candidate => validateHandle(candidate).valid);
+
+  if (!candidates.length) return [];
+
+  const [taken, reserved] = await Promise.all([
+    findTakenHandles(candidates),
+    findReservedHandles(candidates)
+  ]);
+
+  return candidates
+    .filter(candidate => !taken.has(candidate) && !reserved.has(candidate))
+    .slice(0, suggestionLimit(limit));
+};
@@ -0,0 +1,127 @@
+/**
+ * Handles
+ * Validation, availability and handle changes. A changed handle leaves a
+ * HandleAlias behind so old links keep redirecting to the profile, and the
+ * old handle stays reserved for its previous owner for a while.
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const HANDLE_CHANGE_COOLDOWN_DAYS = 30;
+export const HANDLE_RESERVATION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Handle validation (from PRD + knowledge base)
+export const validateHandle = (handle) => {
+  if (handle.length < 3 || handle.length > 30) {
+    return { valid: false, message: 'Handle must be 3-30 characters' };
+  }
+  if (!/^[a-zA-Z][a-zA-Z0-9_.]*$/.test(handle)) {
+    return { valid: false, message: 'Handle must start with a letter and contain only letters, numbers, underscores, and periods' };
+  }
+  if (/\.\./.test(handle) || /__/.test(handle)) {
+    return { valid: false, message: 'Handle cannot have consecutive periods or underscores' };
+  }
+  return { valid: true };
+};
+
+// When the user may change their handle again (null = now)
+export const nextHandleChangeAt = (user, now = new Date()) => {
+  if (!user.handleChangedAt) return null;
+  const next = new Date(user.handleChangedAt.getTime() + HANDLE_CHANGE_COOLDOWN_DAYS * DAY_MS);
+  return next > now ? next : null;
+};
+
+// A handle is taken by another account, or still reserved for the account
+// that used it before. Pass userId to ignore that user's own old handles.
+export const isHandleTaken = async (handleLower, { userId } = {}) => {
+  const [user, alias] = await Promise.all([
+    prisma.user.findUnique({ where: { handleLower }, select: { id: true } }),
+    prisma.handleAlias.findFirst({
+      where: {
+        handleLower,
+        reservedUntil: { gt: new Date() },
+        ...(userId && { userId: { not: userId } })
+      },
+      select: { id: true }
+    })
+  ]);
+
+  return Boolean((user && user.id !== userId) || alias);
+};
+
+// Which of several lowercase handles are taken or still reserved, using one
+// query per table rather than one per handle
+export const findTakenHandles = async (handleLowers) => {
+  const [users, aliases] = await Promise.all([
+    prisma.user.findMany({
+      where: { handleLower: { in: handleLowers } },
+      select: { handleLower: true }
+    }),
+    prisma.handleAlias.findMany({
+      where: { handleLower: { in: handleLowers }, reservedUntil: { gt: new Date() } },
+      select: { handleLower: true }
+    })
+  ]);
+
+  return new Set([...users, ...aliases].map(row => row.handleLower));
+};
+
+// Free an old handle whose reservation has run out so someone else can
+// register it. Its redirect stops working from then on.
+export const releaseExpiredAlias = (handleLower) => {
+  return prisma.handleAlias.deleteMany({
+    where: { handleLower, reservedUntil: { lte: new Date() } }
+  });
+};
+
+// Resolve an old handle to the profile's current one
+export const findHandleAlias = (handleLower) => {
+  return prisma.handleAlias.findUnique({
+    where: { handleLower },
+    select: { user: { select: { handle: true, isActive: true } } }
+  });
+};
+
+// Switch to a new handle. The caller has already validated the handle and
+// checked the cooldown and availability.
+export const changeHandle = async (user, handle) => {
+  const handleLower = handle.toLowerCase();
+  const now = new Date();
+
+  // Keep the default bio title in step with the handle
+  const bioTitle = user.bioTitle === `@${user.handle}` ? `@${handle}` : undefined;
+
+  // Only the capitalisation changed: no alias, no cooldown
+  if (handleLower === user.handleLower) {
+    return prisma.user.update({
+      where: { id: user.id },
+      data: { handle, bioTitle },
+      select: { handle: true, handleChangedAt: true }
+    });
+  }
+
+  const [, , updated] = await prisma.$transaction([
+    // Moving back to one of your own old handles retires its alias
+    prisma.handleAlias.deleteMany({ where: { handleLower } }),
+    prisma.handleAlias.create({
+      data: {
+        userId: user.id,
+        handle: user.handle,
+        handleLower: user.handleLower,
+        reservedUntil: new Date(now.getTime() + HANDLE_RESERVATION_DAYS * DAY_MS)
+      }
+    }),
+    // Aliases point at the user, so older ones follow to the new handle too
+    prisma.user.update({
+      where: { id: user.id },
+      data: { handle, handleLower, handleChangedAt: now, bioTitle },
+      select: { handle: true, handleChangedAt: true }
+    })
+  ]);
+
+  return updated;
+};
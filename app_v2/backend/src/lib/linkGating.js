@@ -0,0 +1,140 @@
+/**
+ * Link Gating
+ * Sensitive (18+) and password-protected links. The destination URL of a
+ * gated link is never sent to visitors until the gate has been passed.
+ * Wrong passwords are counted per visitor and per link, so a link's
+ * password can't be guessed quickly from one IP or from many.
+ */
+
+import bcrypt from 'bcryptjs';
+import { getRateLimitStore } from './rateLimit/index.js';
+
+export const GATE_MODES = ['sensitive', 'password'];
+
+export const MIN_GATE_PASSWORD_LENGTH = 8;
+
+const UNLOCK_WINDOW_MS = 15 * 60 * 1000;
+const UNLOCK_MAX_FAILURES_PER_IP = 5;
+const UNLOCK_MAX_FAILURES_PER_LINK = 50;
+
+const unlockCounters = (linkId, ip) => [
+  { key: `unlock:${linkId}:ip:${ip}`, max: UNLOCK_MAX_FAILURES_PER_IP },
+  { key: `unlock:${linkId}`, max: UNLOCK_MAX_FAILURES_PER_LINK }
+];
+
+// Validate and normalize settings.gate before it is stored.
+// The plain-text password is hashed here and never persisted.
+// Returns { settings } or { error }.
+export const prepareGateSettings = async (settings = {}, previousSettings = {}) => {
+  const { gate, ...rest } = settings;
+
+  if (gate === undefined) {
+    // Gate untouched by this request - carry the existing one over
+    return { settings: previousSettings.gate ? { ...rest, gate: previousSettings.gate } : rest };
+  }
+
+  if (!gate || !gate.mode) {
+    return { settings: rest };
+  }
+
+  if (!GATE_MODES.includes(gate.mode)) {
+    return { error: `Gate mode must be one of: ${GATE_MODES.join(', ')}` };
+  }
+
+  if (gate.mode === 'sensitive') {
+    return { settings: { ...rest, gate: { mode: 'sensitive' } } };
+  }
+
+  // Password mode: keep the stored hash unless a new password is supplied
+  if (gate.password) {
+    if (typeof gate.password !== 'string' || gate.password.length < MIN_GATE_PASSWORD_LENGTH) {
+      return { error: `Link password must be at least ${MIN_GATE_PASSWORD_LENGTH} characters` };
+    }
+    const passwordHash = await bcrypt.hash(gate.password, 10);
+    return { settings: { ...rest, gate: { mode: 'password', passwordHash } } };
+  }
+
+  if (previousSettings.gate?.mode === 'password' && previousSettings.gate.passwordHash) {
+    return { settings: { ...rest, gate: previousSettings.gate } };
+  }
+
+  return { error: 'A password is required for password-protected links' };
+};
+
+// Shape settings for the link owner (dashboard): never expose the hash
+export const ownerGateView = (settings = {}) => {
+  if (!settings.gate) return settings;
+  const { passwordHash, ...gate } = settings.gate;
+  return {
+    ...settings,
+    gate: { ...gate, hasPassword: Boolean(passwordHash) }
+  };
+};
+
+// Shape a link for visitors: gated links lose their URL
+export const publicGateView = (link) => {
+  const settings = link.settings || {};
+  if (!settings.gate) return link;
+
+  // Embed ids would reveal the destination just like the URL
+  const { gate, embed, ...rest } = settings;
+  return {
+    ...link,
+    url: null,
+    settings: rest,
+    gate: { mode: gate.mode }
+  };
+};
+
+// Check whether a visitor may pass the gate of a link
+export const verifyGate = async (settings = {}, { password, confirmed } = {}) => {
+  const gate = settings.gate;
+  if (!gate) return { ok: true };
+
+  if (gate.mode === 'sensitive') {
+    return confirmed === true
+      ? { ok: true }
+      : { ok: false, error: 'Please confirm you are 18 or older' };
+  }
+
+  if (gate.mode === 'password') {
+    if (typeof password !== 'string' || !password || !gate.passwordHash) {
+      return { ok: false, error: 'Password is required' };
+    }
+    const valid = await bcrypt.compare(password, gate.passwordHash);
+    return valid ? { ok: true } : { ok: false, error: 'Incorrect password' };
+  }
+
+  return { ok: false, error: 'Unsupported gate' };
+};
+
+// Seconds until this IP may try the link's password again, or 0 if it may
+// now. A limiter store outage only costs the extra protection.
+export const unlockRetryAfter = async (linkId, ip) => {
+  try {
+    const store = getRateLimitStore();
+    let retryAfter = 0;
+    for (const { key, max } of unlockCounters(linkId, ip)) {
+      const { count, resetAt } = await store.get(key);
+      if (count >= max) {
+        retryAfter = Math.max(retryAfter, Math.ceil((resetAt - Date.now()) / 1000));
+      }
+    }
+    return retryAfter;
+  } catch (error) {
+    console.error('Unlock attempt store error:', error);
+    return 0;
+  }
+};
+
+// Count a wrong password against the visitor and the link
+export const recordUnlockFailure = async (linkId, ip) => {
+  try {
+    const store = getRateLimitStore();
+    for (const { key } of unlockCounters(linkId, ip)) {
+      await store.increment(key, UNLOCK_WINDOW_MS);
+    }
+  } catch (error) {
+    console.error('Unlock attempt store error:', error);
+  }
+};
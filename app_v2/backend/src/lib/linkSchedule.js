@@ -0,0 +1,55 @@
+/**
+ * Link Scheduling
+ * Start/end visibility windows for links. Dates are stored in UTC.
+ */
+
+// Parse an incoming schedule value: null/'' clears it, anything else must be a valid date
+const parseDate = (value, field) => {
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+  return { value: date };
+};
+
+// Validate scheduledStart/scheduledEnd from a request body.
+// Only fields present in the body are returned, so updates can be partial.
+export const parseSchedule = (body, existing = {}) => {
+  const data = {};
+
+  if (body.scheduledStart !== undefined) {
+    const start = parseDate(body.scheduledStart, 'scheduledStart');
+    if (start.error) return { error: start.error };
+    data.scheduledStart = start.value;
+  }
+
+  if (body.scheduledEnd !== undefined) {
+    const end = parseDate(body.scheduledEnd, 'scheduledEnd');
+    if (end.error) return { error: end.error };
+    data.scheduledEnd = end.value;
+  }
+
+  const start = data.scheduledStart !== undefined ? data.scheduledStart : existing.scheduledStart;
+  const end = data.scheduledEnd !== undefined ? data.scheduledEnd : existing.scheduledEnd;
+  if (start && end && end <= start) {
+    return { error: 'Schedule end must be after the start' };
+  }
+
+  return { data };
+};
+
+// 'scheduled' (not started yet), 'expired' (already ended) or 'live'
+export const scheduleStatus = (link, now = new Date()) => {
+  if (link.scheduledStart && new Date(link.scheduledStart) > now) return 'scheduled';
+  if (link.scheduledEnd && new Date(link.scheduledEnd) < now) return 'expired';
+  return 'live';
+};
+
+// Prisma filter matching links inside their window
+export const liveScheduleWhere = (now = new Date()) => ({
+  AND: [
+    { OR: [{ scheduledStart: null }, { scheduledStart: { lte: now } }] },
+    { OR: [{ scheduledEnd: null }, { scheduledEnd: { gte: now } }] }
+  ]
+});
@@ -0,0 +1,138 @@
+/**
+ * Link Thumbnails
+ * From PRD Flow 1: when a URL is added, the system fetches an image for it.
+ * Adding or changing a link's URL queues it (unfurlStatus PENDING); the
+ * unfurl worker fetches the page's og:image or favicon, stores it through
+ * the media pipeline and offers it as suggestedThumbnailUrl. The creator
+ * accepts it or uploads their own. Queued links are picked up right away
+ * and again by a periodic sweep, so nothing is lost if the server restarts
+ * mid-job.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { storeImage, removeMediaAssets, mediaVariants } from './media.js';
+import { findImageCandidates, fetchCandidateImage } from './unfurl/index.js';
+import { invalidateUserProfile } from './profileCache/index.js';
+
+const prisma = new PrismaClient();
+
+const WORKER_INTERVAL_MS = 60 * 1000;
+const WORKER_BATCH_SIZE = 20;
+// PROCESSING jobs older than this were interrupted and are retried
+const STALE_JOB_MS = 5 * 60 * 1000;
+const MAX_CANDIDATES = 4;
+
+// Only plain links get page thumbnails; embeds and tip jars have their own look
+export const canUnfurl = (link) => link.type === 'CLASSIC' && /^https?:\/\//i.test(link.url || '');
+
+// Fields to set on a link whose URL was added or changed
+export const unfurlResetData = (link) => ({
+  suggestedThumbnailUrl: null,
+  unfurlStatus: canUnfurl(link) ? 'PENDING' : null,
+  unfurledAt: null
+});
+
+// Delete thumbnail files the link no longer shows or suggests. Skipped
+// while a job is in flight (it may have stored an image it hasn't saved
+// yet); the job prunes when it finishes.
+export const pruneLinkMedia = async (link) => {
+  if (['PENDING', 'PROCESSING'].includes(link.unfurlStatus)) return;
+
+  const assets = await prisma.mediaAsset.findMany({ where: { linkId: link.id } });
+  const inUse = [link.thumbnailUrl, link.suggestedThumbnailUrl];
+  await removeMediaAssets(assets.filter(asset => !inUse.includes(mediaVariants(asset).large.url)));
+};
+
+// Find and store a thumbnail for the link's URL, trying candidates in
+// order until one is a usable image. Returns its URL or null.
+const unfurlThumbnail = async (link) => {
+  const candidates = (await findImageCandidates(link.url)).slice(0, MAX_CANDIDATES);
+
+  for (const candidate of candidates) {
+    try {
+      const image = await fetchCandidateImage(candidate);
+      const { asset } = await storeImage(link.userId, image, 'thumbnail', { linkId: link.id });
+      if (asset) return asset.url;
+    } catch (error) {
+      // Missing favicons and the like are normal; try the next one
+      console.warn(`Thumbnail candidate ${candidate.url} failed: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+// Process one queued link. Safe to call concurrently: only one caller
+// claims the job.
+export const runUnfurl = async (linkId) => {
+  const { count } = await prisma.link.updateMany({
+    where: {
+      id: linkId,
+      OR: [
+        { unfurlStatus: 'PENDING' },
+        { unfurlStatus: 'PROCESSING', updatedAt: { lt: new Date(Date.now() - STALE_JOB_MS) } }
+      ]
+    },
+    data: { unfurlStatus: 'PROCESSING' }
+  });
+  if (!count) return;
+
+  const link = await prisma.link.findUnique({ where: { id: linkId } });
+  let suggestedThumbnailUrl = null;
+  let status = 'READY';
+
+  try {
+    suggestedThumbnailUrl = await unfurlThumbnail(link);
+  } catch (error) {
+    console.error(`Unfurl failed for link ${linkId}:`, error.message);
+    status = 'FAILED';
+  }
+
+  // Drop the result if the URL changed while we were fetching; the new
+  // URL has been queued again
+  await prisma.link.updateMany({
+    where: { id: linkId, url: link.url, unfurlStatus: 'PROCESSING' },
+    data: { suggestedThumbnailUrl, unfurlStatus: status, unfurledAt: new Date() }
+  });
+
+  const current = await prisma.link.findUnique({ where: { id: linkId } });
+  if (current) {
+    await pruneLinkMedia(current);
+    await invalidateUserProfile(current.userId);
+  }
+};
+
+// Queue a link and start on it straight away in the background
+export const queueUnfurl = (link) => {
+  if (link.unfurlStatus !== 'PENDING') return;
+  runUnfurl(link.id).catch(error => console.error('Run unfurl error:', error));
+};
+
+// Work through queued and interrupted jobs. Returns how many were processed.
+export const processPendingUnfurls = async () => {
+  const links = await prisma.link.findMany({
+    where: {
+      isDeleted: false,
+      OR: [
+        { unfurlStatus: 'PENDING' },
+        { unfurlStatus: 'PROCESSING', updatedAt: { lt: new Date(Date.now() - STALE_JOB_MS) } }
+      ]
+    },
+    orderBy: { updatedAt: 'asc' },
+    take: WORKER_BATCH_SIZE,
+    select: { id: true }
+  });
+
+  for (const link of links) {
+    await runUnfurl(link.id);
+  }
+  return links.length;
+};
+
+// Sweep the queue every minute inside a long-running server
+export const scheduleUnfurlWorker = () => {
+  const run = () => processPendingUnfurls()
+    .catch(error => console.error('Unfurl worker error:', error));
+
+  run();
+  setInterval(run, WORKER_INTERVAL_MS).unref();
+};
@@ -0,0 +1,64 @@
+/**
+ * Login Policy
+ * When failed logins start to cost something: the progressive delay,
+ * account lockout and IP block thresholds, and the decision itself given
+ * the failure counts loginProtection.js reads from the LoginAttempt table.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_MS = MINUTE_MS;
+export const LOCKOUT_THRESHOLD = 10;
+export const LOCKOUT_MS = 30 * MINUTE_MS;
+export const FAILURE_WINDOW_MS = 60 * MINUTE_MS;
+export const IP_WINDOW_MS = 15 * MINUTE_MS;
+export const IP_MAX_FAILURES = 30;
+
+// Wait required before the next attempt after `failures` in a row:
+// 1s, 2s, 4s ... capped at a minute
+export const delayAfter = (failures) => {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+/**
+ * Decide whether a login may go ahead.
+ * `account` is { count, lastFailureAt } for the email's recent failures
+ * (count capped at LOCKOUT_THRESHOLD), `ipFailures` the IP's failures in
+ * the last IP_WINDOW_MS. Returns null if allowed, or
+ * { error, code, retryAfter } (seconds) to send back with a 429.
+ */
+export const loginBlock = (account, ipFailures, now = new Date()) => {
+  if (ipFailures >= IP_MAX_FAILURES) {
+    return {
+      error: 'Too many failed login attempts from your network. Please try again later.',
+      code: 'IP_BLOCKED',
+      retryAfter: Math.ceil(IP_WINDOW_MS / 1000)
+    };
+  }
+
+  // Attempts refused while locked aren't failures, so the newest failure is
+  // the one that locked the account. Failing again right after the lock
+  // runs out locks it again.
+  const unlockAt = account.count >= LOCKOUT_THRESHOLD && account.lastFailureAt.getTime() + LOCKOUT_MS;
+  if (unlockAt > now.getTime()) {
+    return {
+      error: 'This account is temporarily locked after too many failed attempts. Check your email for an unlock link or try again later.',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: Math.ceil((unlockAt - now.getTime()) / 1000)
+    };
+  }
+
+  const waitMs = account.count && account.lastFailureAt.getTime() + delayAfter(account.count) - now.getTime();
+  if (waitMs > 0) {
+    const seconds = Math.ceil(waitMs / 1000);
+    return {
+      error: `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} and try again.`,
+      code: 'LOGIN_DELAYED',
+      retryAfter: seconds
+    };
+  }
+
+  return null;
+};
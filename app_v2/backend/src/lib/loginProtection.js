@@ -0,0 +1,133 @@
+/**
+ * Login Protection
+ * Brute-force defence for /login and /login/2fa, built on the LoginAttempt
+ * audit table:
+ *
+ * - Per account (by email, so unknown emails behave the same): after a few
+ *   failures each further attempt must wait progressively longer, and
+ *   after LOCKOUT_THRESHOLD failures within an hour the account locks for
+ *   LOCKOUT_MS. The owner is emailed an unlock link. A successful login or
+ *   an unlock resets the count.
+ * - Per IP: too many failures across any accounts blocks the IP for a
+ *   while. This count only expires with time - otherwise an attacker
+ *   could reset it by logging in to their own account between guesses.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { createToken, hashToken } from './tokens.js';
+import { hashIp } from './sessions.js';
+import { sendAccountLockedEmail } from './emails.js';
+import { FAILURE_WINDOW_MS, IP_WINDOW_MS, LOCKOUT_MS, LOCKOUT_THRESHOLD, loginBlock } from './loginPolicy.js';
+
+const prisma = new PrismaClient();
+
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Failures that count towards delays and lockouts. Attempts refused while
+// blocked are logged too but don't extend the block.
+const FAILURE_REASONS = ['invalid_password', 'unknown_email', 'invalid_2fa'];
+
+const normalizeEmail = (email) => String(email).toLowerCase();
+
+// Recent failures for an email since its last successful login or unlock.
+// The count stops at the threshold; lastFailureAt is the newest failure.
+const accountFailures = async (email, now) => {
+  const lastReset = await prisma.loginAttempt.findFirst({
+    where: { email, success: true },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+  const since = new Date(Math.max(now.getTime() - FAILURE_WINDOW_MS, lastReset?.createdAt.getTime() || 0));
+
+  const failures = await prisma.loginAttempt.findMany({
+    where: { email, success: false, reason: { in: FAILURE_REASONS }, createdAt: { gt: since } },
+    orderBy: { createdAt: 'desc' },
+    take: LOCKOUT_THRESHOLD,
+    select: { createdAt: true }
+  });
+
+  return { count: failures.length, lastFailureAt: failures[0]?.createdAt };
+};
+
+const ipFailureCount = (ipHash, now) => {
+  return prisma.loginAttempt.count({
+    where: {
+      ipHash,
+      success: false,
+      reason: { in: FAILURE_REASONS },
+      createdAt: { gt: new Date(now.getTime() - IP_WINDOW_MS) }
+    }
+  });
+};
+
+// May this email log in from this IP right now? Returns null if so, or
+// { error, code, retryAfter } (seconds) to send back with a 429.
+export const checkLoginAllowed = async (email, req, now = new Date()) => {
+  const [account, ipFailures] = await Promise.all([
+    accountFailures(normalizeEmail(email), now),
+    ipFailureCount(hashIp(req.ip), now)
+  ]);
+
+  return loginBlock(account, ipFailures, now);
+};
+
+export const recordLoginAttempt = (email, req, { user, success, reason }) => {
+  return prisma.loginAttempt.create({
+    data: {
+      email: normalizeEmail(email),
+      userId: user?.id,
+      ipHash: hashIp(req.ip),
+      userAgent: req.headers['user-agent'],
+      success,
+      reason
+    }
+  });
+};
+
+// Log a failed attempt. If it's the one that first locks the account,
+// email the owner an unlock link.
+export const recordLoginFailure = async (email, req, { user, reason }) => {
+  const before = user && await accountFailures(normalizeEmail(email), new Date());
+  await recordLoginAttempt(email, req, { user, success: false, reason });
+
+  if (!user || before.count !== LOCKOUT_THRESHOLD - 1) return;
+
+  const { token, tokenHash } = createToken();
+  await prisma.accountUnlockToken.create({
+    data: {
+      userId: user.id,
+      tokenHash,
+      expiresAt: new Date(Date.now() + UNLOCK_TOKEN_TTL_MS)
+    }
+  });
+
+  try {
+    await sendAccountLockedEmail(user, token, new Date(Date.now() + LOCKOUT_MS));
+  } catch (error) {
+    console.error('Account locked email error:', error);
+  }
+};
+
+// Redeem an emailed unlock token. Returns false if invalid or expired.
+export const unlockAccount = async (token, req) => {
+  const record = await prisma.accountUnlockToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: { select: { id: true, email: true } } }
+  });
+
+  if (!record || record.usedAt || record.expiresAt < new Date()) {
+    return false;
+  }
+
+  // Only one request gets to use the token
+  const { count } = await prisma.accountUnlockToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (count !== 1) return false;
+
+  // A success entry resets the account's failure count
+  await recordLoginAttempt(record.user.email, req, { user: record.user, success: true, reason: 'unlock' });
+
+  return true;
+};
@@ -0,0 +1,20 @@
+/**
+ * Console Mail Transport
+ * Prints emails to stdout for local development.
+ */
+
+export const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message) {
+    console.log(`
+─── Email ─────────────────────────────────────────
+From:    ${message.from}
+To:      ${message.to}
+Subject: ${message.subject}
+
+${message.text}
+───────────────────────────────────────────────────`);
+    return { delivered: true };
+  }
+});
@@ -0,0 +1,19 @@
+/**
+ * File Mail Transport
+ * Writes each email to a JSON file, handy for inspecting links locally.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const createFileTransport = ({ dir }) => ({
+  name: 'file',
+
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+    const filePath = path.join(dir, filename);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { delivered: true, path: filePath };
+  }
+});
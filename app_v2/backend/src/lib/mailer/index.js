@@ -0,0 +1,51 @@
+/**
+ * Mailer
+ * Pluggable mail delivery. Every transport implements send(message)
+ * where message is { from, to, subject, text, html }.
+ *
+ * Select with MAIL_TRANSPORT=console|file|smtp (default: console).
+ */
+
+import { createConsoleTransport } from './consoleTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createSmtpTransport } from './smtpTransport.js';
+
+const DEFAULT_FROM = 'BioLink <no-reply@biolink.com>';
+
+let transport = null;
+
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ dir: process.env.MAIL_DIR || './tmp/mail' });
+    default:
+      return createConsoleTransport();
+  }
+};
+
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport (used by tests and local tooling)
+export const setMailTransport = (next) => {
+  transport = next;
+};
+
+export const sendMail = async (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+};
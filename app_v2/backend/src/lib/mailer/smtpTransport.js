@@ -0,0 +1,24 @@
+/**
+ * SMTP Mail Transport
+ * Production delivery through any SMTP relay (SES, Postmark, SendGrid...).
+ */
+
+import nodemailer from 'nodemailer';
+
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { delivered: true, messageId: info.messageId };
+    }
+  };
+};
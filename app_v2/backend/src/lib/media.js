@@ -0,0 +1,224 @@
+/**
+ * Media Pipeline
+ * Turns an uploaded image into stored variants. The bytes are decoded to
+ * make sure they really are an image (the upload's mimetype is only a
+ * hint), the EXIF orientation is applied and all metadata (camera, GPS)
+ * dropped, and each size is written in a web format plus WebP.
+ *
+ * From knowledge base: avatars are resized to 400x400, keeping an
+ * original and a thumbnail.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { PrismaClient } from '@prisma/client';
+import { getStorage } from './storage/index.js';
+import { readMp4Info } from './mp4.js';
+
+const prisma = new PrismaClient();
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+// Decompression bomb guard: ~50 megapixels
+const MAX_INPUT_PIXELS = 50_000_000;
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', mp4: 'mp4' };
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', mp4: 'video/mp4' };
+// Plays in every current browser
+const VIDEO_CODECS = ['avc1', 'avc3'];
+
+// Variants per kind. `square` variants are centre-cropped to 1:1; the
+// rest keep their aspect ratio and are only ever scaled down. `main` is
+// the variant stored on the owning record (e.g. User.avatarUrl).
+export const MEDIA_PRESETS = {
+  avatar: {
+    main: 'large',
+    minDimension: 32,
+    variants: {
+      original: { width: 2048, height: 2048 },
+      large: { width: 400, height: 400, square: true },
+      thumb: { width: 100, height: 100, square: true }
+    }
+  },
+  // Link thumbnails show at ~48px; favicons can be as small as 16px
+  thumbnail: {
+    main: 'large',
+    minDimension: 16,
+    variants: {
+      large: { width: 192, height: 192, square: true },
+      small: { width: 96, height: 96, square: true }
+    }
+  },
+  // Full-page backgrounds: desktop and phone widths
+  background: {
+    main: 'large',
+    minDimension: 320,
+    variants: {
+      large: { width: 1920, height: 1920 },
+      small: { width: 960, height: 960 }
+    }
+  }
+};
+
+const storageKey = (asset, name, format) => {
+  return `${asset.kind}s/${asset.userId}/${asset.id}/${name}.${EXTENSIONS[format]}`;
+};
+
+// Every file stored for an asset. Videos are stored as uploaded.
+const assetKeys = (asset) => {
+  return Object.keys(JSON.parse(asset.variants))
+    .flatMap(name => asset.format === 'mp4'
+      ? [storageKey(asset, name, 'mp4')]
+      : [storageKey(asset, name, asset.format), storageKey(asset, name, 'webp')]);
+};
+
+// Decode the upload and check it's an image we accept. Decoding all of it
+// (not just the header) also catches truncated and corrupt files.
+// Returns { metadata } or { error }.
+const inspectImage = async (buffer, { minDimension }) => {
+  let metadata;
+  try {
+    const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' });
+    metadata = await image.metadata();
+    await image.resize(1, 1).raw().toBuffer();
+  } catch {
+    return { error: 'File is not a valid image' };
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { error: 'Only image files (JPG, PNG, GIF, WebP) are allowed' };
+  }
+  if (metadata.width < minDimension || metadata.height < minDimension) {
+    return { error: `Image must be at least ${minDimension}x${minDimension} pixels` };
+  }
+
+  return { metadata };
+};
+
+// Resize one variant. rotate() applies the EXIF orientation; sharp drops
+// metadata from its output unless asked to keep it.
+const renderVariant = (buffer, { width, height, square }) => {
+  return sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(width, height, square
+      ? { fit: 'cover', position: 'centre' }
+      : { fit: 'inside', withoutEnlargement: true });
+};
+
+/**
+ * Process an image and store its variants. Pass linkId for link thumbnails.
+ * Returns { asset } (with parsed variants and the main `url`) or { error }
+ * if the file isn't an acceptable image.
+ */
+export const storeImage = async (userId, buffer, kind, { linkId } = {}) => {
+  const preset = MEDIA_PRESETS[kind];
+  const { metadata, error } = await inspectImage(buffer, preset);
+  if (error) return { error };
+
+  // Keep transparency; everything else becomes JPEG
+  const format = metadata.hasAlpha ? 'png' : 'jpeg';
+  const asset = { id: crypto.randomUUID(), userId, linkId, kind, format };
+  const storage = getStorage();
+  const variants = {};
+
+  try {
+    for (const [name, options] of Object.entries(preset.variants)) {
+      const pipeline = renderVariant(buffer, options);
+      const [main, webp] = await Promise.all([
+        pipeline.clone().toFormat(format, format === 'jpeg' ? { quality: 85, mozjpeg: true } : {}).toBuffer({ resolveWithObject: true }),
+        pipeline.clone().webp({ quality: 80 }).toBuffer()
+      ]);
+
+      variants[name] = {
+        width: main.info.width,
+        height: main.info.height,
+        url: await storage.put(storageKey(asset, name, format), main.data, { contentType: CONTENT_TYPES[format] }),
+        webpUrl: await storage.put(storageKey(asset, name, 'webp'), webp, { contentType: CONTENT_TYPES.webp })
+      };
+    }
+  } catch (storeError) {
+    // Don't leave the variants written so far behind
+    await storage.remove(assetKeys({ ...asset, variants: JSON.stringify(variants) })).catch(() => {});
+    throw storeError;
+  }
+
+  const record = await prisma.mediaAsset.create({
+    data: { ...asset, variants: JSON.stringify(variants) }
+  });
+
+  return {
+    asset: { ...record, variants, url: variants[preset.main].url }
+  };
+};
+
+/**
+ * Check an uploaded video and store it unchanged (there's no transcoding,
+ * so it must already be an H.264 MP4). Returns { asset } or { error }.
+ */
+export const storeVideo = async (userId, buffer, kind, { maxSeconds }) => {
+  const info = readMp4Info(buffer);
+  if (!info) {
+    return { error: 'File is not a valid MP4 video' };
+  }
+  if (!VIDEO_CODECS.includes(info.videoCodec)) {
+    return { error: 'Videos must be H.264 encoded MP4 files' };
+  }
+  if (info.duration > maxSeconds) {
+    return { error: `Videos can be at most ${maxSeconds} seconds long` };
+  }
+
+  const asset = { id: crypto.randomUUID(), userId, kind, format: 'mp4' };
+  const variants = {
+    original: {
+      width: info.width,
+      height: info.height,
+      duration: Math.round(info.duration * 10) / 10,
+      url: await getStorage().put(storageKey(asset, 'original', 'mp4'), buffer, { contentType: CONTENT_TYPES.mp4 })
+    }
+  };
+
+  const record = await prisma.mediaAsset.create({
+    data: { ...asset, variants: JSON.stringify(variants) }
+  });
+
+  return {
+    asset: { ...record, variants, url: variants.original.url }
+  };
+};
+
+// Read one stored variant's bytes (e.g. to draw share images)
+export const readMediaVariant = (asset, name) => {
+  return getStorage().get(storageKey(asset, name, asset.format));
+};
+
+// Delete assets and their files. Storage failures are logged, not thrown:
+// the records go regardless so nothing points at half-deleted files.
+export const removeMediaAssets = async (assets) => {
+  if (!assets.length) return;
+
+  try {
+    await getStorage().remove(assets.flatMap(assetKeys));
+  } catch (error) {
+    console.error('Media storage cleanup error:', error);
+  }
+
+  await prisma.mediaAsset.deleteMany({
+    where: { id: { in: assets.map(asset => asset.id) } }
+  });
+};
+
+// Delete a user's media, optionally only one kind, keeping `exceptId`
+export const removeUserMedia = async (userId, { kind, exceptId } = {}) => {
+  const assets = await prisma.mediaAsset.findMany({
+    where: {
+      userId,
+      ...(kind && { kind }),
+      ...(exceptId && { id: { not: exceptId } })
+    }
+  });
+  await removeMediaAssets(assets);
+};
+
+// Public shape of an asset's variants: { [name]: { width, height, url, webpUrl } }
+export const mediaVariants = (asset) => {
+  return asset ? JSON.parse(asset.variants) : null;
+};
@@ -0,0 +1,92 @@
+/**
+ * MP4 Inspection
+ * Reads duration, frame size, codec and track types from an MP4 file's
+ * moov box - enough to validate background videos without ffmpeg.
+ * Only the container is parsed; no frames are decoded.
+ */
+
+// Walk the boxes in buffer[start, end)
+function* boxes(buffer, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      // 64-bit size follows the type
+      if (offset + 16 > end) throw new Error('Truncated box');
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      // Box runs to the end of its parent
+      size = end - offset;
+    }
+
+    if (size < header || offset + size > end) throw new Error('Truncated box');
+    yield { type, start: offset + header, end: offset + size };
+    offset += size;
+  }
+}
+
+const findBox = (buffer, parent, ...path) => {
+  let box = parent;
+  for (const type of path) {
+    box = box && [...boxes(buffer, box.start, box.end)].find(child => child.type === type);
+  }
+  return box || null;
+};
+
+// Movie duration in seconds from mvhd (version 0 has 32-bit times, 1 has 64-bit)
+const readDuration = (buffer, mvhd) => {
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const duration = version === 1
+    ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+    : buffer.readUInt32BE(mvhd.start + 16);
+  return timescale ? duration / timescale : null;
+};
+
+/**
+ * Inspect an MP4 file.
+ * Returns { duration, width, height, videoCodec, hasAudio } or null if it
+ * isn't an MP4 with a video track.
+ */
+export const readMp4Info = (buffer) => {
+  try {
+    const file = { start: 0, end: buffer.length };
+    const [first] = boxes(buffer, file.start, file.end);
+    if (first?.type !== 'ftyp') return null;
+
+    const moov = findBox(buffer, file, 'moov');
+    const mvhd = findBox(buffer, moov, 'mvhd');
+    if (!mvhd) return null;
+
+    const info = { duration: readDuration(buffer, mvhd), width: 0, height: 0, videoCodec: null, hasAudio: false };
+
+    for (const trak of boxes(buffer, moov.start, moov.end)) {
+      if (trak.type !== 'trak') continue;
+
+      const hdlr = findBox(buffer, trak, 'mdia', 'hdlr');
+      const handler = hdlr && buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+
+      if (handler === 'soun') {
+        info.hasAudio = true;
+      } else if (handler === 'vide' && !info.videoCodec) {
+        // Width and height are 16.16 fixed point at the end of tkhd
+        const tkhd = findBox(buffer, trak, 'tkhd');
+        if (tkhd) {
+          info.width = Math.round(buffer.readUInt32BE(tkhd.end - 8) / 65536);
+          info.height = Math.round(buffer.readUInt32BE(tkhd.end - 4) / 65536);
+        }
+        // First sample entry's type is the codec (avc1, hvc1, ...)
+        const stsd = findBox(buffer, trak, 'mdia', 'minf', 'stbl', 'stsd');
+        info.videoCodec = stsd ? buffer.toString('latin1', stsd.start + 12, stsd.start + 16) : 'unknown';
+      }
+    }
+
+    return info.videoCodec && info.duration !== null ? info : null;
+  } catch {
+    return null;
+  }
+};
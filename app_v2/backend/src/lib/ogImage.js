@@ -0,0 +1,211 @@
+/**
+ * Open Graph Share Images
+ * 1200x630 PNG previews for shared profile links, drawn from the avatar,
+ * bio title, handle and theme colors. Rendered locally (SVG -> PNG with
+ * sharp) and cached on disk. Each image is keyed by a hash of what it's
+ * drawn from, so changing appearance settings gives it a new URL and link
+ * preview caches fetch the new one.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { readMediaVariant } from './media.js';
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+// Read when used: dotenv loads after module imports
+const ogImageDir = () => process.env.OG_IMAGE_DIR || path.join(os.tmpdir(), 'biolink-og-images');
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+// Bump when the layout changes so existing images are redrawn
+const LAYOUT_VERSION = 1;
+
+const AVATAR_SIZE = 280;
+const AVATAR_X = 110;
+const AVATAR_Y = (OG_IMAGE_HEIGHT - AVATAR_SIZE) / 2;
+const TEXT_X = AVATAR_X + AVATAR_SIZE + 70;
+// No text measuring, so lines are capped by character count
+const TITLE_LINE_CHARS = 20;
+const FONT_STACK = "Inter, 'Helvetica Neue', Arial, 'DejaVu Sans', sans-serif";
+
+// Fields the image is drawn from
+export const OG_IMAGE_SELECT = {
+  id: true,
+  handle: true,
+  displayName: true,
+  bioTitle: true,
+  avatarUrl: true,
+  theme: true,
+  mediaAssets: {
+    where: { kind: 'avatar' },
+    orderBy: { createdAt: 'desc' },
+    take: 1
+  }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// `theme` is the profile's resolved theme (see getTheme in themes.js)
+export const ogImageVersion = (user, theme) => {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([LAYOUT_VERSION, user.handle, user.displayName, user.bioTitle, user.avatarUrl, theme.backgroundColor, theme.textColor]))
+    .digest('hex')
+    .substring(0, 12);
+};
+
+// Absolute URL for og:image; the version busts preview caches
+export const ogImageUrl = (user, theme) => {
+  return `${apiUrl()}/api/public/${user.handle}/og.png?v=${ogImageVersion(user, theme)}`;
+};
+
+// Theme background as an SVG fill: a color or an evenly spaced 135deg gradient
+const backgroundFill = (bg) => {
+  const stops = bg.startsWith('linear-gradient') && bg.match(/#[0-9a-f]{6}/gi);
+  if (!stops) {
+    return { defs: '', fill: bg };
+  }
+  const stopTags = stops
+    .map((color, i) => `<stop offset="${i / (stops.length - 1)}" stop-color="${color}"/>`)
+    .join('');
+  return {
+    defs: `<linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">${stopTags}</linearGradient>`,
+    fill: 'url(#bg)'
+  };
+};
+
+// Word-wrap the title into at most two lines
+const titleLines = (title) => {
+  const lines = [''];
+  for (const word of title.split(/\s+/)) {
+    const current = lines[lines.length - 1];
+    if (!current || `${current} ${word}`.length <= TITLE_LINE_CHARS) {
+      lines[lines.length - 1] = current ? `${current} ${word}` : word;
+    } else if (lines.length < 2) {
+      lines.push(word);
+    } else {
+      lines[1] = `${lines[1]} ${word}`;
+      break;
+    }
+  }
+  return lines.map(line => line.length > TITLE_LINE_CHARS ? `${line.slice(0, TITLE_LINE_CHARS - 1).trimEnd()}…` : line);
+};
+
+// The stored 400x400 avatar, or one saved as a data URI before the media
+// pipeline existed
+const loadAvatar = async (user) => {
+  const [asset] = user.mediaAssets || [];
+  if (user.avatarUrl && asset) {
+    return readMediaVariant(asset, 'large');
+  }
+  const dataUri = user.avatarUrl?.match(/^data:image\/[a-z+]+;base64,(.+)$/);
+  return dataUri && Buffer.from(dataUri[1], 'base64');
+};
+
+// Avatar cropped to a circle, or null to draw the initial instead
+const renderAvatar = async (user) => {
+  const avatar = await loadAvatar(user).catch(() => null);
+  if (!avatar) return null;
+
+  const mask = Buffer.from(
+    `<svg width="${AVATAR_SIZE}" height="${AVATAR_SIZE}"><circle cx="${AVATAR_SIZE / 2}" cy="${AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2}"/></svg>`
+  );
+
+  try {
+    return await sharp(avatar)
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+  } catch {
+    // Unreadable image: fall back to the initial
+    return null;
+  }
+};
+
+const renderSvg = (user, theme, { hasAvatar }) => {
+  const text = theme.textColor.slice(0, 7);
+  const { defs, fill } = backgroundFill(theme.backgroundColor);
+  const name = user.displayName || user.handle;
+  // The default bio title is just the handle, which gets its own line
+  const hasTitle = user.bioTitle && user.bioTitle !== `@${user.handle}`;
+  const lines = titleLines(hasTitle ? user.bioTitle : user.displayName || `@${user.handle}`);
+  const showHandle = hasTitle || Boolean(user.displayName);
+  const radius = AVATAR_SIZE / 2;
+
+  // Title block is vertically centred next to the avatar
+  const titleSize = 64;
+  const lineHeight = 78;
+  const blockHeight = lines.length * lineHeight + (showHandle ? 60 : 0);
+  const firstBaseline = (OG_IMAGE_HEIGHT - blockHeight) / 2 + titleSize;
+
+  const title = lines.map((line, i) => (
+    `<text x="${TEXT_X}" y="${firstBaseline + i * lineHeight}" font-size="${titleSize}" font-weight="700" fill="${text}">${escapeXml(line)}</text>`
+  )).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" font-family="${FONT_STACK}">
+  <defs>${defs}</defs>
+  <rect width="100%" height="100%" fill="${fill}"/>
+  <circle cx="${AVATAR_X + radius}" cy="${AVATAR_Y + radius}" r="${radius + 4}" fill="none" stroke="${text}" stroke-opacity="0.6" stroke-width="8"/>
+  ${hasAvatar ? '' : `<circle cx="${AVATAR_X + radius}" cy="${AVATAR_Y + radius}" r="${radius}" fill="${text}" fill-opacity="0.12"/>
+  <text x="${AVATAR_X + radius}" y="${AVATAR_Y + radius + 44}" font-size="128" font-weight="700" text-anchor="middle" fill="${text}">${escapeXml(name[0].toUpperCase())}</text>`}
+  ${title}
+  ${showHandle ? `<text x="${TEXT_X}" y="${firstBaseline + (lines.length - 1) * lineHeight + 66}" font-size="40" fill="${text}" fill-opacity="0.7">@${escapeXml(user.handle)}</text>` : ''}
+  <text x="${OG_IMAGE_WIDTH - 60}" y="${OG_IMAGE_HEIGHT - 50}" font-size="30" font-weight="700" text-anchor="end" fill="${text}" fill-opacity="0.6">BioLink</text>
+</svg>`;
+};
+
+export const renderOgImage = async (user, theme) => {
+  const avatar = await renderAvatar(user);
+  const svg = renderSvg(user, theme, { hasAvatar: Boolean(avatar) });
+
+  const image = sharp(Buffer.from(svg));
+  if (avatar) {
+    image.composite([{ input: avatar, left: AVATAR_X, top: AVATAR_Y }]);
+  }
+  return image.png().toBuffer();
+};
+
+// The user's current share image, from the disk cache or freshly rendered.
+// Rendering a new version removes the user's older ones.
+export const getOgImage = async (user, theme) => {
+  const dir = ogImageDir();
+  const prefix = `${user.id}-`;
+  const file = path.join(dir, `${prefix}${ogImageVersion(user, theme)}.png`);
+
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const png = await renderOgImage(user, theme);
+
+  await fs.mkdir(dir, { recursive: true });
+  // Write then rename so concurrent requests never read a partial file
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpFile, png);
+  await fs.rename(tmpFile, file);
+
+  const stale = (await fs.readdir(dir))
+    .filter(name => name.startsWith(prefix) && name.endsWith('.png') && path.join(dir, name) !== file);
+  await Promise.all(stale.map(name => fs.rm(path.join(dir, name), { force: true })));
+
+  return png;
+};
+
+// Drop a user's cached images (account deleted)
+export const removeOgImages = async (userId) => {
+  const dir = ogImageDir();
+  const names = await fs.readdir(dir).catch(() => []);
+  await Promise.all(names
+    .filter(name => name.startsWith(`${userId}-`))
+    .map(name => fs.rm(path.join(dir, name), { force: true })));
+};
@@ -0,0 +1,96 @@
+/**
+ * Fake Payment Provider
+ * Local stand-in for Stripe. Checkout sessions live in memory and are
+ * completed by visiting the returned URL, which replays a signed webhook.
+ * Subscriptions from before a restart are unknown here; they are treated
+ * as still running so stored subscriptions can be updated and canceled.
+ */
+
+import crypto from 'crypto';
+
+const BILLING_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const createFakeProvider = ({ webhookSecret, baseUrl }) => {
+  const sessions = new Map();
+  const subscriptions = new Map();
+
+  const sign = (payload) =>
+    crypto.createHmac('sha256', webhookSecret).update(payload).digest('hex');
+
+  return {
+    name: 'fake',
+
+    async createCheckoutSession({ amount, currency, description, successUrl, cancelUrl, metadata = {} }) {
+      const id = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+      sessions.set(id, { id, mode: 'payment', amount, currency, description, successUrl, cancelUrl, metadata });
+      return { id, url: `${baseUrl}/api/payments/fake-checkout/${id}` };
+    },
+
+    async createSubscriptionCheckout({ plan, customerEmail, successUrl, cancelUrl, metadata = {} }) {
+      const id = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+      sessions.set(id, { id, mode: 'subscription', plan, customerEmail, successUrl, cancelUrl, metadata });
+      return { id, url: `${baseUrl}/api/payments/fake-checkout/${id}` };
+    },
+
+    async updateSubscription(subscriptionId, { cancelAtPeriodEnd }) {
+      const subscription = subscriptions.get(subscriptionId) || { subscriptionId };
+      subscription.cancelAtPeriodEnd = Boolean(cancelAtPeriodEnd);
+      subscriptions.set(subscriptionId, subscription);
+      return { type: 'subscription.updated', status: 'active', ...subscription };
+    },
+
+    async cancelSubscription(subscriptionId) {
+      const subscription = subscriptions.get(subscriptionId) || { subscriptionId };
+      subscriptions.delete(subscriptionId);
+      return { type: 'subscription.canceled', status: 'canceled', ...subscription, cancelAtPeriodEnd: false };
+    },
+
+    // Build a signed webhook completing a checkout session, as the real provider would send it
+    buildWebhook(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return null;
+
+      let event;
+      if (session.mode === 'subscription') {
+        const subscription = {
+          subscriptionId: `fake_sub_${crypto.randomBytes(12).toString('hex')}`,
+          currentPeriodEnd: new Date(Date.now() + BILLING_PERIOD_MS).toISOString(),
+          cancelAtPeriodEnd: false
+        };
+        subscriptions.set(subscription.subscriptionId, subscription);
+        event = {
+          type: 'subscription.activated',
+          sessionId,
+          customerId: `fake_cus_${crypto.randomBytes(8).toString('hex')}`,
+          ...subscription,
+          metadata: session.metadata
+        };
+      } else {
+        event = {
+          type: 'payment.succeeded',
+          sessionId,
+          paymentId: `fake_pi_${crypto.randomBytes(12).toString('hex')}`,
+          amount: session.amount,
+          currency: session.currency,
+          metadata: session.metadata
+        };
+      }
+
+      const body = JSON.stringify(event);
+      return { body, headers: { 'x-fake-signature': sign(body) }, session };
+    },
+
+    parseWebhookEvent(rawBody, headers) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+      const signature = headers['x-fake-signature'] || '';
+      const expected = sign(payload);
+
+      if (signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      return JSON.parse(payload);
+    }
+  };
+};
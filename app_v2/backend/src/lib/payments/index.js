@@ -0,0 +1,67 @@
+/**
+ * Payments
+ * Pluggable payment provider. Every provider implements:
+ *
+ *   name
+ *   createCheckoutSession({ amount, currency, description, successUrl, cancelUrl, metadata })
+ *     -> { id, url }
+ *   createSubscriptionCheckout({ plan, customerEmail, successUrl, cancelUrl, metadata })
+ *     -> { id, url }
+ *   updateSubscription(subscriptionId, { cancelAtPeriodEnd }) -> subscription event
+ *   cancelSubscription(subscriptionId) -> subscription event
+ *   parseWebhookEvent(rawBody, headers)
+ *     -> normalized event or null
+ *
+ * Normalized event types:
+ *   'payment.succeeded' / 'payment.failed'
+ *     { sessionId, paymentId, amount, currency, metadata }
+ *   'subscription.activated'
+ *     { sessionId, subscriptionId, customerId, currentPeriodEnd, metadata }
+ *   'subscription.updated' / 'subscription.canceled'
+ *     { subscriptionId, status, cancelAtPeriodEnd, currentPeriodEnd }
+ *
+ * Select the provider with PAYMENT_PROVIDER=stripe|fake (default: fake).
+ * The fake provider completes checkouts without payment, so it refuses
+ * to start in production; Stripe needs its API key and webhook secret.
+ */
+
+import crypto from 'crypto';
+import { createFakeProvider } from './fakeProvider.js';
+import { createStripeProvider } from './stripeProvider.js';
+
+let provider = null;
+
+const createProvider = () => {
+  if (process.env.PAYMENT_PROVIDER === 'stripe') {
+    if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error('PAYMENT_PROVIDER=stripe needs STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET');
+    }
+    return createStripeProvider({
+      secretKey: process.env.STRIPE_SECRET_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+      prices: { premium: process.env.STRIPE_PREMIUM_PRICE_ID }
+    });
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot run in production; set PAYMENT_PROVIDER=stripe');
+  }
+  return createFakeProvider({
+    // Only this process signs fake webhooks, so an unset secret is random
+    // rather than a well-known default anyone could forge with
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'),
+    baseUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`
+  });
+};
+
+export const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+// Swap the provider (used by tests and local tooling)
+export const setPaymentProvider = (next) => {
+  provider = next;
+};
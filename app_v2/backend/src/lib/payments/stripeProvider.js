@@ -0,0 +1,194 @@
+/**
+ * Stripe Payment Provider
+ * Talks to the Stripe REST API directly (no SDK) and verifies
+ * webhook signatures using Stripe's t=...,v1=... scheme.
+ */
+
+import crypto from 'crypto';
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Flatten nested objects into Stripe's form encoding (a[b][c]=value)
+const toFormBody = (data, prefix = '', params = new URLSearchParams()) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      toFormBody(value, name, params);
+    } else {
+      params.append(name, String(value));
+    }
+  }
+  return params;
+};
+
+// Stripe subscription status -> normalized status
+const SUBSCRIPTION_STATUS = {
+  active: 'active',
+  trialing: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  incomplete: 'incomplete',
+  incomplete_expired: 'canceled',
+  canceled: 'canceled'
+};
+
+const toSubscriptionEvent = (type, subscription) => ({
+  type,
+  subscriptionId: subscription.id,
+  status: SUBSCRIPTION_STATUS[subscription.status] || 'incomplete',
+  cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+  currentPeriodEnd: subscription.current_period_end
+    ? new Date(subscription.current_period_end * 1000).toISOString()
+    : null,
+  metadata: subscription.metadata || {}
+});
+
+export const createStripeProvider = ({ secretKey, webhookSecret, prices = {} }) => {
+  const request = async (path, data = {}, method = 'POST') => {
+    if (!secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+
+    const response = await fetch(`${STRIPE_API}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: method === 'DELETE' ? undefined : toFormBody(data)
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+      throw new Error(body.error?.message || `Stripe request failed (${response.status})`);
+    }
+    return body;
+  };
+
+  const verifySignature = (payload, header = '') => {
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Invalid webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature expired');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    if (parts.v1.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected))) {
+      throw new Error('Invalid webhook signature');
+    }
+  };
+
+  return {
+    name: 'stripe',
+
+    async createCheckoutSession({ amount, currency, description, successUrl, cancelUrl, metadata = {} }) {
+      const session = await request('/checkout/sessions', {
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        line_items: {
+          0: {
+            quantity: 1,
+            price_data: {
+              currency,
+              unit_amount: amount,
+              product_data: { name: description }
+            }
+          }
+        },
+        metadata
+      });
+      return { id: session.id, url: session.url };
+    },
+
+    async createSubscriptionCheckout({ plan, customerEmail, successUrl, cancelUrl, metadata = {} }) {
+      if (!prices[plan]) {
+        throw new Error(`No Stripe price configured for plan "${plan}"`);
+      }
+
+      const session = await request('/checkout/sessions', {
+        mode: 'subscription',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        customer_email: customerEmail,
+        line_items: { 0: { quantity: 1, price: prices[plan] } },
+        metadata,
+        subscription_data: { metadata }
+      });
+      return { id: session.id, url: session.url };
+    },
+
+    async updateSubscription(subscriptionId, { cancelAtPeriodEnd }) {
+      const subscription = await request(`/subscriptions/${subscriptionId}`, {
+        cancel_at_period_end: Boolean(cancelAtPeriodEnd)
+      });
+      return toSubscriptionEvent('subscription.updated', subscription);
+    },
+
+    async cancelSubscription(subscriptionId) {
+      const subscription = await request(`/subscriptions/${subscriptionId}`, {}, 'DELETE');
+      return toSubscriptionEvent('subscription.canceled', subscription);
+    },
+
+    parseWebhookEvent(rawBody, headers) {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+      verifySignature(payload, headers['stripe-signature']);
+
+      const event = JSON.parse(payload);
+      const object = event.data?.object || {};
+
+      switch (event.type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded':
+          // Delayed methods (bank debits...) complete unpaid and send
+          // async_payment_succeeded once the money has cleared; a
+          // subscription with a free trial completes with nothing to pay
+          if (object.payment_status !== 'paid' &&
+            !(object.mode === 'subscription' && object.payment_status === 'no_payment_required')) {
+            return null;
+          }
+          if (object.mode === 'subscription') {
+            return {
+              type: 'subscription.activated',
+              sessionId: object.id,
+              subscriptionId: object.subscription,
+              customerId: object.customer,
+              currentPeriodEnd: null,
+              metadata: object.metadata || {}
+            };
+          }
+          return {
+            type: 'payment.succeeded',
+            sessionId: object.id,
+            paymentId: object.payment_intent,
+            amount: object.amount_total,
+            currency: object.currency,
+            metadata: object.metadata || {}
+          };
+        case 'checkout.session.expired':
+        case 'checkout.session.async_payment_failed':
+          return {
+            type: 'payment.failed',
+            sessionId: object.id,
+            metadata: object.metadata || {}
+          };
+        case 'customer.subscription.updated':
+          return toSubscriptionEvent('subscription.updated', object);
+        case 'customer.subscription.deleted':
+          return toSubscriptionEvent('subscription.canceled', object);
+        default:
+          return null;
+      }
+    }
+  };
+};
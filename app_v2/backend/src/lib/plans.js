@@ -0,0 +1,64 @@
+/**
+ * Plan Tiers
+ * Limits and premium-only features per plan (from knowledge base:
+ * free accounts get 10 links and the BioLink badge).
+ */
+
+export const PLANS = {
+  free: {
+    name: 'Free',
+    maxActiveLinks: 10,
+    features: []
+  },
+  premium: {
+    name: 'Premium',
+    maxActiveLinks: Infinity,
+    features: ['removeBadge', 'imageBackground', 'customCss']
+  }
+};
+
+// Accounts that haven't verified their email can only publish a couple of links
+export const UNVERIFIED_MAX_ACTIVE_LINKS = 2;
+
+const FEATURE_LABELS = {
+  removeBadge: 'Removing the BioLink badge',
+  imageBackground: 'Image and video backgrounds',
+  customCss: 'Custom CSS'
+};
+
+export const getPlan = (planTier) => PLANS[planTier] || PLANS.free;
+
+export const maxActiveLinksFor = (user) => {
+  const { maxActiveLinks } = getPlan(user?.planTier);
+  return user?.emailVerified ? maxActiveLinks : Math.min(maxActiveLinks, UNVERIFIED_MAX_ACTIVE_LINKS);
+};
+
+// Whether a link takes up one of the plan's active link slots
+export const countsTowardLinkLimit = (link) => link.isActive === true && link.type !== 'HEADER';
+
+// Whether an update makes a link take a slot it didn't hold before:
+// activating it, or turning a header into any other type
+export const takesNewLinkSlot = (existing, next) => countsTowardLinkLimit(next) && !countsTowardLinkLimit(existing);
+
+export const hasFeature = (user, feature) => getPlan(user?.planTier).features.includes(feature);
+
+// Body for a 402 response when a feature or limit needs a higher plan
+export const planRequiredError = (feature) => ({
+  error: `${FEATURE_LABELS[feature] || 'This feature'} requires a Premium plan`,
+  code: 'PLAN_UPGRADE_REQUIRED',
+  feature,
+  requiredPlan: 'premium'
+});
+
+export const linkLimitError = (planTier) => ({
+  error: `${getPlan(planTier).name} plan is limited to ${getPlan(planTier).maxActiveLinks} active links. Upgrade to Premium for unlimited links.`,
+  code: 'PLAN_UPGRADE_REQUIRED',
+  feature: 'unlimitedLinks',
+  requiredPlan: 'premium'
+});
+
+// Body for a 403 response while the account's email is unverified
+export const unverifiedLinkLimitError = () => ({
+  error: `Verify your email to publish more than ${UNVERIFIED_MAX_ACTIVE_LINKS} links`,
+  code: 'EMAIL_NOT_VERIFIED'
+});
@@ -0,0 +1,72 @@
+/**
+ * Public Profile Cache
+ * Caches GET /api/public/:handle responses, keyed by handleLower.
+ * Entries live for a minute (knowledge base: 1-minute CDN caching) and
+ * are dropped as soon as the owner changes anything shown on the page -
+ * see middleware/profileCache.js.
+ *
+ * Stores implement get(key) -> value|null, set(key, value, ttlMs) and
+ * delete(key). Select with PROFILE_CACHE_STORE=memory|redis (default:
+ * memory, an in-process LRU; redis uses REDIS_URL and is shared by all
+ * servers).
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { createLruStore } from './lruStore.js';
+import { createRedisStore } from './redisStore.js';
+import { getRedisClient } from '../redis.js';
+
+const prisma = new PrismaClient();
+
+export const PROFILE_CACHE_TTL_MS = 60 * 1000;
+
+let store = null;
+
+export const getProfileCacheStore = () => {
+  if (!store) {
+    store = process.env.PROFILE_CACHE_STORE === 'redis'
+      ? createRedisStore({ client: getRedisClient() })
+      : createLruStore({ maxEntries: Number(process.env.PROFILE_CACHE_MAX) || 1000 });
+  }
+  return store;
+};
+
+// Cached { body, etag } for a handle, or null. Cache failures only cost
+// a database query, so they are logged and treated as misses.
+export const getCachedProfile = async (handleLower) => {
+  try {
+    return await getProfileCacheStore().get(handleLower);
+  } catch (error) {
+    console.error('Profile cache read error:', error);
+    return null;
+  }
+};
+
+// Cache a response body and return it with its ETag
+export const cacheProfile = async (handleLower, body) => {
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+  const entry = { body, etag };
+
+  try {
+    await getProfileCacheStore().set(handleLower, entry, PROFILE_CACHE_TTL_MS);
+  } catch (error) {
+    console.error('Profile cache write error:', error);
+  }
+  return entry;
+};
+
+export const invalidateProfile = async (handle) => {
+  if (!handle) return;
+  try {
+    await getProfileCacheStore().delete(handle.toLowerCase());
+  } catch (error) {
+    console.error('Profile cache invalidate error:', error);
+  }
+};
+
+// For callers that only know the user (billing, account deletion)
+export const invalidateUserProfile = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { handle: true } });
+  await invalidateProfile(user?.handle);
+};
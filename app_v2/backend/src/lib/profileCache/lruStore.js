@@ -0,0 +1,40 @@
+/**
+ * In-process LRU profile cache
+ * A Map kept in recency order: reads move an entry to the end, and the
+ * oldest entries are evicted past maxEntries.
+ */
+
+export const createLruStore = ({ maxEntries = 1000 } = {}) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * Redis profile cache
+ * Shared by all servers, so an edit invalidates every copy at once.
+ * Works with any client exposing ioredis-style get, set(key, value, 'PX', ms)
+ * and del.
+ */
+
+export const createRedisStore = ({ client, prefix = 'profile:' }) => {
+  if (!client) {
+    throw new Error('Redis profile cache requires a client (set REDIS_URL)');
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await client.get(`${prefix}${key}`);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(`${prefix}${key}`, JSON.stringify(value), 'PX', ttlMs);
+    },
+
+    async delete(key) {
+      await client.del(`${prefix}${key}`);
+    }
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Rate Limit Stores
+ * Pluggable counter storage for middleware/rateLimit.js. Every store
+ * implements:
+ *
+ *   increment(key, windowMs) -> { count, resetAt }
+ *     Count a hit in the fixed window that holds the key. The window starts
+ *     on the first hit; resetAt is when it ends (ms since epoch).
+ *   get(key) -> { count, resetAt }
+ *     The key's current window without counting a hit (count 0 if none).
+ *   reset(key)
+ *
+ * The memory store suits a single server. Run several and counters must be
+ * shared: select the Redis store with RATE_LIMIT_STORE=redis (uses REDIS_URL).
+ */
+
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+import { getRedisClient } from '../redis.js';
+
+let store = null;
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'redis'
+      ? createRedisStore({ client: getRedisClient() })
+      : createMemoryStore();
+  }
+  return store;
+};
+
+// Swap the store (used by tests and local tooling)
+export const setRateLimitStore = (next) => {
+  store = next;
+};
@@ -0,0 +1,47 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process only, so limits apply per server.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows so idle keys don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    async get(key) {
+      const window = windows.get(key);
+      if (!window || window.resetAt <= Date.now()) {
+        return { count: 0, resetAt: Date.now() };
+      }
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
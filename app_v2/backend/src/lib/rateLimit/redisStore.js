@@ -0,0 +1,53 @@
+/**
+ * Redis rate limit store
+ * Shares counters between servers. Works with any client exposing
+ * ioredis-style eval(script, numKeys, ...keysAndArgs) and del(key).
+ */
+
+// Increment and start the window on the first hit, atomically.
+// Returns [count, milliseconds left in the window].
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+// Returns [count, milliseconds left in the window], or [0, 0] for no window
+const GET_SCRIPT = `
+local count = redis.call('GET', KEYS[1])
+if not count then
+  return { 0, 0 }
+end
+return { tonumber(count), math.max(redis.call('PTTL', KEYS[1]), 0) }
+`;
+
+export const createRedisStore = ({ client, prefix = 'ratelimit:' }) => {
+  if (!client) {
+    throw new Error('Redis rate limit store requires a client (set REDIS_URL)');
+  }
+
+  return {
+    name: 'redis',
+
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, `${prefix}${key}`, windowMs);
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+
+    async get(key) {
+      const [count, ttl] = await client.eval(GET_SCRIPT, 1, `${prefix}${key}`);
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+
+    async reset(key) {
+      await client.del(`${prefix}${key}`);
+    }
+  };
+};
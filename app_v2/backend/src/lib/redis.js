@@ -0,0 +1,18 @@
+/**
+ * Redis
+ * Shared client for multi-server features (rate limiting, profile cache).
+ * Created on first use from REDIS_URL, so single-server setups never
+ * connect.
+ */
+
+import Redis from 'ioredis';
+
+let client = null;
+
+export const getRedisClient = () => {
+  if (!client && process.env.REDIS_URL) {
+    client = new Redis(process.env.REDIS_URL);
+    client.on('error', error => console.error('Redis error:', error));
+  }
+  return client;
+};
@@ -0,0 +1,101 @@
+/**
+ * Reserved Handles
+ * Handles nobody can register: names of app routes (profiles live at
+ * /:handle), brands, and profanity. Built-in lists live here; admins add
+ * more through /api/admin/reserved-handles.
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+export const RESERVED_CATEGORIES = ['route', 'brand', 'profanity', 'other'];
+
+// Top-level paths used by the frontend and API, now or likely later
+const ROUTE_HANDLES = [
+  'about', 'account', 'admin', 'api', 'app', 'assets', 'auth', 'billing', 'blog',
+  'careers', 'contact', 'dashboard', 'docs', 'download', 'explore', 'faq', 'favicon.ico',
+  'features', 'help', 'home', 'index', 'legal', 'login', 'logout', 'manifest.json',
+  'pricing', 'privacy', 'profile', 'public', 'register', 'robots.txt', 'root', 'security',
+  'settings', 'signin', 'signout', 'signup', 'sitemap.xml', 'static', 'status', 'support',
+  'system', 'terms', 'www'
+];
+
+// Our own name plus brands people are likely to impersonate
+const BRAND_HANDLES = [
+  'biolink', 'biolinkapp', 'biolinkhq', 'biolinksupport', 'biolinkteam', 'official',
+  'amazon', 'apple', 'discord', 'facebook', 'github', 'google', 'instagram', 'linkedin',
+  'linktree', 'meta', 'microsoft', 'netflix', 'paypal', 'reddit', 'snapchat', 'spotify',
+  'stripe', 'tiktok', 'twitch', 'twitter', 'whatsapp', 'youtube'
+];
+
+// Matched against whole words of the handle (split on periods, underscores
+// and digits), plus plural and -er/-ing forms. Substrings aren't checked:
+// that would catch "scunthorpe" and "matsushita". Admins reserve anything
+// else by hand.
+const PROFANITY = [
+  'asshole', 'bitch', 'bastard', 'cunt', 'dickhead', 'faggot', 'fuck', 'motherfucker',
+  'nigger', 'nigga', 'retard', 'shit', 'slut', 'whore'
+];
+
+const BUILT_IN = new Map([
+  ...ROUTE_HANDLES.map(handle => [handle, 'route']),
+  ...BRAND_HANDLES.map(handle => [handle, 'brand'])
+]);
+
+const PROFANITY_SUFFIXES = ['', 's', 'es', 'er', 'ers', 'ing', 'y'];
+
+const PROFANE_WORDS = new Set(PROFANITY.flatMap(word => PROFANITY_SUFFIXES.map(suffix => word + suffix)));
+
+const containsProfanity = (handleLower) => {
+  return handleLower.split(/[^a-z]+/).some(word => PROFANE_WORDS.has(word));
+};
+
+// Built-in reservations need no database lookup
+const builtInReservation = (handleLower) => {
+  if (BUILT_IN.has(handleLower)) {
+    return { category: BUILT_IN.get(handleLower), builtIn: true };
+  }
+  if (containsProfanity(handleLower)) {
+    return { category: 'profanity', builtIn: true };
+  }
+  return null;
+};
+
+// Why a handle is reserved ({ category, builtIn }), or null if it isn't
+export const findReservation = async (handleLower) => {
+  const builtIn = builtInReservation(handleLower);
+  if (builtIn) return builtIn;
+
+  const entry = await prisma.reservedHandle.findUnique({
+    where: { handleLower },
+    select: { category: true }
+  });
+  return entry && { category: entry.category, builtIn: false };
+};
+
+// Which of several lowercase handles are reserved, in one query
+export const findReservedHandles = async (handleLowers) => {
+  const reserved = new Set(handleLowers.filter(builtInReservation));
+
+  const entries = await prisma.reservedHandle.findMany({
+    where: { handleLower: { in: handleLowers.filter(handle => !reserved.has(handle)) } },
+    select: { handleLower: true }
+  });
+  entries.forEach(entry => reserved.add(entry.handleLower));
+
+  return reserved;
+};
+
+// Message shown to users; profanity isn't called out as such
+export const reservedHandleMessage = (reservation) => {
+  return reservation.category === 'profanity'
+    ? 'This handle is not allowed'
+    : 'This handle is reserved';
+};
+
+export const builtInReservedHandles = () => ({
+  route: ROUTE_HANDLES,
+  brand: BRAND_HANDLES,
+  profanity: PROFANITY
+});
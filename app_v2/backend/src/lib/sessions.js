@@ -0,0 +1,176 @@
+/**
+ * Sessions
+ * Short-lived access tokens backed by server-side sessions. Each device
+ * gets a Session row holding the hash of a rotating refresh token, which
+ * travels in an httpOnly cookie so scripts on the page can never read it.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { createToken, hashToken } from './tokens.js';
+import { frontendOrigin } from './config.js';
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const REFRESH_COOKIE = 'biolink_refresh';
+
+// Frontend and API live on different domains in production, so the cookie
+// has to be SameSite=None (which browsers only accept with Secure)
+const refreshCookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: '/api/auth',
+    maxAge: REFRESH_TOKEN_TTL_MS
+  };
+};
+
+export const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, refreshCookieOptions());
+};
+
+export const clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE, options);
+};
+
+// Any site can make the browser send a SameSite=None cookie, so routes
+// that act on it only answer the frontend. Browsers always send Origin
+// on cross-origin POSTs; requests without one aren't from another page.
+export const isTrustedOrigin = (req) => {
+  const origin = req.get('origin');
+  return !origin || origin === frontendOrigin();
+};
+
+// Salted so stored hashes can't be reversed with a lookup table of IPs
+export const hashIp = (ip) =>
+  ip ? crypto.createHash('sha256').update(`${process.env.JWT_SECRET}:${ip}`).digest('hex') : null;
+
+// Human-readable label such as "Chrome on macOS"
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const clientDetails = (req) => {
+  const userAgent = req.headers['user-agent'] || null;
+  return {
+    userAgent: userAgent ? userAgent.substring(0, 255) : null,
+    device: describeDevice(userAgent || ''),
+    ipHash: hashIp(req.ip)
+  };
+};
+
+export const generateAccessToken = (session) => {
+  return jwt.sign(
+    { userId: session.userId, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Sign in on a new device. Returns { session, accessToken, refreshToken }.
+export const createSession = async (user, req) => {
+  const { token: refreshToken, tokenHash } = createToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: tokenHash,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...clientDetails(req)
+    }
+  });
+
+  return { session, accessToken: generateAccessToken(session), refreshToken };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working. Returns null if it isn't valid.
+export const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+    include: { user: { select: { isActive: true } } }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user.isActive) {
+    return null;
+  }
+
+  const { token: nextRefreshToken, tokenHash } = createToken();
+
+  // Conditional on the old hash so two concurrent refreshes can't both win
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash },
+    data: {
+      refreshTokenHash: tokenHash,
+      lastSeenAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...clientDetails(req)
+    }
+  });
+  if (count !== 1) return null;
+
+  return { session, accessToken: generateAccessToken(session), refreshToken: nextRefreshToken };
+};
+
+// Where filter for sessions that can still be used
+export const activeSessionWhere = (userId) => ({
+  userId,
+  revokedAt: null,
+  expiresAt: { gt: new Date() }
+});
+
+export const revokeSession = async (sessionId, userId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count > 0;
+};
+
+export const revokeSessionByToken = async (refreshToken) => {
+  if (!refreshToken) return;
+  await prisma.session.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+// Log a user out everywhere, optionally keeping the current session
+export const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+  await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date() }
+  });
+};
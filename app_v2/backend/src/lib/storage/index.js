@@ -0,0 +1,65 @@
+/**
+ * Media Storage
+ * Pluggable storage for uploaded media. Every adapter implements:
+ *   put(key, body, { contentType }) -> public URL
+ *   get(key) -> Buffer, or null if missing
+ *   remove(keys)
+ *   url(key)
+ * Keys look like avatars/<userId>/<assetId>/large.jpg and are never
+ * reused, so the files can be cached forever.
+ *
+ * Select with STORAGE_DRIVER=local|s3. Local files live in MEDIA_DIR and
+ * are served by the API at /media; s3 works with any S3-compatible service
+ * (AWS, R2, MinIO...). Local is only the default in development: serverless
+ * disks are thrown away, so production has to choose, and Vercel gets s3.
+ */
+
+import { createLocalStorage } from './localStorage.js';
+import { createS3Storage } from './s3Storage.js';
+
+let storage = null;
+
+const S3_SETTINGS = ['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'];
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? null : 'local');
+
+  if (driver === 's3') {
+    const missing = S3_SETTINGS.filter(name => !process.env[name]);
+    if (missing.length) {
+      throw new Error(`STORAGE_DRIVER=s3 needs ${missing.join(', ')}`);
+    }
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      publicUrl: process.env.S3_PUBLIC_URL
+    });
+  }
+
+  if (driver !== 'local') {
+    throw new Error('Set STORAGE_DRIVER to "s3" (or "local" on a server with a persistent disk)');
+  }
+  if (process.env.VERCEL) {
+    throw new Error('STORAGE_DRIVER=local loses uploads on Vercel; use s3');
+  }
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+  return createLocalStorage({
+    dir: process.env.MEDIA_DIR || './tmp/media',
+    baseUrl: `${apiUrl}/media`
+  });
+};
+
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+// Swap the adapter (used by tests and local tooling)
+export const setStorage = (next) => {
+  storage = next;
+};
@@ -0,0 +1,59 @@
+/**
+ * Local Disk Storage
+ * Keeps media under a directory on this server. The API serves it at
+ * /media (see handler()), so this only suits a single long-running server.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+
+export const createLocalStorage = ({ dir, baseUrl }) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the media pipeline, but never leave the root
+  const filePath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    async put(key, body) {
+      const file = filePath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return this.url(key);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(filePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(keys) {
+      const files = keys.map(filePath);
+      await Promise.all(files.map(file => fs.rm(file, { force: true })));
+      // Each upload has its own folder; drop it once empty
+      const folders = [...new Set(files.map(file => path.dirname(file)))];
+      await Promise.all(folders.map(folder => fs.rmdir(folder).catch(() => {})));
+    },
+
+    // Static file handler for /media
+    handler() {
+      return express.static(root, { immutable: true, maxAge: '1y', index: false });
+    }
+  };
+};
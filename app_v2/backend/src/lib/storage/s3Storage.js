@@ -0,0 +1,105 @@
+/**
+ * S3 Storage
+ * Talks to any S3-compatible API directly (no SDK), signing requests with
+ * AWS Signature Version 4. Objects are addressed path-style
+ * (<endpoint>/<bucket>/<key>), which AWS, R2 and MinIO all accept.
+ * Files are served from S3_PUBLIC_URL (a CDN or public bucket URL).
+ */
+
+import crypto from 'crypto';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of each path segment, as SigV4 expects
+const encodeKey = (key) => key.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+// Headers for a SigV4-signed request (no query string), Authorization
+// included. Host is signed but left out, fetch sets it.
+export const signRequest = ({ method, url, headers = {}, body, region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...requestHeaders } = signed;
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+
+export const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+  const baseUrl = `${(endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '')}/${bucket}`;
+
+  const signedFetch = (method, key, { body, headers } = {}) => {
+    const url = new URL(`${baseUrl}/${encodeKey(key)}`);
+    return fetch(url, {
+      method,
+      body,
+      headers: signRequest({ method, url, headers, body, region, accessKeyId, secretAccessKey })
+    });
+  };
+
+  const check = async (response, action) => {
+    if (!response.ok) {
+      throw new Error(`S3 ${action} failed (${response.status}): ${await response.text()}`);
+    }
+  };
+
+  return {
+    name: 's3',
+
+    url(key) {
+      return `${(publicUrl || baseUrl).replace(/\/$/, '')}/${key}`;
+    },
+
+    async put(key, body, { contentType } = {}) {
+      const response = await signedFetch('PUT', key, {
+        body,
+        headers: {
+          'Content-Type': contentType || 'application/octet-stream',
+          'Cache-Control': 'public, max-age=31536000, immutable'
+        }
+      });
+      await check(response, 'upload');
+      return this.url(key);
+    },
+
+    async get(key) {
+      const response = await signedFetch('GET', key);
+      if (response.status === 404) return null;
+      await check(response, 'download');
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async remove(keys) {
+      // Deleting a missing object succeeds, so retries are harmless
+      await Promise.all(keys.map(async (key) => {
+        await check(await signedFetch('DELETE', key), 'delete');
+      }));
+    }
+  };
+};
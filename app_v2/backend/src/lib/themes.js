@@ -0,0 +1,171 @@
+/**
+ * Profile Themes
+ * A theme is a set of colors, a corner radius and a font. The presets are
+ * Theme rows seeded by prisma/seed.js (no owner, readable ids); creators
+ * can also build their own. The public page turns the theme into CSS
+ * variables and share images use the same colors.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { isValidBackgroundColor } from './backgrounds.js';
+import { FONT_IDS } from './fonts.js';
+
+const prisma = new PrismaClient();
+
+export const DEFAULT_THEME_ID = 'dark';
+export const MAX_CUSTOM_THEMES = 20;
+export const MAX_CORNER_RADIUS = 32;
+// WCAG AA for normal-size text
+export const WCAG_AA_RATIO = 4.5;
+
+// The dark preset, for when presets haven't been seeded yet
+const FALLBACK_THEME = {
+  id: DEFAULT_THEME_ID,
+  userId: null,
+  name: 'Dark',
+  backgroundColor: '#0a0a0a',
+  textColor: '#ffffff',
+  buttonColor: '#ffffff14',
+  buttonTextColor: '#ffffff',
+  buttonBorderColor: '#ffffff1a',
+  buttonShadowColor: '#00000033',
+  cornerRadius: 16,
+  fontFamily: 'Inter'
+};
+
+// Colors other than the background; #rrggbb or #rrggbbaa
+const COLOR_FIELDS = {
+  textColor: 'Text color',
+  buttonColor: 'Button color',
+  buttonTextColor: 'Button text color',
+  buttonBorderColor: 'Button border color',
+  buttonShadowColor: 'Button shadow color'
+};
+const HEX_COLOR = /^#[0-9a-f]{6}([0-9a-f]{2})?$/i;
+
+const STYLE_FIELDS = ['backgroundColor', ...Object.keys(COLOR_FIELDS), 'cornerRadius', 'fontFamily'];
+
+// The values a page is drawn from
+export const themeStyle = (theme) => {
+  return Object.fromEntries(STYLE_FIELDS.map(field => [field, theme[field]]));
+};
+
+/**
+ * Check a theme from the editor.
+ * Returns { data } ready to save or { error }.
+ */
+export const validateTheme = (input) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 40) {
+    return { error: 'Theme name must be 1-40 characters' };
+  }
+
+  if (!isValidBackgroundColor(input.backgroundColor)) {
+    return { error: 'Background must be a hex color or a linear gradient' };
+  }
+
+  for (const [field, label] of Object.entries(COLOR_FIELDS)) {
+    if (!HEX_COLOR.test(input[field] || '')) {
+      return { error: `${label} must be a hex color` };
+    }
+  }
+
+  const cornerRadius = Number(input.cornerRadius);
+  if (!Number.isInteger(cornerRadius) || cornerRadius < 0 || cornerRadius > MAX_CORNER_RADIUS) {
+    return { error: `Corner radius must be between 0 and ${MAX_CORNER_RADIUS}px` };
+  }
+
+  if (!FONT_IDS.includes(input.fontFamily)) {
+    return { error: 'Unknown font' };
+  }
+
+  return {
+    data: {
+      name,
+      ...Object.fromEntries(['backgroundColor', ...Object.keys(COLOR_FIELDS)].map(field => [field, input[field].toLowerCase()])),
+      cornerRadius,
+      fontFamily: input.fontFamily
+    }
+  };
+};
+
+const parseHex = (hex) => ({
+  r: parseInt(hex.slice(1, 3), 16),
+  g: parseInt(hex.slice(3, 5), 16),
+  b: parseInt(hex.slice(5, 7), 16),
+  a: hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1
+});
+
+// A translucent color as it appears over an opaque one
+const blend = (top, bottom) => ({
+  r: top.r * top.a + bottom.r * (1 - top.a),
+  g: top.g * top.a + bottom.g * (1 - top.a),
+  b: top.b * top.a + bottom.b * (1 - top.a),
+  a: 1
+});
+
+const luminance = ({ r, g, b }) => {
+  const [R, G, B] = [r, g, b].map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+};
+
+// WCAG contrast ratio between two opaque colors (1 to 21)
+const contrastRatio = (a, b) => {
+  const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Contrast of the theme's text on its background and of button text on
+ * buttons. Gradients are checked at every stop and the worst ratio wins.
+ */
+export const checkContrast = (theme) => {
+  const stops = theme.backgroundColor.match(/#[0-9a-f]{6}/gi).map(parseHex);
+  const worst = (ratios) => Math.round(Math.min(...ratios) * 100) / 100;
+
+  const text = worst(stops.map(bg => contrastRatio(blend(parseHex(theme.textColor), bg), bg)));
+  const button = worst(stops.map(bg => {
+    const fill = blend(parseHex(theme.buttonColor), bg);
+    return contrastRatio(blend(parseHex(theme.buttonTextColor), fill), fill);
+  }));
+
+  return {
+    text: { ratio: text, passesAA: text >= WCAG_AA_RATIO },
+    button: { ratio: button, passesAA: button >= WCAG_AA_RATIO }
+  };
+};
+
+// Theme as returned to its owner or the editor
+export const formatTheme = (theme) => ({
+  id: theme.id,
+  name: theme.name,
+  isPreset: !theme.userId,
+  ...themeStyle(theme),
+  contrast: checkContrast(theme)
+});
+
+// Presets first, then the user's own themes
+export const listThemes = async (userId) => {
+  const [presets, own] = await Promise.all([
+    prisma.theme.findMany({ where: { userId: null }, orderBy: { position: 'asc' } }),
+    userId ? prisma.theme.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } }) : []
+  ]);
+  return [...presets, ...own];
+};
+
+// A preset or one of the user's themes, or null
+export const findTheme = (id, userId) => {
+  return prisma.theme.findFirst({
+    where: { id, OR: [{ userId: null }, { userId }] }
+  });
+};
+
+// The theme a profile is drawn with. Unknown ids fall back to the default.
+export const getTheme = async (id, userId) => {
+  const theme = (id && await findTheme(id, userId))
+    || await prisma.theme.findUnique({ where: { id: DEFAULT_THEME_ID } });
+  return theme || FALLBACK_THEME;
+};
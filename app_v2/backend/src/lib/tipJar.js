@@ -0,0 +1,64 @@
+/**
+ * Tip Jar
+ * Configuration for COMMERCE links. Amounts are stored in cents.
+ */
+
+export const TIP_CURRENCIES = ['usd', 'eur', 'gbp'];
+export const MIN_TIP = 100;       // $1.00
+export const MAX_TIP = 50000;     // $500.00
+const DEFAULT_AMOUNTS = [500, 1000, 2000];
+const MAX_PRESETS = 4;
+
+// Validate settings.tipJar for COMMERCE links, drop it for everything else.
+// Returns { settings } or { error }.
+export const applyTipJarSettings = (type, settings = {}) => {
+  const { tipJar, ...rest } = settings;
+
+  if (type !== 'COMMERCE') {
+    return { settings: rest };
+  }
+
+  const config = tipJar || {};
+  // Text fields arrive as JSON, so check they really are strings
+  const text = ['title', 'description', 'currency']
+    .find(field => config[field] !== undefined && config[field] !== null && typeof config[field] !== 'string');
+  if (text) {
+    return { error: `Tip jar ${text} must be text` };
+  }
+
+  const amounts = Array.isArray(config.amounts) && config.amounts.length > 0
+    ? config.amounts.map(Number)
+    : DEFAULT_AMOUNTS;
+
+  if (amounts.length > MAX_PRESETS) {
+    return { error: `A tip jar can have at most ${MAX_PRESETS} preset amounts` };
+  }
+  if (amounts.some(amount => !Number.isInteger(amount) || amount < MIN_TIP || amount > MAX_TIP)) {
+    return { error: 'Tip amounts must be between $1 and $500' };
+  }
+
+  const currency = (config.currency || 'usd').toLowerCase();
+  if (!TIP_CURRENCIES.includes(currency)) {
+    return { error: `Currency must be one of: ${TIP_CURRENCIES.join(', ')}` };
+  }
+
+  return {
+    settings: {
+      ...rest,
+      tipJar: {
+        title: (config.title || '').substring(0, 60),
+        description: (config.description || '').substring(0, 150),
+        amounts: [...new Set(amounts)].sort((a, b) => a - b),
+        currency,
+        allowCustom: Boolean(config.allowCustom)
+      }
+    }
+  };
+};
+
+// Check a visitor-chosen amount against the link's tip jar
+export const isValidTipAmount = (tipJar, amount) => {
+  if (!Number.isInteger(amount)) return false;
+  if (tipJar.amounts.includes(amount)) return true;
+  return tipJar.allowCustom && amount >= MIN_TIP && amount <= MAX_TIP;
+};
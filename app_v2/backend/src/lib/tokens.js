@@ -0,0 +1,16 @@
+/**
+ * One-time Tokens
+ * Random tokens for emailed links. Only the SHA-256 hash is stored,
+ * so a database leak does not expose usable tokens.
+ */
+
+import crypto from 'crypto';
+
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Returns { token, tokenHash } - send the token, store the hash
+export const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
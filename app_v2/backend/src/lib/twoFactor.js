@@ -0,0 +1,165 @@
+/**
+ * Two-Factor Authentication
+ * Login challenges, second-factor checks and recovery codes on top of TOTP.
+ * TOTP secrets are stored encrypted (AES-256-GCM) with TOTP_ENCRYPTION_KEY.
+ */
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { verifyCode } from './totp.js';
+import { createToken, hashToken } from './tokens.js';
+
+const prisma = new PrismaClient();
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const SECRET_FORMAT = 'v1';
+
+// Recovery codes are compared case- and dash-insensitively
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const encryptionKey = () => {
+  const key = process.env.TOTP_ENCRYPTION_KEY;
+  if (!key && process.env.NODE_ENV === 'production') {
+    throw new Error('TOTP_ENCRYPTION_KEY is required in production');
+  }
+  return crypto.createHash('sha256').update(key || process.env.JWT_SECRET).digest();
+};
+
+// "v1:iv:tag:ciphertext", base64 parts
+export const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [SECRET_FORMAT, iv, cipher.getAuthTag(), encrypted]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+export const decryptTotpSecret = (stored) => {
+  const [, iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Short-lived token proving the password step passed. Only its hash is
+// stored, and it allows a handful of codes before it has to be redone.
+export const createChallengeToken = async (user) => {
+  const { token, tokenHash } = createToken();
+  await prisma.twoFactorChallenge.create({
+    data: {
+      userId: user.id,
+      tokenHash,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+    }
+  });
+  return token;
+};
+
+// Use up one attempt on a challenge. Returns the challenge, or null if
+// it is invalid, expired, already used or out of attempts.
+export const claimChallengeAttempt = async (token) => {
+  const challenge = await prisma.twoFactorChallenge.findUnique({
+    where: { tokenHash: hashToken(String(token)) }
+  });
+  if (!challenge || challenge.purpose !== 'login' || challenge.usedAt || challenge.expiresAt < new Date()) return null;
+
+  // Counted before the code is checked, so parallel guesses can't overshoot
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null, attempts: { lt: MAX_CHALLENGE_ATTEMPTS } },
+    data: { attempts: { increment: 1 } }
+  });
+  return count === 1 ? challenge : null;
+};
+
+// Signed-in code checks (disabling 2FA, new recovery codes) share one
+// challenge per user with the same allowance as a login. Returns false
+// once its attempts are used up, until it expires.
+export const claimAccountCodeAttempt = async (userId) => {
+  const now = new Date();
+  const challenge = await prisma.twoFactorChallenge.findFirst({
+    where: { userId, purpose: 'account', usedAt: null, expiresAt: { gt: now } },
+    orderBy: { createdAt: 'desc' }
+  }) || await prisma.twoFactorChallenge.create({
+    data: {
+      userId,
+      purpose: 'account',
+      // Never handed out: the challenge only counts attempts
+      tokenHash: createToken().tokenHash,
+      expiresAt: new Date(now.getTime() + CHALLENGE_TTL_MS)
+    }
+  });
+
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, attempts: { lt: MAX_CHALLENGE_ATTEMPTS } },
+    data: { attempts: { increment: 1 } }
+  });
+  return count === 1;
+};
+
+// Drop pending challenges, so a password change also ends logins that
+// got past the old password
+export const revokeChallenges = async (userId) => {
+  await prisma.twoFactorChallenge.deleteMany({ where: { userId, usedAt: null } });
+};
+
+// Mark a challenge as exchanged for a session. False if another request did first.
+export const completeChallenge = async (challenge) => {
+  const { count } = await prisma.twoFactorChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count === 1;
+};
+
+// Replace the user's recovery codes. Returns the plain codes - shown once.
+export const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+    })
+  ]);
+
+  return codes;
+};
+
+// Check an authenticator code or a recovery code for a user with 2FA.
+// Accepted codes are consumed so neither can be used twice.
+export const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!user.totpSecret) return false;
+
+  if (recoveryCode) {
+    const { count } = await prisma.recoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+    return count === 1;
+  }
+
+  const secret = decryptTotpSecret(user.totpSecret);
+  const step = verifyCode(secret, code, { lastStep: user.totpLastStep });
+  if (step === null) return false;
+
+  // Only advance if no concurrent request used this step first
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }]
+    },
+    data: { totpLastStep: step }
+  });
+  return count === 1;
+};
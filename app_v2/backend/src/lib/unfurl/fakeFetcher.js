@@ -0,0 +1,43 @@
+/**
+ * Fake Unfurl Fetcher
+ * Never touches the network. Every page declares an og:image, and every
+ * image is a PNG colored by its hostname, so the same URL always unfurls
+ * the same way. Pass `responses` to script specific URLs, e.g.
+ * { 'https://x.com/': { status: 404 } } or { ..., { contentType, body } }.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+export const createFakeFetcher = ({ responses = {} } = {}) => ({
+  name: 'fake',
+  requests: [],
+
+  async fetch(href, { accept }) {
+    this.requests.push(href);
+    const url = new URL(href);
+
+    const scripted = responses[href];
+    if (scripted?.status) {
+      throw new Error(`Fetching ${href} failed with ${scripted.status}`);
+    }
+    if (scripted) {
+      return { url: href, contentType: scripted.contentType, body: Buffer.from(scripted.body) };
+    }
+
+    if (accept.startsWith('text/html')) {
+      return {
+        url: href,
+        contentType: 'text/html; charset=utf-8',
+        body: Buffer.from(`<html><head><meta property="og:image" content="/og-image.png"></head></html>`)
+      };
+    }
+
+    const color = `#${crypto.createHash('md5').update(url.hostname).digest('hex').slice(0, 6)}`;
+    return {
+      url: href,
+      contentType: 'image/png',
+      body: await sharp({ create: { width: 256, height: 256, channels: 3, background: color } }).png().toBuffer()
+    };
+  }
+});
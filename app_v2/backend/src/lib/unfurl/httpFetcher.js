@@ -0,0 +1,171 @@
+/**
+ * HTTP Unfurl Fetcher
+ * Fetches creator-supplied URLs from the server, so it refuses anything
+ * that could reach internal services: only http(s) on default ports, and
+ * every address it connects to (including each redirect) must be public.
+ * The check runs inside the socket's DNS lookup, so a name can't resolve
+ * to a public address for the check and a private one for the connection.
+ * Responses are size-capped and time-limited.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'BioLinkBot/1.0 (+https://biolink.com)';
+
+// Loopback, private, link-local, CGNAT, documentation, multicast and other
+// non-public ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+const ipv4ToInt = (ip) => ip.split('.').reduce((value, part) => (value << 8) + Number(part), 0) >>> 0;
+
+const intToIpv4 = (value) => [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+
+// The eight 16-bit groups of a valid IPv6 address
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0];
+  const dotted = text.match(/\d+\.\d+\.\d+\.\d+$/)?.[0];
+  if (dotted) {
+    const value = ipv4ToInt(dotted);
+    text = `${text.slice(0, -dotted.length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+// IPv4 address carried inside an IPv6 one (mapped, compatible, NAT64,
+// 6to4, Teredo), which is where the packets actually end up
+const embeddedIpv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const fromGroups = (high, low) => intToIpv4(((high << 16) | low) >>> 0);
+  const zeroPrefix = groups.slice(0, 5).every(group => group === 0);
+
+  if (zeroPrefix && (groups[5] === 0 || groups[5] === 0xffff)) return fromGroups(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return fromGroups(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) return fromGroups(groups[1], groups[2]);
+  if (groups[0] === 0x2001 && groups[1] === 0) return fromGroups(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+  return null;
+};
+
+export const isPublicAddress = (address) => {
+  if (net.isIPv4(address)) {
+    return !BLOCKED.check(address, 'ipv4');
+  }
+  if (!net.isIPv6(address)) {
+    return false;
+  }
+  const ipv4 = embeddedIpv4(address);
+  if (ipv4 && !isPublicAddress(ipv4)) {
+    return false;
+  }
+  return !BLOCKED.check(address.split('%')[0], 'ipv6');
+};
+
+// dns.lookup that refuses non-public results. Sockets call it for every
+// connection, so the address checked is the address connected to.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.length || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(`Refusing to fetch non-public address for ${hostname}`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// IP literals never go through a lookup, so they're checked up front
+const assertFetchableUrl = (url) => {
+  if (!['http:', 'https:'].includes(url.protocol) || url.port || url.username || url.password) {
+    throw new Error(`Refusing to fetch ${url.href}`);
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    throw new Error(`Refusing to fetch non-public address for ${url.hostname}`);
+  }
+};
+
+const request = (url, { accept, signal }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  client.get(url, {
+    headers: { 'User-Agent': USER_AGENT, Accept: accept },
+    lookup: publicLookup,
+    signal
+  }, resolve).on('error', reject);
+});
+
+// Read at most maxBytes of the body
+const readBody = async (response, maxBytes) => {
+  const declared = Number(response.headers['content-length']);
+  if (declared > maxBytes) {
+    response.destroy();
+    throw new Error(`Response too large (${declared} bytes)`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw new Error('Response too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+export const createHttpFetcher = ({ timeoutMs = 5000 } = {}) => ({
+  name: 'http',
+
+  async fetch(href, { accept, maxBytes }) {
+    let url = new URL(href);
+    const signal = AbortSignal.timeout(timeoutMs);
+
+    for (let redirects = 0; ; redirects++) {
+      assertFetchableUrl(url);
+
+      const response = await request(url, { accept, signal });
+      const { statusCode } = response;
+
+      const location = response.headers.location;
+      if (statusCode >= 300 && statusCode < 400 && location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error('Too many redirects');
+        }
+        url = new URL(location, url);
+        continue;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw new Error(`Fetching ${url.href} failed with ${statusCode}`);
+      }
+
+      return {
+        url: url.href,
+        contentType: response.headers['content-type'] || '',
+        body: await readBody(response, maxBytes)
+      };
+    }
+  }
+});
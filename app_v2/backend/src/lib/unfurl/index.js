@@ -0,0 +1,131 @@
+/**
+ * Link Unfurling
+ * Finds thumbnail candidates for a link's target page: its og:image or
+ * twitter:image, then its declared icons (largest first), then
+ * /favicon.ico. Fetchers implement
+ *   fetch(url, { accept, maxBytes }) -> { url, contentType, body }
+ * and throw when the URL can't be fetched.
+ *
+ * Select with UNFURL_FETCHER=http|fake (default: http). The fake fetcher
+ * never touches the network, for tests and offline development.
+ */
+
+import { createHttpFetcher } from './httpFetcher.js';
+import { createFakeFetcher } from './fakeFetcher.js';
+
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+let fetcher = null;
+
+export const getUnfurlFetcher = () => {
+  if (!fetcher) {
+    fetcher = process.env.UNFURL_FETCHER === 'fake'
+      ? createFakeFetcher()
+      : createHttpFetcher({ timeoutMs: Number(process.env.UNFURL_TIMEOUT_MS) || 5000 });
+  }
+  return fetcher;
+};
+
+// Swap the fetcher (used by tests and local tooling)
+export const setUnfurlFetcher = (next) => {
+  fetcher = next;
+};
+
+const decodeEntities = (value) => value
+  .replace(/&amp;/g, '&')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+// Attributes of every <tagName ...> in the document
+const findTags = (html, tagName) => {
+  const tags = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || [];
+  return tags.map(tag => {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-zA-Z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+    }
+    return attributes;
+  });
+};
+
+// Largest declared size of an icon ("32x32 192x192" -> 192). Undeclared
+// apple-touch-icons are usually 180px; other undeclared icons rank last.
+const iconSize = (icon) => {
+  const sizes = (icon.sizes || '').match(/\d+/g)?.map(Number) || [];
+  return Math.max(0, ...sizes) || (/apple/i.test(icon.rel) ? 180 : 0);
+};
+
+/**
+ * Image URLs to try for a page, best first, each { url, source } where
+ * source is og_image, icon or favicon.
+ */
+export const findImageCandidates = async (pageUrl) => {
+  const page = await getUnfurlFetcher().fetch(pageUrl, {
+    accept: 'text/html,application/xhtml+xml',
+    maxBytes: MAX_HTML_BYTES
+  });
+  const html = page.contentType.includes('html') ? page.body.toString('utf-8') : '';
+  const resolve = (href) => {
+    try {
+      return new URL(href, page.url).href;
+    } catch {
+      return null;
+    }
+  };
+
+  const meta = findTags(html, 'meta');
+  const shareImages = ['og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src']
+    .flatMap(key => meta.filter(tag => (tag.property || tag.name || '').toLowerCase() === key))
+    .map(tag => tag.content);
+
+  const icons = findTags(html, 'link')
+    .filter(tag => /(^|\s)(icon|apple-touch-icon)(\s|$)/i.test(tag.rel || '') && tag.href)
+    .sort((a, b) => iconSize(b) - iconSize(a))
+    .map(tag => tag.href);
+
+  const candidates = [
+    ...shareImages.map(href => ({ url: resolve(href), source: 'og_image' })),
+    ...icons.map(href => ({ url: resolve(href), source: 'icon' })),
+    { url: resolve('/favicon.ico'), source: 'favicon' }
+  ].filter(candidate => candidate.url?.startsWith('http'));
+
+  return candidates.filter((candidate, i) => candidates.findIndex(other => other.url === candidate.url) === i);
+};
+
+// The largest PNG inside a .ico file; older bitmap entries aren't supported
+const extractIcoPng = (buffer) => {
+  if (buffer.length < 6 || buffer.readUInt16LE(0) !== 0 || buffer.readUInt16LE(2) !== 1) {
+    return null;
+  }
+
+  let best = null;
+  for (let i = 0; i < buffer.readUInt16LE(4); i++) {
+    const entry = 6 + i * 16;
+    if (entry + 16 > buffer.length) break;
+    const width = buffer.readUInt8(entry) || 256;
+    const size = buffer.readUInt32LE(entry + 8);
+    const offset = buffer.readUInt32LE(entry + 12);
+    const data = buffer.subarray(offset, offset + size);
+    const isPng = data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    if (isPng && (!best || width > best.width)) {
+      best = { width, data };
+    }
+  }
+  return best?.data || null;
+};
+
+// Download a candidate image. Returns its bytes, or null if unusable.
+export const fetchCandidateImage = async (candidate) => {
+  const image = await getUnfurlFetcher().fetch(candidate.url, {
+    accept: 'image/*',
+    maxBytes: MAX_IMAGE_BYTES
+  });
+
+  if (/icon/.test(image.contentType) || candidate.url.endsWith('.ico')) {
+    return extractIcoPng(image.body) || image.body;
+  }
+  return image.body;
+};
@@ -5,9 +5,40 @@
 
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
+import { hasFeature, planRequiredError } from '../lib/plans.js';
 
 const prisma = new PrismaClient();
 
+// Look up the user behind an access token. Tokens are only valid while
+// their session is (see lib/sessions.js), so logouts take effect at once.
+const findSessionUser = async (decoded) => {
+  // Only session access tokens carry a session id
+  if (decoded.purpose || !decoded.sid) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          handle: true,
+          displayName: true,
+          planTier: true,
+          emailVerified: true,
+          isActive: true,
+          isAdmin: true
+        }
+      }
+    }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date() || session.userId !== decoded.userId) {
+    return null;
+  }
+  return session.user;
+};
+
 export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -18,26 +49,14 @@ export const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Fetch user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        handle: true,
-        displayName: true,
-        planTier: true,
-        emailVerified: true,
-        isActive: true
-      }
-    });
+    const user = await findSessionUser(decoded);
 
     if (!user || !user.isActive) {
-      return res.status(401).json({ error: 'User not found or inactive' });
+      return res.status(401).json({ error: 'Session expired' });
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -58,10 +77,8 @@ export const optionalAuth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId }
-    });
-    req.user = user;
+    const user = await findSessionUser(decoded);
+    req.user = user?.isActive ? user : null;
   } catch {
     req.user = null;
   }
@@ -69,4 +86,19 @@ export const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Use after authenticateToken on admin-only routes
+export const requireAdmin = (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
 
+// Use after authenticateToken on routes for premium-only features. Runs
+// before any upload is read so free accounts aren't kept waiting.
+export const requireFeature = (feature) => (req, res, next) => {
+  if (!hasFeature(req.user, feature)) {
+    return res.status(402).json(planRequiredError(feature));
+  }
+  next();
+};
@@ -0,0 +1,29 @@
+/**
+ * Profile Cache Invalidation
+ * Mounted on routers whose writes change what the public profile shows
+ * (links, social icons, profile). A successful write by a logged-in user
+ * drops their cached profile before the response goes out, so opening
+ * the public page right after saving never shows the old version.
+ */
+
+import { invalidateProfile } from '../lib/profileCache/index.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const invalidateProfileOnWrite = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  // req.user is set by authenticateToken by the time the route responds.
+  // For handle changes it still holds the old handle - the entry to drop.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!req.user || res.statusCode >= 400) {
+      return json(body);
+    }
+    invalidateProfile(req.user.handle).finally(() => json(body));
+    return res;
+  };
+  next();
+};
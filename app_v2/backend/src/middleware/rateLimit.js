@@ -0,0 +1,119 @@
+/**
+ * Rate Limiting Middleware
+ * From knowledge base: 100 req/min per user on authenticated endpoints,
+ * 30 req/min per IP on public ones. Login and signup get stricter buckets.
+ * Responses carry RateLimit-Limit / -Remaining / -Reset headers.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getRateLimitStore } from '../lib/rateLimit/index.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const ipKey = (req) => `ip:${req.ip}`;
+
+// Authenticated requests count against the user, anything else against the
+// IP. Only the token signature is checked here - authenticateToken still
+// decides whether the request is allowed.
+const userKey = (req) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  if (token) {
+    try {
+      const { userId } = jwt.verify(token, process.env.JWT_SECRET);
+      if (userId) return `user:${userId}`;
+    } catch {
+      // Invalid or expired token: fall back to the IP
+    }
+  }
+  return ipKey(req);
+};
+
+export const rateLimit = ({ name, max, windowMs, key = ipKey, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${name}:${key(req)}`, windowMs);
+    } catch (error) {
+      // A store outage shouldn't take the API down with it
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - result.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (result.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: message, retryAfter: resetSeconds });
+    }
+
+    next();
+  };
+};
+
+// Authenticated API: 100 req/min per user
+export const userRateLimit = rateLimit({
+  name: 'user',
+  max: 100,
+  windowMs: MINUTE_MS,
+  key: userKey
+});
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// The server-rendering frontend proves itself with SSR_API_KEY. It fetches
+// a profile for every page it renders, so it can't share a visitor's
+// 30 req/min, and forwarding the visitor's IP would mean trusting
+// X-Forwarded-For from anyone who can reach the API.
+const isRenderServer = (req) => {
+  const expected = process.env.SSR_API_KEY;
+  const given = req.headers['x-ssr-key'];
+  if (!expected || typeof given !== 'string') return false;
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+const visitorRateLimit = rateLimit({
+  name: 'public',
+  max: 30,
+  windowMs: MINUTE_MS
+});
+
+const renderServerRateLimit = rateLimit({
+  name: 'ssr',
+  max: 600,
+  windowMs: MINUTE_MS,
+  key: () => 'server'
+});
+
+// Public pages and tracking: 30 req/min per IP, or 600 req/min for the
+// server-rendering frontend
+export const publicRateLimit = (req, res, next) =>
+  (isRenderServer(req) ? renderServerRateLimit : visitorRateLimit)(req, res, next);
+
+// Handle checks fire as the user types on the signup form
+export const handleCheckRateLimit = rateLimit({
+  name: 'check-handle',
+  max: 60,
+  windowMs: MINUTE_MS
+});
+
+export const loginRateLimit = rateLimit({
+  name: 'login',
+  max: 10,
+  windowMs: 15 * MINUTE_MS,
+  message: 'Too many login attempts, please try again in a few minutes'
+});
+
+export const signupRateLimit = rateLimit({
+  name: 'signup',
+  max: 5,
+  windowMs: 60 * MINUTE_MS,
+  message: 'Too many accounts created from this network, please try again later'
+});
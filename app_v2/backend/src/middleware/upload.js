@@ -0,0 +1,50 @@
+/**
+ * Upload Middleware
+ * Single-file multipart uploads held in memory (serverless friendly).
+ * The mimetype check here only turns away obvious mistakes early - the
+ * media pipeline decodes the file to check what it really is.
+ */
+
+import multer from 'multer';
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = /^image\/(jpeg|png|gif|webp)$/;
+const IMAGE_OR_VIDEO_TYPES = /^(image\/(jpeg|png|gif|webp)|video\/mp4)$/;
+
+const singleUpload = (field, { maxBytes, types, typeError }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (types.test(file.mimetype)) {
+        return cb(null, true);
+      }
+      cb(new Error(typeError));
+    }
+  }).single(field);
+
+  // Upload problems are the client's, not server errors
+  return (req, res, next) => upload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: `File must be ${maxBytes / MB}MB or smaller` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+};
+
+// 5MB from knowledge base
+export const imageUpload = (field, { maxBytes = 5 * MB } = {}) => singleUpload(field, {
+  maxBytes,
+  types: IMAGE_TYPES,
+  typeError: 'Only image files (JPG, PNG, GIF, WebP) are allowed'
+});
+
+// Images or MP4 videos. maxBytes is the video limit; check image sizes
+// separately.
+export const imageOrVideoUpload = (field, { maxBytes }) => singleUpload(field, {
+  maxBytes,
+  types: IMAGE_OR_VIDEO_TYPES,
+  typeError: 'Only images (JPG, PNG, GIF, WebP) and MP4 videos are allowed'
+});
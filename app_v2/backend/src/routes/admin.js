@@ -0,0 +1,142 @@
+/**
+ * Admin Routes
+ * Manage the reserved handle registry
+ */
+
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validateHandle, isHandleTaken, changeHandle } from '../lib/handles.js';
+import { RESERVED_CATEGORIES, findReservation, builtInReservedHandles } from '../lib/reservedHandles.js';
+import { invalidateProfile } from '../lib/profileCache/index.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+router.use(authenticateToken, requireAdmin);
+
+// List built-in and admin-added reserved handles
+router.get('/reserved-handles', async (req, res) => {
+  try {
+    const entries = await prisma.reservedHandle.findMany({
+      orderBy: { handleLower: 'asc' }
+    });
+    
+    res.json({
+      builtIn: builtInReservedHandles(),
+      entries
+    });
+  } catch (error) {
+    console.error('List reserved handles error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reserve a handle. Existing owners keep it; nobody else can claim it.
+router.post('/reserved-handles', async (req, res) => {
+  try {
+    const { handle, category = 'other', note } = req.body;
+    
+    if (!handle) {
+      return res.status(400).json({ error: 'Handle is required' });
+    }
+    
+    const validation = validateHandle(handle);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.message });
+    }
+    
+    if (!RESERVED_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `Category must be one of: ${RESERVED_CATEGORIES.join(', ')}` });
+    }
+    
+    const handleLower = handle.toLowerCase();
+    
+    if (await findReservation(handleLower)) {
+      return res.status(400).json({ error: 'Handle is already reserved' });
+    }
+    
+    const entry = await prisma.reservedHandle.create({
+      data: {
+        handle,
+        handleLower,
+        category,
+        note: note ? String(note).substring(0, 200) : null,
+        createdById: req.user.id
+      }
+    });
+    
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Add reserved handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove an admin-added entry. Built-in entries can't be removed.
+router.delete('/reserved-handles/:handle', async (req, res) => {
+  try {
+    const handleLower = req.params.handle.toLowerCase();
+    
+    const { count } = await prisma.reservedHandle.deleteMany({
+      where: { handleLower }
+    });
+    
+    if (!count) {
+      const reservation = await findReservation(handleLower);
+      return res.status(reservation ? 400 : 404).json({
+        error: reservation ? 'Built-in reserved handles cannot be removed' : 'Reserved handle not found'
+      });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove reserved handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Give a reserved handle to a specific user (e.g. a verified brand).
+// The entry stays, so the handle is protected again if they move off it.
+router.post('/reserved-handles/:handle/release', async (req, res) => {
+  try {
+    const { handle } = req.params;
+    const { userId } = req.body;
+    const handleLower = handle.toLowerCase();
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    
+    const reservation = await findReservation(handleLower);
+    if (!reservation) {
+      return res.status(404).json({ error: 'Reserved handle not found' });
+    }
+    if (['route', 'profanity'].includes(reservation.category)) {
+      return res.status(400).json({ error: `Handles in the ${reservation.category} category cannot be released` });
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, handle: true, handleLower: true, handleChangedAt: true, bioTitle: true }
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (await isHandleTaken(handleLower, { userId: user.id })) {
+      return res.status(400).json({ error: 'Handle is already in use by another account' });
+    }
+    
+    // Admin releases skip the handle-change cooldown
+    const updated = await changeHandle(user, handle);
+    await invalidateProfile(user.handle);
+    
+    res.json({ userId: user.id, handle: updated.handle, previousHandle: user.handle });
+  } catch (error) {
+    console.error('Release reserved handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
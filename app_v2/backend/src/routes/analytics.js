@@ -6,12 +6,13 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { userRateLimit, publicRateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // Get analytics summary
-router.get('/summary', authenticateToken, async (req, res) => {
+router.get('/summary', userRateLimit, authenticateToken, async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -121,7 +122,7 @@ router.get('/summary', authenticateToken, async (req, res) => {
 });
 
 // Get per-link analytics
-router.get('/links', authenticateToken, async (req, res) => {
+router.get('/links', userRateLimit, authenticateToken, async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -183,7 +184,7 @@ router.get('/links', authenticateToken, async (req, res) => {
 });
 
 // Get daily stats (for charts)
-router.get('/daily', authenticateToken, async (req, res) => {
+router.get('/daily', userRateLimit, authenticateToken, async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -264,7 +265,7 @@ function categorizeReferrer(referrer) {
 }
 
 // Track page view (public endpoint)
-router.post('/view', async (req, res) => {
+router.post('/view', publicRateLimit, async (req, res) => {
   try {
     const { handle, referrer, device, countryCode, userAgent } = req.body;
     
@@ -276,7 +277,7 @@ router.post('/view', async (req, res) => {
       where: { handleLower: handle.toLowerCase() }
     });
     
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(404).json({ error: 'User not found' });
     }
     
@@ -306,7 +307,7 @@ router.post('/view', async (req, res) => {
 });
 
 // Track link click (public endpoint)
-router.post('/click', async (req, res) => {
+router.post('/click', publicRateLimit, async (req, res) => {
   try {
     const { linkId, referrer, device, countryCode, userAgent } = req.body;
     
@@ -314,8 +315,8 @@ router.post('/click', async (req, res) => {
       return res.status(400).json({ error: 'Link ID is required' });
     }
     
-    const link = await prisma.link.findUnique({
-      where: { id: linkId }
+    const link = await prisma.link.findFirst({
+      where: { id: linkId, user: { isActive: true } }
     });
     
     if (!link) {
@@ -354,7 +355,7 @@ router.post('/click', async (req, res) => {
 });
 
 // Get analytics (alias for summary - for compatibility)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', userRateLimit, authenticateToken, async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -5,13 +5,45 @@
 
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { loginRateLimit, signupRateLimit, handleCheckRateLimit } from '../middleware/rateLimit.js';
+import { createToken, hashToken } from '../lib/tokens.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendAccountDeletionEmail } from '../lib/emails.js';
+import { canRestoreAccount, requestAccountDeletion, restoreAccount } from '../lib/accountDeletion.js';
+import {
+  claimChallengeAttempt,
+  completeChallenge,
+  createChallengeToken,
+  revokeChallenges,
+  verifySecondFactor
+} from '../lib/twoFactor.js';
+import { validateHandle, isHandleTaken, releaseExpiredAlias } from '../lib/handles.js';
+import { findReservation, reservedHandleMessage } from '../lib/reservedHandles.js';
+import { suggestHandles } from '../lib/handleSuggestions.js';
+import { checkLoginAllowed, recordLoginAttempt, recordLoginFailure, unlockAccount } from '../lib/loginProtection.js';
+import {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  activeSessionWhere,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  isTrustedOrigin
+} from '../lib/sessions.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const MAX_RESET_REQUESTS_PER_HOUR = 3;
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const VERIFY_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_VERIFY_EMAILS_PER_DAY = 5;
+
 // Password validation (from knowledge base)
 const validatePassword = (password) => {
   if (password.length < 8) return { valid: false, message: 'Password must be at least 8 characters' };
@@ -21,22 +53,47 @@ const validatePassword = (password) => {
   return { valid: true };
 };
 
-// Handle validation (from PRD + knowledge base)
-const validateHandle = (handle) => {
-  if (handle.length < 3 || handle.length > 30) {
-    return { valid: false, message: 'Handle must be 3-30 characters' };
-  }
-  if (!/^[a-zA-Z][a-zA-Z0-9_.]*$/.test(handle)) {
-    return { valid: false, message: 'Handle must start with a letter and contain only letters, numbers, underscores, and periods' };
-  }
-  if (/\.\./.test(handle) || /__/.test(handle)) {
-    return { valid: false, message: 'Handle cannot have consecutive periods or underscores' };
+// Issue a verification token and email it (signup and resend)
+const sendVerification = async (user) => {
+  const { token, tokenHash } = createToken();
+  await prisma.emailVerificationToken.create({
+    data: {
+      userId: user.id,
+      tokenHash,
+      expiresAt: new Date(Date.now() + VERIFY_TOKEN_TTL_MS)
+    }
+  });
+  await sendVerificationEmail(user, token);
+};
+
+// Start a session once login is complete: the refresh token goes in an
+// httpOnly cookie, the short-lived access token and user in the body.
+// Logging in during the deletion grace period cancels the deletion.
+const startSession = async (req, res, user) => {
+  const restored = canRestoreAccount(user);
+  if (restored) {
+    await restoreAccount(user.id);
   }
-  return { valid: true };
+  
+  const { accessToken, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+  
+  return {
+    token: accessToken,
+    ...(restored && { restored: true }),
+    user: {
+      id: user.id,
+      email: user.email,
+      handle: user.handle,
+      displayName: user.displayName,
+      planTier: user.planTier,
+      emailVerified: user.emailVerified
+    }
+  };
 };
 
 // Check handle availability
-router.get('/check-handle/:handle', async (req, res) => {
+router.get('/check-handle/:handle', handleCheckRateLimit, async (req, res) => {
   try {
     const { handle } = req.params;
     const handleLower = handle.toLowerCase();
@@ -46,20 +103,18 @@ router.get('/check-handle/:handle', async (req, res) => {
       return res.json({ available: false, message: validation.message });
     }
     
-    const existing = await prisma.user.findUnique({
-      where: { handleLower }
-    });
+    // Route names, brands and profanity
+    const reservation = await findReservation(handleLower);
+    if (reservation) {
+      return res.json({ available: false, message: reservedHandleMessage(reservation) });
+    }
     
-    if (existing) {
-      // Generate suggestions
-      const suggestions = [];
-      for (let i = 1; i <= 3; i++) {
-        const suggestion = `${handle}${i}`;
-        const exists = await prisma.user.findUnique({
-          where: { handleLower: suggestion.toLowerCase() }
-        });
-        if (!exists) suggestions.push(suggestion);
-      }
+    if (await isHandleTaken(handleLower)) {
+      // Optional ?category= (signup categories) and ?limit=
+      const suggestions = await suggestHandles(handle, {
+        category: req.query.category,
+        limit: parseInt(req.query.limit) || undefined
+      });
       
       return res.json({ 
         available: false, 
@@ -76,7 +131,7 @@ router.get('/check-handle/:handle', async (req, res) => {
 });
 
 // Signup
-router.post('/signup', async (req, res) => {
+router.post('/signup', signupRateLimit, async (req, res) => {
   try {
     const { email, password, handle, category } = req.body;
     
@@ -105,6 +160,11 @@ router.post('/signup', async (req, res) => {
     
     const handleLower = handle.toLowerCase();
     
+    const reservation = await findReservation(handleLower);
+    if (reservation) {
+      return res.status(400).json({ error: reservedHandleMessage(reservation) });
+    }
+    
     // Check if email already exists
     const existingEmail = await prisma.user.findUnique({
       where: { email: email.toLowerCase() }
@@ -113,13 +173,11 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: 'Email already registered' });
     }
     
-    // Check if handle already exists
-    const existingHandle = await prisma.user.findUnique({
-      where: { handleLower }
-    });
-    if (existingHandle) {
+    // Check if handle already exists (or is reserved by its previous owner)
+    if (await isHandleTaken(handleLower)) {
       return res.status(400).json({ error: 'Handle already taken' });
     }
+    await releaseExpiredAlias(handleLower);
     
     // Hash password
     const passwordHash = await bcrypt.hash(password, 12);
@@ -134,27 +192,19 @@ router.post('/signup', async (req, res) => {
         category,
         displayName: handle,
         bioTitle: `@${handle}`,
-        theme: 'dark' // Default from knowledge base
+        theme: 'dark', // Default from knowledge base
+        emailVerified: false
       }
     });
     
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    
-    res.status(201).json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        handle: user.handle,
-        displayName: user.displayName,
-        planTier: user.planTier
-      }
-    });
+    // A mail outage shouldn't block signup - the user can resend later
+    try {
+      await sendVerification(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
+    res.status(201).json(await startSession(req, res, user));
   } catch (error) {
     console.error('Signup error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -162,7 +212,7 @@ router.post('/signup', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -170,49 +220,100 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
+    // Progressive delays and lockouts after failed attempts
+    const blocked = await checkLoginAllowed(email, req);
+    if (blocked) {
+      await recordLoginAttempt(email, req, { success: false, reason: 'blocked' });
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json(blocked);
+    }
+    
     // Find user
     const user = await prisma.user.findUnique({
       where: { email: email.toLowerCase() }
     });
     
     if (!user) {
+      await recordLoginFailure(email, req, { reason: 'unknown_email' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    if (!user.isActive) {
+    if (!user.isActive && !canRestoreAccount(user)) {
       return res.status(401).json({ error: 'Account is deactivated' });
     }
     
     // Check password
     const validPassword = await bcrypt.compare(password, user.passwordHash);
     if (!validPassword) {
+      await recordLoginFailure(email, req, { user, reason: 'invalid_password' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        handle: user.handle,
-        displayName: user.displayName,
-        planTier: user.planTier,
-        emailVerified: user.emailVerified
-      }
-    });
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.totpEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: await createChallengeToken(user)
+      });
+    }
+    
+    await recordLoginAttempt(email, req, { user, success: true, reason: 'success' });
+    res.json(await startSession(req, res, user));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Login step two: authenticator code or recovery code
+router.post('/login/2fa', loginRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+    
+    // Each code tried uses up one of the challenge's attempts
+    const challenge = await claimChallengeAttempt(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Login session expired. Please log in again.' });
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId }
+    });
+    
+    if (!user || (!user.isActive && !canRestoreAccount(user)) || !user.totpEnabled) {
+      return res.status(401).json({ error: 'Login session expired. Please log in again.' });
+    }
+    
+    // Wrong codes count towards the same lockout as wrong passwords
+    const blocked = await checkLoginAllowed(user.email, req);
+    if (blocked) {
+      await recordLoginAttempt(user.email, req, { user, success: false, reason: 'blocked' });
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json(blocked);
+    }
+    
+    const valid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+      await recordLoginFailure(user.email, req, { user, reason: 'invalid_2fa' });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    if (!(await completeChallenge(challenge))) {
+      return res.status(401).json({ error: 'Login session expired. Please log in again.' });
+    }
+    
+    await recordLoginAttempt(user.email, req, { user, success: true, reason: 'success' });
+    res.json(await startSession(req, res, user));
+  } catch (error) {
+    console.error('Login 2FA error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -234,6 +335,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         backgroundType: true,
         planTier: true,
         emailVerified: true,
+        totpEnabled: true,
         createdAt: true
       }
     });
@@ -277,6 +379,10 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       data: { passwordHash }
     });
     
+    // Keep this device signed in, log out everywhere else
+    await revokeUserSessions(req.user.id, { exceptSessionId: req.sessionId });
+    await revokeChallenges(req.user.id);
+    
     res.json({ success: true, message: 'Password updated successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -284,6 +390,335 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// Request account deletion (hard delete after the grace period)
+router.delete('/account', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+    
+    const validPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    
+    const { purgeAt } = await requestAccountDeletion(user.id);
+    clearRefreshCookie(res);
+    
+    try {
+      await sendAccountDeletionEmail(user, purgeAt);
+    } catch (mailError) {
+      console.error('Account deletion email error:', mailError);
+    }
+    
+    res.json({ success: true, purgeAt });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Exchange the refresh cookie for a new access token (rotates the cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    if (!isTrustedOrigin(req)) {
+      return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    
+    const rotated = await rotateSession(req.cookies?.[REFRESH_COOKIE], req);
+    
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    
+    setRefreshCookie(res, rotated.refreshToken);
+    res.json({ token: rotated.accessToken });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out this device
+router.post('/logout', async (req, res) => {
+  try {
+    if (!isTrustedOrigin(req)) {
+      return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    
+    await revokeSessionByToken(req.cookies?.[REFRESH_COOKIE]);
+    clearRefreshCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out every device, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id);
+    clearRefreshCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: activeSessionWhere(req.user.id),
+      orderBy: { lastSeenAt: 'desc' },
+      select: {
+        id: true,
+        device: true,
+        userAgent: true,
+        lastSeenAt: true,
+        createdAt: true
+      }
+    });
+    
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out a single device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (req.params.id === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Verify email with an emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+    
+    const verifyToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+    
+    if (!verifyToken || verifyToken.usedAt || verifyToken.expiresAt < new Date()) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+    
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: verifyToken.userId },
+        data: { emailVerified: true }
+      }),
+      prisma.emailVerificationToken.updateMany({
+        where: { userId: verifyToken.userId, usedAt: null },
+        data: { usedAt: new Date() }
+      })
+    ]);
+    
+    res.json({ success: true, emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlock an account locked after failed logins (link from the lockout email)
+router.post('/unlock-account', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+    
+    if (!(await unlockAccount(token, req))) {
+      return res.status(400).json({ error: 'This unlock link is invalid or has expired' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resend the verification email (one per minute, five per day)
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    const since = new Date(Date.now() - VERIFY_TOKEN_TTL_MS);
+    const recent = await prisma.emailVerificationToken.findMany({
+      where: { userId: req.user.id, createdAt: { gte: since } },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true }
+    });
+    
+    if (recent.length > 0) {
+      const retryAfterMs = recent[0].createdAt.getTime() + VERIFY_RESEND_COOLDOWN_MS - Date.now();
+      if (retryAfterMs > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+      }
+    }
+    
+    if (recent.length >= MAX_VERIFY_EMAILS_PER_DAY) {
+      return res.status(429).json({ error: 'Too many verification emails today. Please try again tomorrow.' });
+    }
+    
+    await sendVerification(req.user);
+    
+    res.json({ success: true, message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Request a password reset email (from knowledge base: 1 hour links, max 3 per hour)
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    // Same response whether or not the account exists (no account enumeration)
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    };
+    
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() }
+    });
+    
+    // Deleted accounts can still reset during the grace period; logging in restores them
+    if (!user || (!user.isActive && !canRestoreAccount(user))) {
+      return res.json(response);
+    }
+    
+    const oneHourAgo = new Date(Date.now() - RESET_TOKEN_TTL_MS);
+    const recentRequests = await prisma.passwordResetToken.count({
+      where: { userId: user.id, createdAt: { gte: oneHourAgo } }
+    });
+    
+    if (recentRequests >= MAX_RESET_REQUESTS_PER_HOUR) {
+      return res.json(response);
+    }
+    
+    const { token, tokenHash } = createToken();
+    await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+      }
+    });
+    
+    // A mail failure must not change the response, or it would reveal the account
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset password with an emailed token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+    
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+    
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    const validation = validatePassword(password);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.message });
+    }
+    
+    const passwordHash = await bcrypt.hash(password, 12);
+    
+    // Only one request gets to use the token
+    const { count } = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+    if (count !== 1) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    // Use up every other outstanding token and revoke existing sessions
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: resetToken.userId },
+        data: { passwordHash }
+      }),
+      prisma.passwordResetToken.updateMany({
+        where: { userId: resetToken.userId, usedAt: null },
+        data: { usedAt: new Date() }
+      })
+    ]);
+    await revokeUserSessions(resetToken.userId);
+    await revokeChallenges(resetToken.userId);
+    
+    res.json({ success: true, message: 'Password has been reset. Please log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 export default router;
 
 
@@ -0,0 +1,161 @@
+/**
+ * Billing Routes
+ * Plan status, upgrades, downgrades and cancellation
+ */
+
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { getPaymentProvider } from '../lib/payments/index.js';
+import { applyPlanChange, handleSubscriptionEvent } from '../lib/billing.js';
+import { getPlan } from '../lib/plans.js';
+import { frontendUrl } from '../lib/config.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const subscriptionSelect = {
+  plan: true,
+  status: true,
+  currentPeriodEnd: true,
+  cancelAtPeriodEnd: true
+};
+
+// Current plan, limits and usage
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const plan = getPlan(req.user.planTier);
+
+    const [activeLinks, hiddenLinks, subscription] = await Promise.all([
+      prisma.link.count({
+        where: { userId: req.user.id, isActive: true, isDeleted: false, type: { not: 'HEADER' } }
+      }),
+      prisma.link.count({
+        where: { userId: req.user.id, hiddenByPlan: true, isDeleted: false }
+      }),
+      prisma.subscription.findUnique({
+        where: { userId: req.user.id },
+        select: subscriptionSelect
+      })
+    ]);
+
+    res.json({
+      planTier: req.user.planTier,
+      features: plan.features,
+      limits: {
+        maxActiveLinks: plan.maxActiveLinks === Infinity ? null : plan.maxActiveLinks
+      },
+      usage: { activeLinks, hiddenLinks },
+      subscription
+    });
+  } catch (error) {
+    console.error('Get billing error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upgrade to premium (or undo a scheduled downgrade)
+router.post('/upgrade', authenticateToken, async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    const existing = await prisma.subscription.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    const isLive = existing && ['ACTIVE', 'PAST_DUE'].includes(existing.status);
+
+    if (isLive && existing.cancelAtPeriodEnd) {
+      const event = await provider.updateSubscription(existing.providerSubscriptionId, { cancelAtPeriodEnd: false });
+      await handleSubscriptionEvent(event);
+      return res.json({ resumed: true });
+    }
+
+    if (isLive || req.user.planTier === 'premium') {
+      return res.status(400).json({ error: 'You are already on the Premium plan' });
+    }
+
+    const session = await provider.createSubscriptionCheckout({
+      plan: 'premium',
+      customerEmail: req.user.email,
+      successUrl: frontendUrl('/dashboard/settings?billing=success'),
+      cancelUrl: frontendUrl('/dashboard/settings?billing=cancelled'),
+      metadata: { kind: 'subscription', userId: req.user.id }
+    });
+
+    const data = {
+      plan: 'premium',
+      status: 'INCOMPLETE',
+      provider: provider.name,
+      providerSessionId: session.id,
+      providerSubscriptionId: null,
+      cancelAtPeriodEnd: false
+    };
+    await prisma.subscription.upsert({
+      where: { userId: req.user.id },
+      create: { userId: req.user.id, ...data },
+      update: data
+    });
+
+    res.status(201).json({ url: session.url });
+  } catch (error) {
+    console.error('Upgrade error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Downgrade to free at the end of the current billing period
+router.post('/downgrade', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await prisma.subscription.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!subscription?.providerSubscriptionId || subscription.status === 'CANCELED') {
+      // No paid subscription behind the plan - downgrade right away
+      if (req.user.planTier === 'free') {
+        return res.status(400).json({ error: 'You are already on the Free plan' });
+      }
+      await applyPlanChange(req.user.id, 'free');
+      return res.json({ planTier: 'free' });
+    }
+
+    const event = await getPaymentProvider().updateSubscription(subscription.providerSubscriptionId, {
+      cancelAtPeriodEnd: true
+    });
+    await handleSubscriptionEvent(event);
+
+    const updated = await prisma.subscription.findUnique({
+      where: { userId: req.user.id },
+      select: subscriptionSelect
+    });
+    res.json({ planTier: req.user.planTier, subscription: updated });
+  } catch (error) {
+    console.error('Downgrade error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel immediately and drop to free
+router.post('/cancel', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await prisma.subscription.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (subscription?.providerSubscriptionId && subscription.status !== 'CANCELED') {
+      const event = await getPaymentProvider().cancelSubscription(subscription.providerSubscriptionId);
+      await handleSubscriptionEvent(event);
+    } else if (req.user.planTier !== 'free') {
+      await applyPlanChange(req.user.id, 'free');
+    } else {
+      return res.status(400).json({ error: 'No active subscription' });
+    }
+
+    res.json({ planTier: 'free' });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,127 @@
+/**
+ * Data Export Routes
+ * Start a personal data export, poll its status and download the archive
+ */
+
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { runExport, removeOldExports, readExportArchive, STALE_JOB_MS } from '../lib/dataExport.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const exportSelect = {
+  id: true,
+  status: true,
+  size: true,
+  error: true,
+  createdAt: true,
+  completedAt: true,
+  expiresAt: true
+};
+
+// Start an export (or return the one already running)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const running = await prisma.dataExport.findFirst({
+      where: {
+        userId: req.user.id,
+        status: { in: ['PENDING', 'PROCESSING'] },
+        createdAt: { gte: new Date(Date.now() - STALE_JOB_MS) }
+      },
+      select: exportSelect
+    });
+
+    if (running) {
+      return res.json(running);
+    }
+
+    await removeOldExports(req.user.id);
+
+    const job = await prisma.dataExport.create({
+      data: { userId: req.user.id },
+      select: exportSelect
+    });
+
+    // Runs in the background; clients poll GET /api/export/:id. On
+    // serverless hosts the scheduled jobs:run-exports finishes it.
+    runExport(job.id).catch(error => console.error('Run export error:', error));
+
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Start export error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Most recent export, if any
+router.get('/latest', authenticateToken, async (req, res) => {
+  try {
+    const job = await prisma.dataExport.findFirst({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      select: exportSelect
+    });
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get latest export error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Export status
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await prisma.dataExport.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      select: exportSelect
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Download a finished export
+router.get('/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const job = await prisma.dataExport.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    if (job.status !== 'READY') {
+      return res.status(409).json({ error: 'Export is not ready yet' });
+    }
+
+    if (job.expiresAt < new Date() || !job.fileName) {
+      return res.status(410).json({ error: 'This export has expired. Please start a new one.' });
+    }
+
+    const archive = await readExportArchive(job);
+    if (!archive) {
+      return res.status(410).json({ error: 'This export is no longer available. Please start a new one.' });
+    }
+
+    const date = job.completedAt.toISOString().slice(0, 10);
+    res.attachment(`biolink-${req.user.handle}-${date}.zip`);
+    res.type('application/zip');
+    res.send(archive);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
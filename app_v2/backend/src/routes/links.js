@@ -6,10 +6,48 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { invalidateProfileOnWrite } from '../middleware/profileCache.js';
+import { prepareGateSettings, ownerGateView } from '../lib/linkGating.js';
+import { parseSchedule, scheduleStatus } from '../lib/linkSchedule.js';
+import { applyEmbedSettings } from '../lib/embeds.js';
+import { applyTipJarSettings } from '../lib/tipJar.js';
+import { maxActiveLinksFor, takesNewLinkSlot, linkLimitError, unverifiedLinkLimitError } from '../lib/plans.js';
+import { imageUpload } from '../middleware/upload.js';
+import { storeImage } from '../lib/media.js';
+import { unfurlResetData, queueUnfurl, pruneLinkMedia } from '../lib/linkThumbnails.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Writes here change the public profile
+router.use(invalidateProfileOnWrite);
+
+// Parse settings JSON and hide secrets before returning a link to its owner
+const formatLink = (link) => ({
+  ...link,
+  scheduleStatus: scheduleStatus(link),
+  settings: ownerGateView(link.settings ? JSON.parse(link.settings) : {})
+});
+
+// Whether the user may have one more active link on their plan (headers don't count)
+const canActivateLink = async (user) => {
+  const maxActiveLinks = maxActiveLinksFor(user);
+  if (maxActiveLinks === Infinity) return true;
+  
+  const activeCount = await prisma.link.count({
+    where: { userId: user.id, isActive: true, isDeleted: false, type: { not: 'HEADER' } }
+  });
+  return activeCount < maxActiveLinks;
+};
+
+// Unverified accounts hit the verification limit before any plan limit
+const sendLinkLimitError = (res, user) => {
+  if (!user.emailVerified) {
+    return res.status(403).json(unverifiedLinkLimitError());
+  }
+  return res.status(402).json(linkLimitError(user.planTier));
+};
+
 // Get all links for current user
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -21,13 +59,7 @@ router.get('/', authenticateToken, async (req, res) => {
       orderBy: { position: 'asc' }
     });
     
-    // Parse settings JSON
-    const linksWithSettings = links.map(link => ({
-      ...link,
-      settings: link.settings ? JSON.parse(link.settings) : {}
-    }));
-    
-    res.json(linksWithSettings);
+    res.json(links.map(formatLink));
   } catch (error) {
     console.error('Get links error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -53,6 +85,31 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     }
     
+    const gated = await prepareGateSettings(settings);
+    if (gated.error) {
+      return res.status(400).json({ error: gated.error });
+    }
+    
+    // MUSIC / VIDEO links must point at a supported embed provider
+    const embedded = applyEmbedSettings(type, url, gated.settings);
+    if (embedded.error) {
+      return res.status(400).json({ error: embedded.error });
+    }
+    
+    const tipJar = applyTipJarSettings(type, embedded.settings);
+    if (tipJar.error) {
+      return res.status(400).json({ error: tipJar.error });
+    }
+    
+    const schedule = parseSchedule(req.body);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    
+    if (type !== 'HEADER' && !(await canActivateLink(req.user))) {
+      return sendLinkLimitError(res, req.user);
+    }
+    
     // Get max position for ordering
     const maxPositionLink = await prisma.link.findFirst({
       where: { userId: req.user.id, isDeleted: false },
@@ -69,14 +126,16 @@ router.post('/', authenticateToken, async (req, res) => {
         thumbnailUrl,
         position,
         isActive: true,
-        settings: JSON.stringify(settings)
+        ...schedule.data,
+        // Look for a thumbnail on the page unless one was given
+        ...(!thumbnailUrl && unfurlResetData({ type, url })),
+        settings: JSON.stringify(tipJar.settings)
       }
     });
     
-    res.status(201).json({
-      ...link,
-      settings: settings
-    });
+    queueUnfurl(link);
+    
+    res.status(201).json(formatLink(link));
   } catch (error) {
     console.error('Create link error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -168,24 +227,190 @@ router.put('/:id', authenticateToken, async (req, res) => {
     if (title !== undefined) updateData.title = title;
     if (type !== undefined) updateData.type = type;
     if (thumbnailUrl !== undefined) updateData.thumbnailUrl = thumbnailUrl;
-    if (isActive !== undefined) updateData.isActive = isActive;
-    if (settings !== undefined) updateData.settings = JSON.stringify(settings);
+    if (isActive !== undefined) {
+      updateData.isActive = isActive;
+      updateData.hiddenByPlan = false;
+    }
+    
+    const next = { type: type ?? existing.type, isActive: isActive ?? existing.isActive };
+    if (takesNewLinkSlot(existing, next) && !(await canActivateLink(req.user))) {
+      return sendLinkLimitError(res, req.user);
+    }
+    
+    const schedule = parseSchedule(req.body, existing);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    Object.assign(updateData, schedule.data);
+    
+    const previousSettings = existing.settings ? JSON.parse(existing.settings) : {};
+    let nextSettings = previousSettings;
+    if (settings !== undefined) {
+      const gated = await prepareGateSettings(settings, previousSettings);
+      if (gated.error) {
+        return res.status(400).json({ error: gated.error });
+      }
+      nextSettings = gated.settings;
+    }
+    
+    // Re-detect the embed whenever the URL or type may have changed
+    const embedded = applyEmbedSettings(type ?? existing.type, url !== undefined ? url : existing.url, nextSettings);
+    if (embedded.error) {
+      return res.status(400).json({ error: embedded.error });
+    }
+    
+    const tipJar = applyTipJarSettings(type ?? existing.type, embedded.settings);
+    if (tipJar.error) {
+      return res.status(400).json({ error: tipJar.error });
+    }
+    updateData.settings = JSON.stringify(tipJar.settings);
+    
+    // A new target page gets a new thumbnail suggestion
+    const nextUrl = url !== undefined ? url : existing.url;
+    const nextType = type ?? existing.type;
+    if (nextUrl !== existing.url || nextType !== existing.type) {
+      Object.assign(updateData, unfurlResetData({ type: nextType, url: nextUrl }));
+    }
     
     const link = await prisma.link.update({
       where: { id },
       data: updateData
     });
     
-    res.json({
-      ...link,
-      settings: link.settings ? JSON.parse(link.settings) : {}
-    });
+    queueUnfurl(link);
+    await pruneLinkMedia(link);
+    
+    res.json(formatLink(link));
   } catch (error) {
     console.error('Update link error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Upload a thumbnail for a link. Replaces the current one and any suggestion.
+router.post('/:id/thumbnail', authenticateToken, imageUpload('thumbnail'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existing = await prisma.link.findFirst({
+      where: { id, userId: req.user.id, isDeleted: false }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    
+    const { asset, error } = await storeImage(req.user.id, req.file.buffer, 'thumbnail', { linkId: id });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const link = await prisma.link.update({
+      where: { id },
+      data: { thumbnailUrl: asset.url, suggestedThumbnailUrl: null }
+    });
+    await pruneLinkMedia(link);
+    
+    res.json(formatLink(link));
+  } catch (error) {
+    console.error('Upload thumbnail error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Use the thumbnail the unfurl worker found
+router.post('/:id/thumbnail/accept', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existing = await prisma.link.findFirst({
+      where: { id, userId: req.user.id, isDeleted: false }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    if (!existing.suggestedThumbnailUrl) {
+      return res.status(400).json({ error: 'There is no suggested thumbnail for this link' });
+    }
+    
+    const link = await prisma.link.update({
+      where: { id },
+      data: { thumbnailUrl: existing.suggestedThumbnailUrl, suggestedThumbnailUrl: null }
+    });
+    await pruneLinkMedia(link);
+    
+    res.json(formatLink(link));
+  } catch (error) {
+    console.error('Accept thumbnail error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove the link's thumbnail, or with ?suggestion=true dismiss the suggestion
+router.delete('/:id/thumbnail', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existing = await prisma.link.findFirst({
+      where: { id, userId: req.user.id, isDeleted: false }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    const link = await prisma.link.update({
+      where: { id },
+      data: req.query.suggestion === 'true'
+        ? { suggestedThumbnailUrl: null }
+        : { thumbnailUrl: null }
+    });
+    await pruneLinkMedia(link);
+    
+    res.json(formatLink(link));
+  } catch (error) {
+    console.error('Remove thumbnail error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Look for a thumbnail on the link's page again
+router.post('/:id/unfurl', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existing = await prisma.link.findFirst({
+      where: { id, userId: req.user.id, isDeleted: false }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+    
+    const reset = unfurlResetData(existing);
+    if (!reset.unfurlStatus) {
+      return res.status(400).json({ error: 'Only links with a web address can fetch a thumbnail' });
+    }
+    
+    const link = await prisma.link.update({
+      where: { id },
+      data: reset
+    });
+    queueUnfurl(link);
+    
+    res.status(202).json(formatLink(link));
+  } catch (error) {
+    console.error('Unfurl link error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Delete a link (soft delete with 30-day recovery - from knowledge base)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -230,15 +455,16 @@ router.patch('/:id/toggle', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Link not found' });
     }
     
+    if (!existing.isActive && existing.type !== 'HEADER' && !(await canActivateLink(req.user))) {
+      return sendLinkLimitError(res, req.user);
+    }
+    
     const link = await prisma.link.update({
       where: { id },
-      data: { isActive: !existing.isActive }
+      data: { isActive: !existing.isActive, hiddenByPlan: false }
     });
     
-    res.json({
-      ...link,
-      settings: link.settings ? JSON.parse(link.settings) : {}
-    });
+    res.json(formatLink(link));
   } catch (error) {
     console.error('Toggle link error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -267,18 +493,19 @@ router.post('/:id/restore', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Recovery window has expired' });
     }
     
+    // Restore hidden if the plan has no room for another active link
+    const isActive = existing.isActive && (existing.type === 'HEADER' || await canActivateLink(req.user));
+    
     const link = await prisma.link.update({
       where: { id },
       data: { 
         isDeleted: false,
-        deletedAt: null
+        deletedAt: null,
+        isActive
       }
     });
     
-    res.json({
-      ...link,
-      settings: link.settings ? JSON.parse(link.settings) : {}
-    });
+    res.json(formatLink(link));
   } catch (error) {
     console.error('Restore link error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -0,0 +1,220 @@
+/**
+ * Payment Routes
+ * Tip jar checkout, provider webhooks and creator earnings
+ */
+
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { getPaymentProvider } from '../lib/payments/index.js';
+import { isValidTipAmount } from '../lib/tipJar.js';
+import { scheduleStatus } from '../lib/linkSchedule.js';
+import { handleSubscriptionEvent } from '../lib/billing.js';
+import { userRateLimit, publicRateLimit } from '../middleware/rateLimit.js';
+import { frontendUrl } from '../lib/config.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Apply a normalized provider event to the matching payment (idempotent)
+const handlePaymentEvent = async (event) => {
+  if (!event?.sessionId) return;
+
+  const payment = await prisma.payment.findUnique({
+    where: { providerSessionId: event.sessionId }
+  });
+  if (!payment || payment.status === 'SUCCEEDED') return;
+
+  if (event.type === 'payment.succeeded') {
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: 'SUCCEEDED',
+        providerPaymentId: event.paymentId,
+        amount: event.amount ?? payment.amount,
+        currency: event.currency ?? payment.currency,
+        completedAt: new Date()
+      }
+    });
+  } else if (event.type === 'payment.failed') {
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: 'FAILED' }
+    });
+  }
+};
+
+// Route provider events to tips or subscriptions
+const dispatchEvent = async (event) => {
+  if (!event) return;
+  if (event.type.startsWith('subscription.')) {
+    await handleSubscriptionEvent(event);
+  } else {
+    await handlePaymentEvent(event);
+  }
+};
+
+// Start a tip jar checkout (public)
+router.post('/checkout/:linkId', publicRateLimit, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const { amount, supporterName, message } = req.body;
+
+    const link = await prisma.link.findFirst({
+      where: { id: linkId, type: 'COMMERCE', isActive: true, isDeleted: false },
+      include: { user: { select: { handle: true, isActive: true } } }
+    });
+
+    if (!link || !link.user.isActive || scheduleStatus(link) !== 'live') {
+      return res.status(404).json({ error: 'Tip jar not found' });
+    }
+
+    const settings = link.settings ? JSON.parse(link.settings) : {};
+    const tipJar = settings.tipJar;
+    if (!tipJar) {
+      return res.status(404).json({ error: 'Tip jar not found' });
+    }
+
+    // Gated links only open through /api/public/unlock
+    if (settings.gate) {
+      return res.status(403).json({ error: 'This link is locked', gate: { mode: settings.gate.mode } });
+    }
+
+    const tipAmount = Number(amount);
+    if (!isValidTipAmount(tipJar, tipAmount)) {
+      return res.status(400).json({ error: 'Invalid tip amount' });
+    }
+
+    const provider = getPaymentProvider();
+    const profileUrl = frontendUrl(`/${link.user.handle}`);
+    const session = await provider.createCheckoutSession({
+      amount: tipAmount,
+      currency: tipJar.currency,
+      description: tipJar.title || `Tip for @${link.user.handle}`,
+      successUrl: `${profileUrl}?tip=success`,
+      cancelUrl: `${profileUrl}?tip=cancelled`,
+      metadata: { kind: 'tip', linkId: link.id, userId: link.userId }
+    });
+
+    await prisma.payment.create({
+      data: {
+        userId: link.userId,
+        linkId: link.id,
+        provider: provider.name,
+        providerSessionId: session.id,
+        amount: tipAmount,
+        currency: tipJar.currency,
+        supporterName: supporterName ? String(supporterName).substring(0, 60) : null,
+        message: message ? String(message).substring(0, 200) : null
+      }
+    });
+
+    res.status(201).json({ sessionId: session.id, url: session.url });
+  } catch (error) {
+    console.error('Create checkout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Provider webhook - body is raw (see index.js) so signatures can be verified
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = getPaymentProvider().parseWebhookEvent(req.body, req.headers);
+  } catch (error) {
+    console.warn('Rejected payment webhook:', error.message);
+    return res.status(400).json({ error: 'Invalid webhook' });
+  }
+
+  try {
+    await dispatchEvent(event);
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Local development: complete a fake checkout and return to the app
+router.get('/fake-checkout/:sessionId', publicRateLimit, async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== 'fake') {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+
+    const webhook = provider.buildWebhook(req.params.sessionId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Checkout session not found' });
+    }
+
+    await dispatchEvent(provider.parseWebhookEvent(webhook.body, webhook.headers));
+    res.redirect(webhook.session.successUrl);
+  } catch (error) {
+    console.error('Fake checkout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Earnings summary for the current user
+router.get('/earnings', userRateLimit, authenticateToken, async (req, res) => {
+  try {
+    const where = { userId: req.user.id, status: 'SUCCEEDED' };
+
+    const [totals, byLink, recent] = await Promise.all([
+      prisma.payment.groupBy({
+        by: ['currency'],
+        where,
+        _sum: { amount: true },
+        _count: { id: true }
+      }),
+      prisma.payment.groupBy({
+        by: ['linkId', 'currency'],
+        where,
+        _sum: { amount: true },
+        _count: { id: true }
+      }),
+      prisma.payment.findMany({
+        where,
+        orderBy: { completedAt: 'desc' },
+        take: 20,
+        select: {
+          id: true,
+          amount: true,
+          currency: true,
+          supporterName: true,
+          message: true,
+          completedAt: true,
+          link: { select: { id: true, title: true } }
+        }
+      })
+    ]);
+
+    const links = await prisma.link.findMany({
+      where: { id: { in: byLink.map(l => l.linkId).filter(Boolean) } },
+      select: { id: true, title: true }
+    });
+    const titles = Object.fromEntries(links.map(l => [l.id, l.title]));
+
+    res.json({
+      totals: totals.map(t => ({
+        currency: t.currency,
+        amount: t._sum.amount || 0,
+        count: t._count.id
+      })),
+      byLink: byLink.map(l => ({
+        linkId: l.linkId,
+        title: titles[l.linkId] || 'Deleted link',
+        currency: l.currency,
+        amount: l._sum.amount || 0,
+        count: l._count.id
+      })),
+      recent
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
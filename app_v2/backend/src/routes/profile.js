@@ -1,30 +1,47 @@
 /**
  * Profile Management Routes
- * Handles profile updates and avatar uploads
+ * Handles profile updates, avatar and background uploads
  */
 
 import express from 'express';
-import multer from 'multer';
 import { PrismaClient } from '@prisma/client';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth, requireFeature } from '../middleware/auth.js';
+import { invalidateProfileOnWrite } from '../middleware/profileCache.js';
+import { imageUpload, imageOrVideoUpload } from '../middleware/upload.js';
+import { hasFeature, planRequiredError } from '../lib/plans.js';
+import { validateHandle, isHandleTaken, nextHandleChangeAt, changeHandle } from '../lib/handles.js';
+import { findReservation, reservedHandleMessage } from '../lib/reservedHandles.js';
+import {
+  DEFAULT_THEME_ID,
+  MAX_CUSTOM_THEMES,
+  validateTheme,
+  formatTheme,
+  listThemes,
+  findTheme,
+  getTheme
+} from '../lib/themes.js';
+import { FONTS, FONT_IDS } from '../lib/fonts.js';
+import { sanitizeCustomCss } from '../lib/customCss.js';
+import { storeImage, storeVideo, removeUserMedia } from '../lib/media.js';
+import {
+  BACKGROUND_TYPES,
+  MEDIA_BACKGROUND_TYPES,
+  BACKGROUND_IMAGE_MAX_BYTES,
+  BACKGROUND_VIDEO_MAX_BYTES,
+  BACKGROUND_VIDEO_MAX_SECONDS,
+  MAX_BACKGROUND_BLUR,
+  MAX_BACKGROUND_DIM,
+  isValidBackgroundColor,
+  clampBackgroundSetting,
+  backgroundMediaType,
+  findBackgroundMedia
+} from '../lib/backgrounds.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Memory storage for serverless environment
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB from knowledge base
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const mimetype = allowedTypes.test(file.mimetype);
-    if (mimetype) {
-      return cb(null, true);
-    }
-    cb(new Error('Only image files (JPG, PNG, GIF, WebP) are allowed'));
-  }
-});
+// Writes here change the public profile
+router.use(invalidateProfileOnWrite);
 
 // Get profile
 router.get('/', authenticateToken, async (req, res) => {
@@ -39,17 +56,30 @@ router.get('/', authenticateToken, async (req, res) => {
         bioDescription: true,
         avatarUrl: true,
         category: true,
+        metaTitle: true,
+        metaDescription: true,
         theme: true,
         buttonStyle: true,
         fontFamily: true,
+        headingFont: true,
         backgroundColor: true,
         backgroundType: true,
+        backgroundUrl: true,
+        backgroundBlur: true,
+        backgroundDim: true,
+        hideBadge: true,
+        customCss: true,
         planTier: true,
+        handleChangedAt: true,
         createdAt: true
       }
     });
     
-    res.json(user);
+    res.json({
+      ...user,
+      nextHandleChangeAt: nextHandleChangeAt(user),
+      activeTheme: formatTheme(await getTheme(user.theme, user.id))
+    });
   } catch (error) {
     console.error('Get profile error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -63,11 +93,18 @@ router.put('/', authenticateToken, async (req, res) => {
       displayName,
       bioTitle,
       bioDescription,
+      metaTitle,
+      metaDescription,
       theme,
       buttonStyle,
       fontFamily,
+      headingFont,
       backgroundColor,
-      backgroundType
+      backgroundType,
+      backgroundBlur,
+      backgroundDim,
+      hideBadge,
+      customCss
     } = req.body;
     
     const updateData = {};
@@ -87,9 +124,18 @@ router.put('/', authenticateToken, async (req, res) => {
       updateData.bioDescription = bioDescription.substring(0, 150);
     }
     
+    // Search and link preview overrides; empty falls back to the bio
+    if (metaTitle !== undefined) {
+      updateData.metaTitle = metaTitle ? String(metaTitle).substring(0, 60) : null;
+    }
+    
+    if (metaDescription !== undefined) {
+      updateData.metaDescription = metaDescription ? String(metaDescription).substring(0, 160) : null;
+    }
+    
+    // A preset or one of the user's own themes
     if (theme !== undefined) {
-      const validThemes = ['dark', 'light', 'sunset', 'ocean', 'forest', 'neon', 'minimal'];
-      if (validThemes.includes(theme)) {
+      if (theme && await findTheme(String(theme), req.user.id)) {
         updateData.theme = theme;
       }
     }
@@ -101,24 +147,75 @@ router.put('/', authenticateToken, async (req, res) => {
       }
     }
     
+    // Empty uses the theme's font
     if (fontFamily !== undefined) {
-      const validFonts = ['Inter', 'Poppins', 'Roboto', 'Playfair Display', 'Montserrat', 'Open Sans', 'Lato', 'Space Grotesk'];
-      if (validFonts.includes(fontFamily)) {
-        updateData.fontFamily = fontFamily;
+      if (!fontFamily || FONT_IDS.includes(fontFamily)) {
+        updateData.fontFamily = fontFamily || null;
       }
     }
     
+    // Empty uses the body font
+    if (headingFont !== undefined) {
+      if (!headingFont || FONT_IDS.includes(headingFont)) {
+        updateData.headingFont = headingFont || null;
+      }
+    }
+    
+    // Empty goes back to the theme's background
     if (backgroundColor !== undefined) {
-      updateData.backgroundColor = backgroundColor;
+      if (backgroundColor && !isValidBackgroundColor(backgroundColor)) {
+        return res.status(400).json({ error: 'Background must be a hex color or a two-color linear gradient' });
+      }
+      updateData.backgroundColor = backgroundColor || null;
     }
     
     if (backgroundType !== undefined) {
-      const validTypes = ['solid', 'gradient', 'image'];
-      if (validTypes.includes(backgroundType)) {
+      if (MEDIA_BACKGROUND_TYPES.includes(backgroundType)) {
+        if (!hasFeature(req.user, 'imageBackground')) {
+          return res.status(402).json(planRequiredError('imageBackground'));
+        }
+        // Switching back to an uploaded background needs one of that kind
+        const media = await findBackgroundMedia(req.user.id);
+        if (!media || backgroundMediaType(media) !== backgroundType) {
+          return res.status(400).json({ error: `Upload a background ${backgroundType} first` });
+        }
+      }
+      if (BACKGROUND_TYPES.includes(backgroundType)) {
         updateData.backgroundType = backgroundType;
       }
     }
     
+    if (backgroundBlur !== undefined) {
+      updateData.backgroundBlur = clampBackgroundSetting(backgroundBlur, MAX_BACKGROUND_BLUR);
+    }
+    
+    if (backgroundDim !== undefined) {
+      updateData.backgroundDim = clampBackgroundSetting(backgroundDim, MAX_BACKGROUND_DIM);
+    }
+    
+    if (hideBadge !== undefined) {
+      if (hideBadge && !hasFeature(req.user, 'removeBadge')) {
+        return res.status(402).json(planRequiredError('removeBadge'));
+      }
+      updateData.hideBadge = Boolean(hideBadge);
+    }
+    
+    // Saved as written once it passes the checks; errors point at lines
+    // so the editor can show them
+    if (customCss !== undefined) {
+      if (customCss !== null && typeof customCss !== 'string') {
+        return res.status(400).json({ error: 'Custom CSS must be text' });
+      }
+      if (customCss && !hasFeature(req.user, 'customCss')) {
+        return res.status(402).json(planRequiredError('customCss'));
+      }
+      const { errors } = sanitizeCustomCss(customCss);
+      if (errors) {
+        return res.status(400).json({ error: 'Custom CSS has errors', errors });
+      }
+      updateData.customCss = customCss || null;
+    }
+    
     const user = await prisma.user.update({
       where: { id: req.user.id },
       data: updateData,
@@ -129,45 +226,121 @@ router.put('/', authenticateToken, async (req, res) => {
         bioTitle: true,
         bioDescription: true,
         avatarUrl: true,
+        metaTitle: true,
+        metaDescription: true,
         theme: true,
         buttonStyle: true,
         fontFamily: true,
+        headingFont: true,
         backgroundColor: true,
-        backgroundType: true
+        backgroundType: true,
+        backgroundUrl: true,
+        backgroundBlur: true,
+        backgroundDim: true,
+        hideBadge: true,
+        customCss: true
       }
     });
     
-    res.json(user);
+    res.json({
+      ...user,
+      activeTheme: formatTheme(await getTheme(user.theme, user.id))
+    });
   } catch (error) {
     console.error('Update profile error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Upload avatar
-router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+// Change handle. The old one keeps redirecting and stays reserved.
+router.put('/handle', authenticateToken, async (req, res) => {
+  try {
+    const { handle } = req.body;
+    
+    if (!handle) {
+      return res.status(400).json({ error: 'Handle is required' });
+    }
+    
+    const validation = validateHandle(handle);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.message });
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, handle: true, handleLower: true, handleChangedAt: true, bioTitle: true }
+    });
+    const handleLower = handle.toLowerCase();
+    
+    if (handle === user.handle) {
+      return res.status(400).json({ error: 'That is already your handle' });
+    }
+    
+    // Capitalisation-only changes skip the cooldown
+    const nextChangeAt = nextHandleChangeAt(user);
+    if (handleLower !== user.handleLower && nextChangeAt) {
+      return res.status(429).json({
+        error: `You can change your handle again on ${nextChangeAt.toDateString()}`,
+        nextHandleChangeAt: nextChangeAt
+      });
+    }
+    
+    if (handleLower !== user.handleLower) {
+      const reservation = await findReservation(handleLower);
+      if (reservation) {
+        return res.status(400).json({ error: reservedHandleMessage(reservation) });
+      }
+    }
+    
+    if (await isHandleTaken(handleLower, { userId: user.id })) {
+      return res.status(400).json({ error: 'Handle already taken' });
+    }
+    
+    const updated = await changeHandle(user, handle);
+    
+    res.json({
+      handle: updated.handle,
+      nextHandleChangeAt: nextHandleChangeAt(updated)
+    });
+  } catch (error) {
+    // Lost a race with someone else claiming the same handle
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Handle already taken' });
+    }
+    console.error('Change handle error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload avatar. Stored as resized variants; avatarUrl points at the
+// 400x400 one and `avatar` lists them all.
+router.post('/avatar', authenticateToken, imageUpload('avatar'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    // In production, upload to cloud storage (S3, Cloudinary, etc.)
-    // For now, store as base64 data URL
-    const base64 = req.file.buffer.toString('base64');
-    const dataUrl = `data:${req.file.mimetype};base64,${base64}`;
+    const { asset, error } = await storeImage(req.user.id, req.file.buffer, 'avatar');
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
     const user = await prisma.user.update({
       where: { id: req.user.id },
-      data: { avatarUrl: dataUrl },
+      data: { avatarUrl: asset.url },
       select: {
         id: true,
         avatarUrl: true
       }
     });
     
+    // The previous avatar's files are no longer referenced
+    await removeUserMedia(req.user.id, { kind: 'avatar', exceptId: asset.id });
+    
     res.json({ 
       success: true, 
-      avatarUrl: user.avatarUrl 
+      avatarUrl: user.avatarUrl,
+      avatar: asset.variants
     });
   } catch (error) {
     console.error('Avatar upload error:', error);
@@ -182,6 +355,7 @@ router.delete('/avatar', authenticateToken, async (req, res) => {
       where: { id: req.user.id },
       data: { avatarUrl: null }
     });
+    await removeUserMedia(req.user.id, { kind: 'avatar' });
     
     res.json({ success: true });
   } catch (error) {
@@ -190,35 +364,176 @@ router.delete('/avatar', authenticateToken, async (req, res) => {
   }
 });
 
-// Get available themes
-router.get('/themes', (req, res) => {
-  const themes = [
-    { id: 'dark', name: 'Dark', colors: { bg: '#0a0a0a', text: '#ffffff', primary: '#FF6B35' } },
-    { id: 'light', name: 'Light', colors: { bg: '#ffffff', text: '#1a1a1a', primary: '#FF6B35' } },
-    { id: 'sunset', name: 'Sunset', colors: { bg: 'linear-gradient(135deg, #764ba2, #f093fb)', text: '#ffffff', primary: '#ffffff' } },
-    { id: 'ocean', name: 'Ocean', colors: { bg: 'linear-gradient(135deg, #1a2a6c, #2980B9)', text: '#ffffff', primary: '#00d4ff' } },
-    { id: 'forest', name: 'Forest', colors: { bg: 'linear-gradient(135deg, #134E5E, #71B280)', text: '#ffffff', primary: '#9fffe0' } },
-    { id: 'neon', name: 'Neon', colors: { bg: '#0a0014', text: '#ffffff', primary: '#ff00ff' } },
-    { id: 'minimal', name: 'Minimal', colors: { bg: '#f5f5f5', text: '#333333', primary: '#333333' } }
-  ];
-  
-  res.json(themes);
+// Upload a background image or short looping video (premium). Replaces
+// the previous background and switches the profile to it.
+router.post(
+  '/background',
+  authenticateToken,
+  requireFeature('imageBackground'),
+  imageOrVideoUpload('background', { maxBytes: BACKGROUND_VIDEO_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+      
+      const isVideo = req.file.mimetype === 'video/mp4';
+      if (!isVideo && req.file.size > BACKGROUND_IMAGE_MAX_BYTES) {
+        return res.status(400).json({ error: `Images must be ${BACKGROUND_IMAGE_MAX_BYTES / 1024 / 1024}MB or smaller` });
+      }
+      
+      const { asset, error } = isVideo
+        ? await storeVideo(req.user.id, req.file.buffer, 'background', { maxSeconds: BACKGROUND_VIDEO_MAX_SECONDS })
+        : await storeImage(req.user.id, req.file.buffer, 'background');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      
+      const user = await prisma.user.update({
+        where: { id: req.user.id },
+        data: { backgroundUrl: asset.url, backgroundType: backgroundMediaType(asset) },
+        select: {
+          backgroundType: true,
+          backgroundUrl: true
+        }
+      });
+      
+      await removeUserMedia(req.user.id, { kind: 'background', exceptId: asset.id });
+      
+      res.json({
+        success: true,
+        ...user,
+        background: asset.variants
+      });
+    } catch (error) {
+      console.error('Background upload error:', error);
+      res.status(500).json({ error: 'Server error' });
+    }
+  }
+);
+
+// Remove the uploaded background; the profile goes back to its colors
+router.delete('/background', authenticateToken, async (req, res) => {
+  try {
+    const current = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { backgroundType: true, backgroundColor: true }
+    });
+    
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        backgroundUrl: null,
+        ...(MEDIA_BACKGROUND_TYPES.includes(current.backgroundType) && {
+          backgroundType: current.backgroundColor?.startsWith('#') ? 'solid' : 'gradient'
+        })
+      },
+      select: {
+        backgroundType: true,
+        backgroundUrl: true
+      }
+    });
+    await removeUserMedia(req.user.id, { kind: 'background' });
+    
+    res.json({ success: true, ...user });
+  } catch (error) {
+    console.error('Remove background error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get available themes: the presets, plus the user's own when signed in
+router.get('/themes', optionalAuth, async (req, res) => {
+  try {
+    const themes = await listThemes(req.user?.id);
+    res.json(themes.map(formatTheme));
+  } catch (error) {
+    console.error('Get themes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a theme. The response includes its contrast check.
+router.post('/themes', authenticateToken, async (req, res) => {
+  try {
+    const { data, error } = validateTheme(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const count = await prisma.theme.count({ where: { userId: req.user.id } });
+    if (count >= MAX_CUSTOM_THEMES) {
+      return res.status(400).json({ error: `You can have up to ${MAX_CUSTOM_THEMES} themes` });
+    }
+    
+    const theme = await prisma.theme.create({
+      data: { ...data, userId: req.user.id }
+    });
+    
+    res.status(201).json(formatTheme(theme));
+  } catch (error) {
+    console.error('Create theme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update one of the user's themes (presets can't be edited)
+router.put('/themes/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await prisma.theme.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+    
+    const { data, error } = validateTheme(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const theme = await prisma.theme.update({
+      where: { id: existing.id },
+      data
+    });
+    
+    res.json(formatTheme(theme));
+  } catch (error) {
+    console.error('Update theme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete one of the user's themes. A profile using it goes back to the default.
+router.delete('/themes/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await prisma.theme.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Theme not found' });
+    }
+    
+    await prisma.$transaction([
+      prisma.user.updateMany({
+        where: { id: req.user.id, theme: existing.id },
+        data: { theme: DEFAULT_THEME_ID }
+      }),
+      prisma.theme.delete({ where: { id: existing.id } })
+    ]);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete theme error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
 // Get available fonts
 router.get('/fonts', (req, res) => {
-  const fonts = [
-    { id: 'Inter', name: 'Inter', category: 'sans-serif' },
-    { id: 'Poppins', name: 'Poppins', category: 'sans-serif' },
-    { id: 'Roboto', name: 'Roboto', category: 'sans-serif' },
-    { id: 'Playfair Display', name: 'Playfair Display', category: 'serif' },
-    { id: 'Montserrat', name: 'Montserrat', category: 'sans-serif' },
-    { id: 'Open Sans', name: 'Open Sans', category: 'sans-serif' },
-    { id: 'Lato', name: 'Lato', category: 'sans-serif' },
-    { id: 'Space Grotesk', name: 'Space Grotesk', category: 'sans-serif' }
-  ];
-  
-  res.json(fonts);
+  res.json(FONTS);
 });
 
 export default router;
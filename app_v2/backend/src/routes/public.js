@@ -6,6 +6,16 @@
 import express from 'express';
 import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
+import { publicGateView, verifyGate, unlockRetryAfter, recordUnlockFailure } from '../lib/linkGating.js';
+import { scheduleStatus, liveScheduleWhere } from '../lib/linkSchedule.js';
+import { hasFeature } from '../lib/plans.js';
+import { findHandleAlias } from '../lib/handles.js';
+import { getCachedProfile, cacheProfile } from '../lib/profileCache/index.js';
+import { OG_IMAGE_SELECT, ogImageVersion, ogImageUrl, getOgImage } from '../lib/ogImage.js';
+import { mediaVariants } from '../lib/media.js';
+import { getTheme, themeStyle } from '../lib/themes.js';
+import { resolveFonts } from '../lib/fonts.js';
+import { sanitizeCustomCss } from '../lib/customCss.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -45,86 +55,218 @@ const hashIP = (ip) => {
   return crypto.createHash('sha256').update(ip + 'biolink-salt').digest('hex').substring(0, 16);
 };
 
-// Get public profile by handle
+// Load a link that visitors may currently open, or explain why not
+const findClickableLink = async (linkId) => {
+  const link = await prisma.link.findFirst({
+    where: { id: linkId, isActive: true, isDeleted: false, user: { isActive: true } },
+    select: { id: true, userId: true, url: true, settings: true, scheduledStart: true, scheduledEnd: true }
+  });
+  
+  if (!link) {
+    return { status: 404, error: 'Link not found' };
+  }
+  
+  // Stale cached pages may still show links outside their window
+  const status = scheduleStatus(link);
+  if (status === 'scheduled') {
+    return { status: 410, error: 'This link is not available yet' };
+  }
+  if (status === 'expired') {
+    return { status: 410, error: 'This link has expired' };
+  }
+  
+  return { link };
+};
+
+// Record a click event and bump the link's counter
+const recordClick = async (link, req) => {
+  const { referrer } = req.body;
+  const userAgent = req.headers['user-agent'];
+  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+  
+  await prisma.analyticsEvent.create({
+    data: {
+      userId: link.userId,
+      linkId: link.id,
+      eventType: 'LINK_CLICK',
+      referrer,
+      referrerCategory: categorizeReferrer(referrer),
+      device: detectDevice(userAgent),
+      userAgent,
+      ipHash: hashIP(ip)
+    }
+  });
+  
+  await prisma.link.update({
+    where: { id: link.id },
+    data: { clickCount: { increment: 1 } }
+  });
+};
+
+// Build the public profile response, or null if there is no visible profile
+const loadPublicProfile = async (handleLower) => {
+  const user = await prisma.user.findUnique({
+    where: { handleLower },
+    select: {
+      id: true,
+      handle: true,
+      displayName: true,
+      bioTitle: true,
+      bioDescription: true,
+      avatarUrl: true,
+      metaTitle: true,
+      metaDescription: true,
+      theme: true,
+      buttonStyle: true,
+      fontFamily: true,
+      headingFont: true,
+      backgroundColor: true,
+      backgroundType: true,
+      backgroundUrl: true,
+      backgroundBlur: true,
+      backgroundDim: true,
+      hideBadge: true,
+      customCss: true,
+      planTier: true,
+      isActive: true,
+      // Uploads replace the previous one, so there's at most one of each
+      mediaAssets: {
+        where: { kind: { in: ['avatar', 'background'] } },
+        orderBy: { createdAt: 'desc' },
+        select: { kind: true, format: true, variants: true }
+      },
+      links: {
+        where: { 
+          isActive: true,
+          isDeleted: false,
+          ...liveScheduleWhere()
+        },
+        orderBy: { position: 'asc' },
+        select: {
+          id: true,
+          url: true,
+          title: true,
+          type: true,
+          thumbnailUrl: true,
+          settings: true
+        }
+      },
+      socialIcons: {
+        orderBy: { position: 'asc' },
+        select: {
+          id: true,
+          platform: true,
+          url: true
+        }
+      }
+    }
+  });
+  
+  // Deactivated and pending-deletion accounts are hidden
+  if (!user || !user.isActive) {
+    return null;
+  }
+  
+  // Parse settings JSON for each link; gated links lose their URL
+  const linksWithSettings = user.links.map(link => publicGateView({
+    ...link,
+    settings: link.settings ? JSON.parse(link.settings) : {}
+  }));
+  
+  const { hideBadge, isActive, mediaAssets, customCss, ...profile } = user;
+  const theme = await getTheme(user.theme, user.id);
+  const backgroundImage = mediaAssets.find(asset => asset.kind === 'background' && asset.format !== 'mp4');
+  
+  return {
+    ...profile,
+    // Avatar sizes for srcset; null for avatars saved before the media pipeline
+    avatar: mediaVariants(mediaAssets.find(asset => asset.kind === 'avatar')),
+    // Background image sizes for srcset
+    backgroundImage: mediaVariants(backgroundImage),
+    // Drawn with CSS variables generated from these values
+    activeTheme: { id: theme.id, name: theme.name, ...themeStyle(theme) },
+    // Heading and body fonts with their weights, for @font-face rules
+    fonts: resolveFonts(user, theme),
+    links: linksWithSettings,
+    ogImageUrl: ogImageUrl(user, theme),
+    // Free profiles always show the badge; premium users can remove it (knowledge base)
+    showBadge: !(hasFeature(user, 'removeBadge') && hideBadge),
+    // Scoped to the page; kept but not shown after a downgrade
+    customCss: hasFeature(user, 'customCss') ? sanitizeCustomCss(customCss).css || null : null
+  };
+};
+
+// Get public profile by handle. Served from the profile cache when
+// possible; conditional requests with a matching ETag get a 304.
 router.get('/:handle', async (req, res) => {
   try {
     const { handle } = req.params;
     const handleLower = handle.toLowerCase();
     
-    const user = await prisma.user.findUnique({
-      where: { handleLower },
-      select: {
-        id: true,
-        handle: true,
-        displayName: true,
-        bioTitle: true,
-        bioDescription: true,
-        avatarUrl: true,
-        theme: true,
-        buttonStyle: true,
-        fontFamily: true,
-        backgroundColor: true,
-        backgroundType: true,
-        planTier: true,
-        links: {
-          where: { 
-            isActive: true,
-            isDeleted: false,
-            OR: [
-              { scheduledStart: null },
-              { scheduledStart: { lte: new Date() } }
-            ],
-            AND: [
-              {
-                OR: [
-                  { scheduledEnd: null },
-                  { scheduledEnd: { gte: new Date() } }
-                ]
-              }
-            ]
-          },
-          orderBy: { position: 'asc' },
-          select: {
-            id: true,
-            url: true,
-            title: true,
-            type: true,
-            thumbnailUrl: true,
-            settings: true
-          }
-        },
-        socialIcons: {
-          orderBy: { position: 'asc' },
-          select: {
-            id: true,
-            platform: true,
-            url: true
-          }
+    let cached = await getCachedProfile(handleLower);
+    
+    if (!cached) {
+      const profile = await loadPublicProfile(handleLower);
+      
+      if (!profile) {
+        // Old handle after a handle change: tell the client where the profile went
+        const alias = await findHandleAlias(handleLower);
+        if (alias?.user.isActive) {
+          return res.json({ redirect: true, handle: alias.user.handle });
         }
+        
+        return res.status(404).json({ 
+          error: 'Profile not found',
+          handle,
+          suggestion: `Want to claim @${handle}? Sign up now!`
+        });
       }
+      
+      cached = await cacheProfile(handleLower, profile);
+    }
+    
+    // Revalidated every time: a 304 is cheap, and edits show up at once
+    res.set({
+      'Cache-Control': 'no-cache',
+      ETag: cached.etag
     });
     
-    if (!user) {
-      return res.status(404).json({ 
-        error: 'Profile not found',
-        handle,
-        suggestion: `Want to claim @${handle}? Sign up now!`
-      });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.json(cached.body);
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Share image for link previews (og:image). Versioned URLs never change,
+// so they can be cached for good.
+router.get('/:handle/og.png', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { handleLower: req.params.handle.toLowerCase() },
+      select: { ...OG_IMAGE_SELECT, isActive: true }
+    });
+    
+    if (!user || !user.isActive) {
+      return res.status(404).json({ error: 'Profile not found' });
     }
     
-    // Parse settings JSON for each link
-    const linksWithSettings = user.links.map(link => ({
-      ...link,
-      settings: link.settings ? JSON.parse(link.settings) : {}
-    }));
+    const theme = await getTheme(user.theme, user.id);
+    const png = await getOgImage(user, theme);
     
-    res.json({
-      ...user,
-      links: linksWithSettings,
-      showBadge: user.planTier === 'free' // From knowledge base
+    res.set({
+      'Content-Type': 'image/png',
+      'Cache-Control': req.query.v === ogImageVersion(user, theme)
+        ? 'public, max-age=31536000, immutable'
+        : 'public, max-age=3600'
     });
+    res.send(png);
   } catch (error) {
-    console.error('Get public profile error:', error);
+    console.error('Share image error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -140,10 +282,10 @@ router.post('/:handle/view', async (req, res) => {
     
     const user = await prisma.user.findUnique({
       where: { handleLower },
-      select: { id: true }
+      select: { id: true, isActive: true }
     });
     
-    if (!user) {
+    if (!user || !user.isActive) {
       return res.status(404).json({ error: 'Profile not found' });
     }
     
@@ -185,42 +327,60 @@ router.post('/:handle/view', async (req, res) => {
 router.post('/click/:linkId', async (req, res) => {
   try {
     const { linkId } = req.params;
-    const { referrer } = req.body;
-    const userAgent = req.headers['user-agent'];
-    const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
     
-    const link = await prisma.link.findUnique({
-      where: { id: linkId },
-      select: { id: true, userId: true, url: true }
-    });
+    const { link, status, error } = await findClickableLink(linkId);
+    if (!link) {
+      return res.status(status).json({ error });
+    }
+    
+    // Gated links must go through /unlock so the URL isn't leaked
+    const settings = link.settings ? JSON.parse(link.settings) : {};
+    if (settings.gate) {
+      return res.status(403).json({ error: 'This link is locked', gate: { mode: settings.gate.mode } });
+    }
     
+    await recordClick(link, req);
+    
+    res.json({ success: true, url: link.url });
+  } catch (error) {
+    console.error('Track click error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlock a gated link (18+ confirmation or password) and track the click
+router.post('/unlock/:linkId', async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const { password, confirmed } = req.body;
+    
+    const { link, status, error } = await findClickableLink(linkId);
     if (!link) {
-      return res.status(404).json({ error: 'Link not found' });
+      return res.status(status).json({ error });
+    }
+    
+    const settings = link.settings ? JSON.parse(link.settings) : {};
+    const isPasswordGate = settings.gate?.mode === 'password';
+    
+    const retryAfter = isPasswordGate ? await unlockRetryAfter(link.id, req.ip) : 0;
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many wrong passwords. Please try again later.', retryAfter });
     }
     
-    // Record click event
-    await prisma.analyticsEvent.create({
-      data: {
-        userId: link.userId,
-        linkId: link.id,
-        eventType: 'LINK_CLICK',
-        referrer,
-        referrerCategory: categorizeReferrer(referrer),
-        device: detectDevice(userAgent),
-        userAgent,
-        ipHash: hashIP(ip)
+    const result = await verifyGate(settings, { password, confirmed });
+    if (!result.ok) {
+      if (isPasswordGate && password) {
+        await recordUnlockFailure(link.id, req.ip);
       }
-    });
+      return res.status(401).json({ error: result.error });
+    }
     
-    // Increment click count on link
-    await prisma.link.update({
-      where: { id: linkId },
-      data: { clickCount: { increment: 1 } }
-    });
+    await recordClick(link, req);
     
     res.json({ success: true, url: link.url });
   } catch (error) {
-    console.error('Track click error:', error);
+    console.error('Unlock link error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -6,10 +6,14 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { authenticateToken } from '../middleware/auth.js';
+import { invalidateProfileOnWrite } from '../middleware/profileCache.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Writes here change the public profile
+router.use(invalidateProfileOnWrite);
+
 // Supported platforms
 const PLATFORMS = [
   'instagram', 'twitter', 'x', 'tiktok', 'youtube', 'facebook', 
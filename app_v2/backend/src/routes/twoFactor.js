@@ -0,0 +1,183 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP enrollment, recovery codes and disabling 2FA
+ */
+
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import QRCode from 'qrcode';
+import { PrismaClient } from '@prisma/client';
+import { authenticateToken } from '../middleware/auth.js';
+import { generateSecret, provisioningUri, verifyCode } from '../lib/totp.js';
+import {
+  claimAccountCodeAttempt,
+  decryptTotpSecret,
+  encryptTotpSecret,
+  regenerateRecoveryCodes,
+  verifySecondFactor
+} from '../lib/twoFactor.js';
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// 2FA status for the current user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpEnabled: true }
+    });
+
+    const recoveryCodesRemaining = user.totpEnabled
+      ? await prisma.recoveryCode.count({ where: { userId: req.user.id, usedAt: null } })
+      : 0;
+
+    res.json({ enabled: user.totpEnabled, recoveryCodesRemaining });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start enrollment: new secret plus QR code for authenticator apps
+router.post('/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpEnabled: true }
+    });
+
+    if (user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    // Pending until confirmed with a code - login ignores it while totpEnabled is false
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { totpSecret: encryptTotpSecret(secret), totpLastStep: null }
+    });
+
+    const otpauthUrl = provisioningUri({ secret, account: req.user.email });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Finish enrollment by confirming a code from the app
+router.post('/enable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpEnabled: true, totpSecret: true }
+    });
+
+    if (user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(decryptTotpSecret(user.totpSecret), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { totpEnabled: true, totpLastStep: step }
+    });
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace recovery codes (requires a current authenticator code)
+router.post('/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await claimAccountCodeAttempt(req.user.id))) {
+      return res.status(429).json({ error: 'Too many verification attempts. Please try again in a few minutes.' });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn 2FA off (requires the password and a code or recovery code)
+router.post('/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and a verification code are required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    if (!user.totpEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const validPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await claimAccountCodeAttempt(req.user.id))) {
+      return res.status(429).json({ error: 'Too many verification attempts. Please try again in a few minutes.' });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: { totpEnabled: false, totpSecret: null, totpLastStep: null }
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: req.user.id } })
+    ]);
+
+    res.json({ enabled: false });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeCustomCss } from '../src/lib/customCss.js';
+import { setStorage } from '../src/lib/storage/index.js';
+
+before(() => {
+  setStorage({ url: (key) => `https://media.biolink.test/${key}` });
+});
+
+after(() => {
+  setStorage(null);
+});
+
+const errorsFor = (source) => (sanitizeCustomCss(source).errors || []).map(error => error.message);
+
+test('accepts plain CSS and scopes it under the profile', () => {
+  const { css } = sanitizeCustomCss('a { color: red; } .link-button:hover { opacity: .8 }');
+  assert.equal(css, '.public-profile a { color: red; } .public-profile .link-button:hover { opacity: .8 }');
+});
+
+test('page-level selectors become the profile container', () => {
+  const { css } = sanitizeCustomCss(':root { --accent: red } html body h1, body > p { margin: 0 }');
+  assert.equal(css, '.public-profile { --accent: red } .public-profile h1, .public-profile > p { margin: 0 }');
+});
+
+test('keyframe steps are left unscoped', () => {
+  const { css } = sanitizeCustomCss('@keyframes pulse { from { opacity: 0 } to { opacity: 1 } }');
+  assert.equal(css, '@keyframes pulse { from { opacity: 0 } to { opacity: 1 } }');
+});
+
+test('rejects selectors that reach siblings of the profile', () => {
+  for (const selector of ['.public-profile ~ *', '.public-profile + div', ':root ~ div', 'html + footer', 'body ~ *', '~ div', '.public-profile.dark ~ div']) {
+    assert.match(errorsFor(`${selector} { display: none }`).join(), /only style the profile/, selector);
+  }
+});
+
+test('allows sibling combinators inside the profile', () => {
+  const { css, errors } = sanitizeCustomCss('.link-button ~ .link-button, a[title~="x"] + b, .public-profile a:not(.x ~ .y) { margin: 0 }');
+  assert.equal(errors, undefined);
+  assert.equal(css, '.public-profile .link-button ~ .link-button, .public-profile a[title~="x"] + b, .public-profile a:not(.x ~ .y) { margin: 0 }');
+});
+
+test('allows relative, data: and uploaded image URLs', () => {
+  const source = [
+    'a { background: url(images/bg.png) }',
+    'b { background: url("/media/x.png") }',
+    'i { background: url("data:image/png;base64,AAAA") }',
+    'p { background: image-set(url(a.png) 1x, "https://media.biolink.test/b.png" 2x) }'
+  ].join('\n');
+  assert.deepEqual(errorsFor(source), []);
+});
+
+test('rejects external URLs in url() and every URL-taking function', () => {
+  for (const value of [
+    'url(https://evil.example/x.png)',
+    'url("//evil.example/x.png")',
+    'url(\'https://evil.example/x.png\')',
+    'image-set("https://evil.example/x.png" 1x)',
+    'image-set(url(a.png) 1x, "https://evil.example/x.png" 2x)',
+    '-webkit-image-set(url(a.png) 1x, "https://evil.example/x.png" 2x)',
+    'cross-fade(url(a.png), image("https://evil.example/x.png"))',
+    'linear-gradient(red, blue), url(https://evil.example/x.png)'
+  ]) {
+    assert.match(errorsFor(`a { background: ${value} }`).join(), /url\(\) can only point to images uploaded/, value);
+  }
+});
+
+test('sees through CSS escapes and comments', () => {
+  for (const value of ['\\75 rl(https://evil.example/x.png)', 'u\\rl(https://evil.example/x.png)', 'url(/**/https://evil.example/x.png)']) {
+    assert.notDeepEqual(errorsFor(`a { background: ${value} }`), [], value);
+  }
+});
+
+test('rejects @import, other at-rules and script in CSS', () => {
+  assert.deepEqual(errorsFor('@import "https://evil.example/x.css";'), ['@import is not allowed']);
+  assert.deepEqual(errorsFor('@font-face { font-family: x; src: url(a.woff) }'), ['@font-face is not allowed']);
+  assert.deepEqual(errorsFor('a { width: expression(alert(1)) }'), ['expression() and script URLs are not allowed']);
+  assert.deepEqual(errorsFor('a { behavior: url(x.htc) }'), ['"behavior" is not allowed']);
+});
+
+test('reports syntax errors with their position', () => {
+  const { errors } = sanitizeCustomCss('a {\n  color: red;\n');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, 1);
+});
+
+test('escapes "<" so the CSS cannot close its <style> element', () => {
+  const { css } = sanitizeCustomCss('a::after { content: "</style><script>" }');
+  assert.equal(css.includes('</style>'), false);
+});
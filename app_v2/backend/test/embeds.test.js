@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectEmbed, applyEmbedSettings, providersFor } from '../src/lib/embeds.js';
+
+test('detects YouTube ids from every URL form', () => {
+  for (const url of [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+    'https://youtu.be/dQw4w9WgXcQ?si=abc',
+    'https://m.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://youtube.com/embed/dQw4w9WgXcQ',
+    'https://www.youtube.com/live/dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ'
+  ]) {
+    assert.deepEqual(detectEmbed(url), { provider: 'youtube', linkType: 'VIDEO', id: 'dQw4w9WgXcQ' }, url);
+  }
+});
+
+test('rejects YouTube ids that are not 11 characters', () => {
+  for (const url of [
+    'https://www.youtube.com/watch?v=short',
+    'https://youtu.be/dQw4w9WgXcQx',
+    'https://www.youtube.com/watch?v=dQw4w9WgXc%22',
+    'https://www.youtube.com/channel/UCuAXFkgsw1L7xaCfnd5JJOw'
+  ]) {
+    assert.equal(detectEmbed(url), null, url);
+  }
+});
+
+test('detects Vimeo, Spotify, SoundCloud and Apple Music', () => {
+  assert.deepEqual(detectEmbed('https://vimeo.com/76979871'), { provider: 'vimeo', linkType: 'VIDEO', id: '76979871' });
+  assert.deepEqual(detectEmbed('https://player.vimeo.com/video/76979871'), { provider: 'vimeo', linkType: 'VIDEO', id: '76979871' });
+  assert.deepEqual(
+    detectEmbed('https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC?si=x'),
+    { provider: 'spotify', linkType: 'MUSIC', kind: 'track', id: '4uLU6hMCjMI75M1A2tKUQC' }
+  );
+  assert.deepEqual(
+    detectEmbed('https://soundcloud.com/artist/sets/playlist/extra'),
+    { provider: 'soundcloud', linkType: 'MUSIC', id: 'artist/sets/playlist' }
+  );
+  assert.deepEqual(
+    detectEmbed('https://music.apple.com/us/album/some-album/1440857781?i=1440857782'),
+    { provider: 'apple', linkType: 'MUSIC', kind: 'album', id: 'us/album/some-album/1440857781?i=1440857782' }
+  );
+});
+
+test('ignores lookalike hosts and unparseable URLs', () => {
+  for (const url of ['https://youtube.com.evil.example/watch?v=dQw4w9WgXcQ', 'https://notvimeo.com/76979871', 'https://soundcloud.com/artist', 'not a url', '']) {
+    assert.equal(detectEmbed(url), null, url);
+  }
+});
+
+test('applyEmbedSettings stores the embed for matching link types', () => {
+  assert.deepEqual(applyEmbedSettings('VIDEO', 'https://youtu.be/dQw4w9WgXcQ', { color: 'red' }), {
+    settings: { color: 'red', embed: { provider: 'youtube', id: 'dQw4w9WgXcQ' } }
+  });
+});
+
+test('applyEmbedSettings rejects URLs of the wrong kind and drops stale embeds', () => {
+  assert.deepEqual(applyEmbedSettings('MUSIC', 'https://youtu.be/dQw4w9WgXcQ'), {
+    error: `Unsupported music URL. Supported providers: ${providersFor('MUSIC').join(', ')}`
+  });
+  assert.match(applyEmbedSettings('VIDEO', null).error, /Unsupported video URL/);
+  assert.deepEqual(applyEmbedSettings('CLASSIC', 'https://youtu.be/dQw4w9WgXcQ', { embed: { id: 'old' } }), { settings: {} });
+});
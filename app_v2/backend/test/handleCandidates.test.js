@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { candidateHandles, suggestionLimit, DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS } from '../src/lib/handleCandidates.js';
+
+test('suggestionLimit clamps to 1..MAX_SUGGESTIONS', () => {
+  assert.equal(suggestionLimit(3), 3);
+  assert.equal(suggestionLimit(-1), 1);
+  assert.equal(suggestionLimit(0), 1);
+  assert.equal(suggestionLimit(1000), MAX_SUGGESTIONS);
+});
+
+test('suggestionLimit falls back to the default for missing or non-integer limits', () => {
+  for (const limit of [undefined, null, NaN, 2.5, '4']) {
+    assert.equal(suggestionLimit(limit), DEFAULT_SUGGESTIONS, String(limit));
+  }
+});
+
+test('candidates start with one of each kind and never repeat the handle', () => {
+  const year = new Date().getFullYear();
+  const candidates = candidateHandles('jane.doe', 'music');
+
+  assert.deepEqual(candidates.slice(0, 4), ['jane.doe.music', `jane.doe${year}`, 'jane_doe', 'jane.doe1']);
+  assert.equal(new Set(candidates).size, candidates.length);
+  assert.ok(!candidates.includes('jane.doe'));
+});
+
+test('candidates fit the 30 character handle limit', () => {
+  const candidates = candidateHandles('a'.repeat(30));
+  assert.ok(candidates.length > 0);
+  assert.ok(candidates.every(candidate => candidate.length <= 30));
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  prepareGateSettings,
+  ownerGateView,
+  publicGateView,
+  verifyGate,
+  unlockRetryAfter,
+  recordUnlockFailure
+} from '../src/lib/linkGating.js';
+import { setRateLimitStore } from '../src/lib/rateLimit/index.js';
+import { createMemoryStore } from '../src/lib/rateLimit/memoryStore.js';
+
+beforeEach(() => {
+  setRateLimitStore(createMemoryStore());
+});
+
+afterEach(() => {
+  setRateLimitStore(null);
+});
+
+test('password gates hash the password and need at least 8 characters', async () => {
+  assert.deepEqual(await prepareGateSettings({ gate: { mode: 'password', password: 'short' } }), {
+    error: 'Link password must be at least 8 characters'
+  });
+  assert.deepEqual(await prepareGateSettings({ gate: { mode: 'password', password: ['long enough'] } }), {
+    error: 'Link password must be at least 8 characters'
+  });
+
+  const { settings } = await prepareGateSettings({ color: 'red', gate: { mode: 'password', password: 'open sesame' } });
+  assert.equal(settings.color, 'red');
+  assert.equal(settings.gate.mode, 'password');
+  assert.equal(settings.gate.password, undefined);
+  assert.equal((await verifyGate(settings, { password: 'open sesame' })).ok, true);
+  assert.deepEqual(await verifyGate(settings, { password: 'open sesamE' }), { ok: false, error: 'Incorrect password' });
+  assert.deepEqual(await verifyGate(settings, { password: { $ne: '' } }), { ok: false, error: 'Password is required' });
+});
+
+test('gate settings carry over unless replaced or removed', async () => {
+  const previous = { gate: { mode: 'password', passwordHash: 'hash' } };
+
+  assert.deepEqual(await prepareGateSettings({ color: 'red' }, previous), { settings: { color: 'red', gate: previous.gate } });
+  assert.deepEqual(await prepareGateSettings({ gate: { mode: 'password' } }, previous), { settings: { gate: previous.gate } });
+  assert.deepEqual(await prepareGateSettings({ gate: null }, previous), { settings: {} });
+  assert.deepEqual(await prepareGateSettings({ gate: { mode: 'sensitive' } }, previous), { settings: { gate: { mode: 'sensitive' } } });
+  assert.deepEqual(await prepareGateSettings({ gate: { mode: 'password' } }), { error: 'A password is required for password-protected links' });
+  assert.match((await prepareGateSettings({ gate: { mode: 'paywall' } })).error, /Gate mode must be one of/);
+});
+
+test('sensitive gates need an explicit confirmation', async () => {
+  const settings = { gate: { mode: 'sensitive' } };
+  assert.equal((await verifyGate(settings, { confirmed: true })).ok, true);
+  assert.equal((await verifyGate(settings, { confirmed: 'true' })).ok, false);
+  assert.equal((await verifyGate({}, {})).ok, true);
+});
+
+test('owners see whether a password is set, visitors see neither it nor the URL', () => {
+  const settings = { gate: { mode: 'password', passwordHash: 'hash' }, embed: { provider: 'youtube', id: 'x' }, color: 'red' };
+
+  assert.deepEqual(ownerGateView(settings).gate, { mode: 'password', hasPassword: true });
+  assert.deepEqual(publicGateView({ id: 'l1', url: 'https://secret.example', settings }), {
+    id: 'l1',
+    url: null,
+    settings: { color: 'red' },
+    gate: { mode: 'password' }
+  });
+});
+
+test('wrong passwords block the IP, then the link for everyone', async () => {
+  assert.equal(await unlockRetryAfter('l1', '203.0.113.1'), 0);
+
+  for (let i = 0; i < 5; i++) await recordUnlockFailure('l1', '203.0.113.1');
+  assert.ok(await unlockRetryAfter('l1', '203.0.113.1') > 0);
+  assert.equal(await unlockRetryAfter('l1', '203.0.113.2'), 0);
+  assert.equal(await unlockRetryAfter('l2', '203.0.113.1'), 0);
+
+  for (let i = 0; i < 45; i++) await recordUnlockFailure('l1', `198.51.100.${i}`);
+  assert.ok(await unlockRetryAfter('l1', '203.0.113.2') > 0);
+});
+
+test('a limiter store outage does not lock links', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setRateLimitStore({
+    async get() {
+      throw new Error('Connection refused');
+    },
+    async increment() {
+      throw new Error('Connection refused');
+    }
+  });
+
+  await recordUnlockFailure('l1', '203.0.113.1');
+  assert.equal(await unlockRetryAfter('l1', '203.0.113.1'), 0);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchedule, scheduleStatus, liveScheduleWhere } from '../src/lib/linkSchedule.js';
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+test('a link is live inside its window, including both ends', () => {
+  const link = { scheduledStart: '2026-03-01T12:00:00Z', scheduledEnd: '2026-03-01T12:00:00.000Z' };
+  assert.equal(scheduleStatus(link, now), 'live');
+  assert.equal(scheduleStatus({}, now), 'live');
+  assert.equal(scheduleStatus({ scheduledStart: null, scheduledEnd: null }, now), 'live');
+});
+
+test('a link is scheduled before its start and expired after its end', () => {
+  assert.equal(scheduleStatus({ scheduledStart: new Date(now.getTime() + 1) }, now), 'scheduled');
+  assert.equal(scheduleStatus({ scheduledEnd: new Date(now.getTime() - 1) }, now), 'expired');
+  assert.equal(scheduleStatus({ scheduledStart: '2026-01-01T00:00:00Z', scheduledEnd: '2026-02-01T00:00:00Z' }, now), 'expired');
+});
+
+test('times with an offset are compared in UTC', () => {
+  // 13:30 in Paris (+01:00) is 12:30 UTC, still ahead of 12:00 UTC
+  assert.equal(scheduleStatus({ scheduledStart: '2026-03-01T13:30:00+01:00' }, now), 'scheduled');
+  // 06:59 in New York (-05:00) is 11:59 UTC, already past
+  assert.equal(scheduleStatus({ scheduledEnd: '2026-03-01T06:59:00-05:00' }, now), 'expired');
+
+  const { data } = parseSchedule({ scheduledStart: '2026-03-01T13:30:00+01:00' });
+  assert.equal(data.scheduledStart.toISOString(), '2026-03-01T12:30:00.000Z');
+});
+
+test('parseSchedule only returns the fields in the body', () => {
+  assert.deepEqual(parseSchedule({}), { data: {} });
+  assert.deepEqual(parseSchedule({ scheduledEnd: null, scheduledStart: '' }), { data: { scheduledStart: null, scheduledEnd: null } });
+});
+
+test('parseSchedule rejects invalid dates and empty windows', () => {
+  assert.deepEqual(parseSchedule({ scheduledStart: 'tomorrow' }), { error: 'scheduledStart must be a valid date' });
+  assert.deepEqual(parseSchedule({ scheduledEnd: {} }), { error: 'scheduledEnd must be a valid date' });
+  assert.deepEqual(
+    parseSchedule({ scheduledStart: '2026-03-02T00:00:00Z', scheduledEnd: '2026-03-02T00:00:00Z' }),
+    { error: 'Schedule end must be after the start' }
+  );
+});
+
+test('parseSchedule checks a partial update against the stored window', () => {
+  const existing = { scheduledStart: new Date('2026-03-10T00:00:00Z'), scheduledEnd: new Date('2026-03-20T00:00:00Z') };
+
+  assert.deepEqual(parseSchedule({ scheduledEnd: '2026-03-05T00:00:00Z' }, existing), { error: 'Schedule end must be after the start' });
+  assert.deepEqual(parseSchedule({ scheduledStart: '2026-03-25T00:00:00Z' }, existing), { error: 'Schedule end must be after the start' });
+  assert.deepEqual(parseSchedule({ scheduledStart: null, scheduledEnd: '2026-03-05T00:00:00Z' }, existing).data, {
+    scheduledStart: null,
+    scheduledEnd: new Date('2026-03-05T00:00:00Z')
+  });
+});
+
+test('liveScheduleWhere matches the same window as scheduleStatus', () => {
+  assert.deepEqual(liveScheduleWhere(now), {
+    AND: [
+      { OR: [{ scheduledStart: null }, { scheduledStart: { lte: now } }] },
+      { OR: [{ scheduledEnd: null }, { scheduledEnd: { gte: now } }] }
+    ]
+  });
+});
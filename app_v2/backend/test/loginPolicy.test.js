@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { delayAfter, loginBlock, IP_MAX_FAILURES, LOCKOUT_MS, LOCKOUT_THRESHOLD } from '../src/lib/loginPolicy.js';
+
+const now = new Date('2026-01-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+test('the first few failures cost nothing, then delays double up to a minute', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 9].map(delayAfter), [0, 0, 0, 1000, 2000, 4000, 60000]);
+});
+
+test('no failures or free failures are allowed straight away', () => {
+  assert.equal(loginBlock({ count: 0 }, 0, now), null);
+  assert.equal(loginBlock({ count: 2, lastFailureAt: now }, 0, now), null);
+});
+
+test('repeated failures must wait out the delay', () => {
+  const blocked = loginBlock({ count: 5, lastFailureAt: secondsAgo(1) }, 0, now);
+  assert.equal(blocked.code, 'LOGIN_DELAYED');
+  assert.equal(blocked.retryAfter, 3);
+  assert.match(blocked.error, /wait 3 seconds/);
+
+  assert.equal(loginBlock({ count: 5, lastFailureAt: secondsAgo(4) }, 0, now), null);
+});
+
+test('the account locks at the threshold until the lock runs out', () => {
+  const lockedAt = secondsAgo(60);
+  const blocked = loginBlock({ count: LOCKOUT_THRESHOLD, lastFailureAt: lockedAt }, 0, now);
+  assert.equal(blocked.code, 'ACCOUNT_LOCKED');
+  assert.equal(blocked.retryAfter, LOCKOUT_MS / 1000 - 60);
+
+  const later = new Date(lockedAt.getTime() + LOCKOUT_MS);
+  assert.equal(loginBlock({ count: LOCKOUT_THRESHOLD, lastFailureAt: lockedAt }, 0, later), null);
+});
+
+test('an IP with too many failures is blocked whatever the account', () => {
+  assert.equal(loginBlock({ count: 0 }, IP_MAX_FAILURES - 1, now), null);
+  assert.equal(loginBlock({ count: 0 }, IP_MAX_FAILURES, now).code, 'IP_BLOCKED');
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readMp4Info } from '../src/lib/mp4.js';
+
+// Build a box: 32-bit size, type, then the payload
+const box = (type, ...children) => {
+  const payload = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + payload.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+};
+
+const uint32 = (...values) => {
+  const buffer = Buffer.alloc(4 * values.length);
+  values.forEach((value, i) => buffer.writeUInt32BE(value, 4 * i));
+  return buffer;
+};
+
+const ftyp = box('ftyp', Buffer.from('isom'), uint32(0x200), Buffer.from('isomavc1'));
+
+// Version 0 mvhd: version/flags, creation, modification, timescale, duration
+const mvhd = (timescale, duration) => box('mvhd', uint32(0, 0, 0, timescale, duration), Buffer.alloc(80));
+
+// Version 1 mvhd: 64-bit creation and modification times and duration
+const mvhd64 = (timescale, duration) => {
+  const fields = Buffer.alloc(32);
+  fields.writeUInt32BE(0x01000000, 0);
+  fields.writeUInt32BE(timescale, 20);
+  fields.writeBigUInt64BE(BigInt(duration), 24);
+  return box('mvhd', fields, Buffer.alloc(80));
+};
+
+const hdlr = (handler) => box('hdlr', uint32(0, 0), Buffer.from(handler), Buffer.alloc(12));
+
+// tkhd ends with width and height in 16.16 fixed point
+const tkhd = (width, height) => box('tkhd', Buffer.alloc(76), uint32(width * 65536, height * 65536));
+
+const stsd = (codec) => box('stsd', uint32(0, 1), box(codec, Buffer.alloc(8)));
+
+const videoTrak = (codec, width, height) => box('trak',
+  tkhd(width, height),
+  box('mdia', hdlr('vide'), box('minf', box('stbl', stsd(codec))))
+);
+
+const audioTrak = box('trak', tkhd(0, 0), box('mdia', hdlr('soun'), box('minf', box('stbl', stsd('mp4a')))));
+
+test('reads duration, size, codec and audio from the moov box', () => {
+  const file = Buffer.concat([ftyp, box('moov', mvhd(1000, 12500), videoTrak('avc1', 1080, 1920), audioTrak), box('mdat', Buffer.alloc(32))]);
+
+  assert.deepEqual(readMp4Info(file), { duration: 12.5, width: 1080, height: 1920, videoCodec: 'avc1', hasAudio: true });
+});
+
+test('finds moov after mdat and reads 64-bit durations', () => {
+  const file = Buffer.concat([ftyp, box('mdat', Buffer.alloc(32)), box('moov', mvhd64(600, 3600), videoTrak('hvc1', 640, 360))]);
+
+  assert.deepEqual(readMp4Info(file), { duration: 6, width: 640, height: 360, videoCodec: 'hvc1', hasAudio: false });
+});
+
+test('reads 64-bit box sizes', () => {
+  const mdat = Buffer.concat([uint32(1), Buffer.from('mdat'), Buffer.alloc(8), Buffer.alloc(16)]);
+  mdat.writeBigUInt64BE(BigInt(mdat.length), 8);
+  const file = Buffer.concat([ftyp, mdat, box('moov', mvhd(1, 3), videoTrak('avc1', 320, 240))]);
+
+  assert.equal(readMp4Info(file).duration, 3);
+});
+
+test('rejects files that are not MP4s with a video track', () => {
+  assert.equal(readMp4Info(Buffer.from('GIF89a not a video')), null);
+  assert.equal(readMp4Info(Buffer.alloc(0)), null);
+  // No ftyp first
+  assert.equal(readMp4Info(Buffer.concat([box('moov', mvhd(1000, 1000), videoTrak('avc1', 10, 10)), ftyp])), null);
+  // No moov
+  assert.equal(readMp4Info(Buffer.concat([ftyp, box('mdat', Buffer.alloc(8))])), null);
+  // Audio only
+  assert.equal(readMp4Info(Buffer.concat([ftyp, box('moov', mvhd(1000, 1000), audioTrak)])), null);
+});
+
+test('rejects truncated and malformed boxes instead of throwing', () => {
+  const file = Buffer.concat([ftyp, box('moov', mvhd(1000, 12500), videoTrak('avc1', 1080, 1920))]);
+
+  assert.equal(readMp4Info(file.subarray(0, file.length - 10)), null);
+
+  // A box claiming to be smaller than its own header
+  const tiny = Buffer.from(file);
+  tiny.writeUInt32BE(4, ftyp.length);
+  assert.equal(readMp4Info(tiny), null);
+
+  // A 64-bit size running past the end of the file
+  const huge = Buffer.concat([ftyp, uint32(1), Buffer.from('mdat'), uint32(0xffffffff, 0xffffffff)]);
+  assert.equal(readMp4Info(huge), null);
+});
@@ -0,0 +1,133 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createStripeProvider } from '../src/lib/payments/stripeProvider.js';
+import { createFakeProvider } from '../src/lib/payments/fakeProvider.js';
+import { getPaymentProvider, setPaymentProvider } from '../src/lib/payments/index.js';
+import { applyTipJarSettings, isValidTipAmount } from '../src/lib/tipJar.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+const stripe = createStripeProvider({ secretKey: 'sk_test', webhookSecret: WEBHOOK_SECRET });
+
+const originalEnv = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+  setPaymentProvider(null);
+});
+
+// A Stripe-Signature header for the payload, as Stripe would send it
+const stripeSignature = (payload, { secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const stripeWebhook = (type, object) => {
+  const payload = JSON.stringify({ type, data: { object } });
+  return stripe.parseWebhookEvent(Buffer.from(payload), { 'stripe-signature': stripeSignature(payload) });
+};
+
+const paidSession = {
+  id: 'cs_1',
+  mode: 'payment',
+  payment_status: 'paid',
+  payment_intent: 'pi_1',
+  amount_total: 500,
+  currency: 'usd',
+  metadata: { linkId: 'l1' }
+};
+
+test('stripe webhooks need a valid, recent signature', () => {
+  const payload = JSON.stringify({ type: 'checkout.session.completed', data: { object: paidSession } });
+  const parse = (header) => stripe.parseWebhookEvent(payload, { 'stripe-signature': header });
+
+  assert.throws(() => parse(undefined), /Invalid webhook signature/);
+  assert.throws(() => parse('v1=abc'), /Invalid webhook signature/);
+  assert.throws(() => parse(stripeSignature(payload, { secret: 'whsec_other' })), /Invalid webhook signature/);
+  assert.throws(() => parse(stripeSignature(`${payload} `)), /Invalid webhook signature/);
+  assert.throws(
+    () => parse(stripeSignature(payload, { timestamp: Math.floor(Date.now() / 1000) - 600 })),
+    /Webhook signature expired/
+  );
+  assert.equal(parse(stripeSignature(payload)).type, 'payment.succeeded');
+});
+
+test('stripe checkouts only succeed once they are paid', () => {
+  assert.deepEqual(stripeWebhook('checkout.session.completed', paidSession), {
+    type: 'payment.succeeded',
+    sessionId: 'cs_1',
+    paymentId: 'pi_1',
+    amount: 500,
+    currency: 'usd',
+    metadata: { linkId: 'l1' }
+  });
+
+  // Delayed payment methods complete unpaid and succeed later
+  const unpaid = { ...paidSession, payment_status: 'unpaid' };
+  assert.equal(stripeWebhook('checkout.session.completed', unpaid), null);
+  assert.equal(stripeWebhook('checkout.session.async_payment_succeeded', paidSession).type, 'payment.succeeded');
+  assert.equal(stripeWebhook('checkout.session.async_payment_failed', unpaid).type, 'payment.failed');
+});
+
+test('stripe subscriptions activate when paid or free to start', () => {
+  const session = { id: 'cs_2', mode: 'subscription', subscription: 'sub_1', customer: 'cus_1', metadata: {} };
+
+  assert.equal(stripeWebhook('checkout.session.completed', { ...session, payment_status: 'paid' }).type, 'subscription.activated');
+  assert.equal(stripeWebhook('checkout.session.completed', { ...session, payment_status: 'no_payment_required' }).type, 'subscription.activated');
+  assert.equal(stripeWebhook('checkout.session.completed', { ...session, payment_status: 'unpaid' }), null);
+
+  // Only subscriptions can complete without payment
+  assert.equal(stripeWebhook('checkout.session.completed', { ...paidSession, payment_status: 'no_payment_required' }), null);
+});
+
+test('fake provider webhooks are signed with its secret', async () => {
+  const fake = createFakeProvider({ webhookSecret: 'secret', baseUrl: 'http://localhost:3001' });
+  const { id } = await fake.createCheckoutSession({ amount: 300, currency: 'usd', description: 'Tip', metadata: { linkId: 'l1' } });
+  const { body, headers } = fake.buildWebhook(id);
+
+  assert.deepEqual(fake.parseWebhookEvent(Buffer.from(body), headers).metadata, { linkId: 'l1' });
+  assert.throws(() => fake.parseWebhookEvent(body, {}), /Invalid webhook signature/);
+  assert.throws(() => fake.parseWebhookEvent(body.replace('300', '1'), headers), /Invalid webhook signature/);
+
+  const other = createFakeProvider({ webhookSecret: 'other', baseUrl: 'http://localhost:3001' });
+  assert.throws(() => other.parseWebhookEvent(body, headers), /Invalid webhook signature/);
+});
+
+test('production refuses the fake provider and incomplete Stripe settings', () => {
+  process.env.NODE_ENV = 'production';
+  delete process.env.PAYMENT_PROVIDER;
+  assert.throws(() => getPaymentProvider(), /cannot run in production/);
+
+  process.env.PAYMENT_PROVIDER = 'stripe';
+  process.env.STRIPE_SECRET_KEY = 'sk_live';
+  delete process.env.STRIPE_WEBHOOK_SECRET;
+  assert.throws(() => getPaymentProvider(), /needs STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET/);
+});
+
+test('tip jar settings are validated and normalized', () => {
+  assert.deepEqual(applyTipJarSettings('COMMERCE', { tipJar: { title: 'Coffee', amounts: ['300', 300, 100], currency: 'EUR' } }), {
+    settings: { tipJar: { title: 'Coffee', description: '', amounts: [100, 300], currency: 'eur', allowCustom: false } }
+  });
+  assert.deepEqual(applyTipJarSettings('CLASSIC', { tipJar: {}, color: 'red' }), { settings: { color: 'red' } });
+
+  assert.match(applyTipJarSettings('COMMERCE', { tipJar: { amounts: [50] } }).error, /between \$1 and \$500/);
+  assert.match(applyTipJarSettings('COMMERCE', { tipJar: { currency: 'btc' } }).error, /Currency must be one of/);
+  assert.match(applyTipJarSettings('COMMERCE', { tipJar: { amounts: [100, 200, 300, 400, 500] } }).error, /at most 4/);
+});
+
+test('tip jar text fields must be strings', () => {
+  assert.deepEqual(applyTipJarSettings('COMMERCE', { tipJar: { title: ['x'] } }), { error: 'Tip jar title must be text' });
+  assert.deepEqual(applyTipJarSettings('COMMERCE', { tipJar: { description: { a: 1 } } }), { error: 'Tip jar description must be text' });
+  assert.deepEqual(applyTipJarSettings('COMMERCE', { tipJar: { currency: 5 } }), { error: 'Tip jar currency must be text' });
+  assert.equal(applyTipJarSettings('COMMERCE', { tipJar: { title: null } }).settings.tipJar.title, '');
+});
+
+test('custom tip amounts need allowCustom and stay within bounds', () => {
+  const tipJar = { amounts: [500, 1000], allowCustom: false };
+  assert.equal(isValidTipAmount(tipJar, 500), true);
+  assert.equal(isValidTipAmount(tipJar, 700), false);
+  assert.equal(isValidTipAmount({ ...tipJar, allowCustom: true }, 700), true);
+  assert.equal(isValidTipAmount({ ...tipJar, allowCustom: true }, 99), false);
+  assert.equal(isValidTipAmount({ ...tipJar, allowCustom: true }, 50001), false);
+  assert.equal(isValidTipAmount({ ...tipJar, allowCustom: true }, 700.5), false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  countsTowardLinkLimit,
+  takesNewLinkSlot,
+  maxActiveLinksFor,
+  linkLimitError,
+  unverifiedLinkLimitError,
+  PLANS,
+  UNVERIFIED_MAX_ACTIVE_LINKS
+} from '../src/lib/plans.js';
+
+const takesNewSlot = (existing, changes) => takesNewLinkSlot(existing, { ...existing, ...changes });
+
+test('active links count toward the limit, headers and hidden links do not', () => {
+  assert.equal(countsTowardLinkLimit({ type: 'CLASSIC', isActive: true }), true);
+  assert.equal(countsTowardLinkLimit({ type: 'CLASSIC', isActive: false }), false);
+  assert.equal(countsTowardLinkLimit({ type: 'HEADER', isActive: true }), false);
+});
+
+test('turning a header into a link takes a slot', () => {
+  assert.equal(takesNewSlot({ type: 'HEADER', isActive: true }, { type: 'CLASSIC' }), true);
+  assert.equal(takesNewSlot({ type: 'HEADER', isActive: false }, { type: 'COMMERCE', isActive: true }), true);
+  assert.equal(takesNewSlot({ type: 'HEADER', isActive: false }, { type: 'CLASSIC' }), false);
+});
+
+test('activating a link takes a slot, editing an active one does not', () => {
+  assert.equal(takesNewSlot({ type: 'CLASSIC', isActive: false }, { isActive: true }), true);
+  assert.equal(takesNewSlot({ type: 'CLASSIC', isActive: true }, { title: 'New title' }), false);
+  assert.equal(takesNewSlot({ type: 'CLASSIC', isActive: true }, { type: 'VIDEO' }), false);
+  assert.equal(takesNewSlot({ type: 'CLASSIC', isActive: true }, { type: 'HEADER' }), false);
+});
+
+test('plan limits per tier', () => {
+  assert.equal(maxActiveLinksFor({ planTier: 'free', emailVerified: true }), PLANS.free.maxActiveLinks);
+  assert.equal(maxActiveLinksFor({ planTier: 'premium', emailVerified: true }), Infinity);
+  assert.equal(maxActiveLinksFor({ planTier: 'unknown', emailVerified: true }), PLANS.free.maxActiveLinks);
+  assert.match(linkLimitError('free').error, /limited to 10 active links/);
+});
+
+test('unverified accounts get the verification cap on every plan', () => {
+  assert.equal(maxActiveLinksFor({ planTier: 'free', emailVerified: false }), UNVERIFIED_MAX_ACTIVE_LINKS);
+  assert.equal(maxActiveLinksFor({ planTier: 'premium', emailVerified: false }), UNVERIFIED_MAX_ACTIVE_LINKS);
+  assert.equal(maxActiveLinksFor(null), UNVERIFIED_MAX_ACTIVE_LINKS);
+  assert.deepEqual(unverifiedLinkLimitError(), {
+    error: `Verify your email to publish more than ${UNVERIFIED_MAX_ACTIVE_LINKS} links`,
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+
+  // The same slot check guards this cap, so headers can't be turned into
+  // links past it either
+  assert.equal(takesNewLinkSlot({ type: 'HEADER', isActive: true }, { type: 'MUSIC', isActive: true }), true);
+});
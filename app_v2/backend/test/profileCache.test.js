@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createLruStore } from '../src/lib/profileCache/lruStore.js';
+import { createRedisStore } from '../src/lib/profileCache/redisStore.js';
+
+test('lru store expires entries after their TTL', async () => {
+  const store = createLruStore();
+  await store.set('alice', { etag: '"a"' }, 30);
+
+  assert.deepEqual(await store.get('alice'), { etag: '"a"' });
+  await sleep(40);
+  assert.equal(await store.get('alice'), null);
+});
+
+test('lru store evicts the least recently read entry', async () => {
+  const store = createLruStore({ maxEntries: 2 });
+  await store.set('alice', 1, 60000);
+  await store.set('bob', 2, 60000);
+  await store.get('alice');
+  await store.set('carol', 3, 60000);
+
+  assert.equal(await store.get('bob'), null);
+  assert.equal(await store.get('alice'), 1);
+  assert.equal(await store.get('carol'), 3);
+
+  await store.delete('alice');
+  assert.equal(await store.get('alice'), null);
+});
+
+test('redis store keeps JSON under a prefix with a TTL', async () => {
+  const data = new Map();
+  const calls = [];
+  const client = {
+    async get(key) {
+      return data.get(key) ?? null;
+    },
+    async set(key, value, mode, ttl) {
+      calls.push([key, mode, ttl]);
+      data.set(key, value);
+    },
+    async del(key) {
+      data.delete(key);
+    }
+  };
+  const store = createRedisStore({ client });
+
+  await store.set('alice', { body: { handle: 'alice' }, etag: '"a"' }, 60000);
+  assert.deepEqual(calls, [['profile:alice', 'PX', 60000]]);
+  assert.deepEqual(await store.get('alice'), { body: { handle: 'alice' }, etag: '"a"' });
+
+  await store.delete('alice');
+  assert.equal(await store.get('alice'), null);
+
+  assert.throws(() => createRedisStore({ client: null }), /requires a client/);
+});
@@ -0,0 +1,153 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import jwt from 'jsonwebtoken';
+import { rateLimit, userRateLimit, publicRateLimit } from '../src/middleware/rateLimit.js';
+import { setRateLimitStore } from '../src/lib/rateLimit/index.js';
+import { createMemoryStore } from '../src/lib/rateLimit/memoryStore.js';
+import { createRedisStore } from '../src/lib/rateLimit/redisStore.js';
+
+const originalSecret = process.env.JWT_SECRET;
+const originalSsrKey = process.env.SSR_API_KEY;
+
+afterEach(() => {
+  process.env.JWT_SECRET = originalSecret;
+  if (originalSsrKey === undefined) delete process.env.SSR_API_KEY;
+  else process.env.SSR_API_KEY = originalSsrKey;
+  setRateLimitStore(null);
+});
+
+// Run a middleware against a minimal request; resolves with what it did
+const run = (middleware, { ip = '203.0.113.1', headers = {} } = {}) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ next: false, status: this.statusCode, headers: this.headers, body });
+    }
+  };
+  Promise.resolve(middleware({ ip, headers }, res, () => resolve({ next: true, headers: res.headers }))).catch(reject);
+});
+
+test('memory store counts hits per key and starts over after the window', async () => {
+  const store = createMemoryStore();
+
+  assert.equal((await store.increment('a', 50)).count, 1);
+  assert.equal((await store.increment('a', 50)).count, 2);
+  assert.equal((await store.increment('b', 50)).count, 1);
+  assert.equal((await store.get('a')).count, 2);
+  assert.equal((await store.get('c')).count, 0);
+
+  await sleep(60);
+  assert.equal((await store.get('a')).count, 0);
+  assert.equal((await store.increment('a', 50)).count, 1);
+
+  await store.reset('a');
+  assert.equal((await store.increment('a', 50)).count, 1);
+});
+
+test('requests over the limit get a 429 with Retry-After', async () => {
+  setRateLimitStore(createMemoryStore());
+  const limit = rateLimit({ name: 'test', max: 2, windowMs: 60 * 1000, message: 'Slow down' });
+
+  const first = await run(limit);
+  assert.equal(first.next, true);
+  assert.equal(first.headers['RateLimit-Limit'], '2');
+  assert.equal(first.headers['RateLimit-Remaining'], '1');
+  assert.equal(first.headers['RateLimit-Policy'], '2;w=60');
+
+  assert.equal((await run(limit)).next, true);
+
+  const blocked = await run(limit);
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.error, 'Slow down');
+  assert.equal(blocked.headers['RateLimit-Remaining'], '0');
+  assert.equal(blocked.headers['Retry-After'], '60');
+
+  // Other IPs have their own bucket
+  assert.equal((await run(limit, { ip: '203.0.113.2' })).next, true);
+});
+
+test('authenticated requests count against the user, forged tokens against the IP', async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  const keys = [];
+  setRateLimitStore({
+    async increment(key) {
+      keys.push(key);
+      return { count: 1, resetAt: Date.now() + 1000 };
+    }
+  });
+
+  await run(userRateLimit, { headers: { authorization: `Bearer ${jwt.sign({ userId: 'u1' }, 'test-secret')}` } });
+  await run(userRateLimit, { headers: { authorization: `Bearer ${jwt.sign({ userId: 'u1' }, 'other-secret')}` } });
+  await run(userRateLimit);
+
+  assert.deepEqual(keys, ['user:user:u1', 'user:ip:203.0.113.1', 'user:ip:203.0.113.1']);
+});
+
+test('the server-rendering frontend gets its own public bucket only with the right key', async () => {
+  process.env.SSR_API_KEY = 'render-key';
+  const keys = [];
+  setRateLimitStore({
+    async increment(key) {
+      keys.push(key);
+      return { count: 1, resetAt: Date.now() + 1000 };
+    }
+  });
+
+  const server = await run(publicRateLimit, { headers: { 'x-ssr-key': 'render-key' } });
+  await run(publicRateLimit, { headers: { 'x-ssr-key': 'wrong-key' } });
+  await run(publicRateLimit, { headers: { 'x-forwarded-for': '198.51.100.7' } });
+  delete process.env.SSR_API_KEY;
+  await run(publicRateLimit, { headers: { 'x-ssr-key': '' } });
+
+  assert.equal(server.headers['RateLimit-Limit'], '600');
+  assert.deepEqual(keys, ['ssr:server', 'public:ip:203.0.113.1', 'public:ip:203.0.113.1', 'public:ip:203.0.113.1']);
+});
+
+test('a store outage lets requests through', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setRateLimitStore({
+    async increment() {
+      throw new Error('Connection refused');
+    }
+  });
+
+  const result = await run(rateLimit({ name: 'test', max: 1, windowMs: 1000 }));
+  assert.equal(result.next, true);
+  assert.deepEqual(result.headers, {});
+});
+
+test('redis store prefixes keys and reads the count and time left', async () => {
+  const calls = [];
+  const client = {
+    async eval(script, numKeys, key, windowMs) {
+      if (windowMs === undefined) return [2, 1000];
+      calls.push({ numKeys, key, windowMs });
+      return [3, 1500];
+    },
+    async del(key) {
+      calls.push({ del: key });
+    }
+  };
+  const store = createRedisStore({ client });
+
+  const before = Date.now();
+  const { count, resetAt } = await store.increment('login:ip:1', 60000);
+  assert.equal(count, 3);
+  assert.ok(resetAt >= before + 1500 && resetAt <= Date.now() + 1500);
+  assert.equal((await store.get('login:ip:1')).count, 2);
+
+  await store.reset('login:ip:1');
+  assert.deepEqual(calls, [{ numKeys: 1, key: 'ratelimit:login:ip:1', windowMs: 60000 }, { del: 'ratelimit:login:ip:1' }]);
+
+  assert.throws(() => createRedisStore({ client: null }), /requires a client/);
+});
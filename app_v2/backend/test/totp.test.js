@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSecret, generateCode, currentStep, verifyCode, provisioningUri } from '../src/lib/totp.js';
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.equal(generateCode(RFC_SECRET, currentStep(seconds * 1000)), code, String(seconds));
+  }
+});
+
+test('secrets are 160 bits of base32 and decode case-insensitively', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(generateCode(secret.toLowerCase(), 1), generateCode(secret, 1));
+  assert.equal(generateCode('GEZD GNBV-GY3T QOJQ GEZD GNBV GY3T QOJQ', 1), generateCode(RFC_SECRET, 1));
+});
+
+test('verifyCode allows one step of clock drift either way', () => {
+  const now = 1111111111 * 1000;
+  const step = currentStep(now);
+
+  assert.equal(verifyCode(RFC_SECRET, '050471', { now }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now, window: 2 }), step - 2);
+});
+
+test('verifyCode refuses used steps and malformed codes', () => {
+  const now = 1111111111 * 1000;
+  const step = currentStep(now);
+
+  assert.equal(verifyCode(RFC_SECRET, '050471', { now, lastStep: step }), null);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now, lastStep: step }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, '050 471', { now }), step);
+  for (const code of ['50471', '0504711', 'abcdef', '', null, undefined, 50471]) {
+    assert.equal(verifyCode(RFC_SECRET, code, { now }), null, String(code));
+  }
+});
+
+test('provisioning URIs carry the secret and parameters', () => {
+  const uri = new URL(provisioningUri({ secret: RFC_SECRET, account: 'ana@example.com' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/BioLink:ana@example.com');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
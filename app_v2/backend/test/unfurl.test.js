@@ -0,0 +1,89 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { findImageCandidates, fetchCandidateImage, setUnfurlFetcher } from '../src/lib/unfurl/index.js';
+import { createFakeFetcher } from '../src/lib/unfurl/fakeFetcher.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+afterEach(() => {
+  setUnfurlFetcher(null);
+});
+
+const usePage = (html, { url = 'https://example.com/post' } = {}) => {
+  setUnfurlFetcher(createFakeFetcher({ responses: { [url]: { contentType: 'text/html', body: html } } }));
+};
+
+// A .ico holding the given PNG images, one directory entry each
+const icoFile = (images) => {
+  const header = Buffer.alloc(6 + images.length * 16);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+  let offset = header.length;
+  images.forEach(({ width, data }, i) => {
+    const entry = 6 + i * 16;
+    header.writeUInt8(width % 256, entry);
+    header.writeUInt32LE(data.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...images.map(image => image.data)]);
+};
+
+test('share images come first, then icons by size, then the favicon', async () => {
+  usePage(`
+    <link rel="icon" href="/small.png" sizes="16x16">
+    <link rel="apple-touch-icon" href="/touch.png">
+    <link rel="shortcut icon" href="/big.png" sizes="32x32 512x512">
+    <meta name="twitter:image" content="https://cdn.example.com/card.jpg">
+    <meta property="og:image" content="/og.jpg?a=1&amp;b=2">
+  `);
+
+  assert.deepEqual(await findImageCandidates('https://example.com/post'), [
+    { url: 'https://example.com/og.jpg?a=1&b=2', source: 'og_image' },
+    { url: 'https://cdn.example.com/card.jpg', source: 'og_image' },
+    { url: 'https://example.com/big.png', source: 'icon' },
+    { url: 'https://example.com/touch.png', source: 'icon' },
+    { url: 'https://example.com/small.png', source: 'icon' },
+    { url: 'https://example.com/favicon.ico', source: 'favicon' }
+  ]);
+});
+
+test('only http(s) candidates are kept, once each', async () => {
+  usePage(`
+    <meta property="og:image" content="javascript:alert(1)">
+    <meta property="og:image:secure_url" content="data:image/png;base64,AAAA">
+    <meta name="twitter:image" content="/favicon.ico">
+    <link rel="icon" href="file:///etc/passwd">
+  `);
+
+  assert.deepEqual(await findImageCandidates('https://example.com/post'), [
+    { url: 'https://example.com/favicon.ico', source: 'og_image' }
+  ]);
+});
+
+test('pages that are not HTML only offer the favicon', async () => {
+  setUnfurlFetcher(createFakeFetcher({
+    responses: { 'https://example.com/file.pdf': { contentType: 'application/pdf', body: '<meta property="og:image" content="/x.png">' } }
+  }));
+
+  assert.deepEqual(await findImageCandidates('https://example.com/file.pdf'), [
+    { url: 'https://example.com/favicon.ico', source: 'favicon' }
+  ]);
+});
+
+test('fetch failures are passed on', async () => {
+  setUnfurlFetcher(createFakeFetcher({ responses: { 'https://example.com/gone': { status: 404 } } }));
+  await assert.rejects(findImageCandidates('https://example.com/gone'), /failed with 404/);
+});
+
+test('icon files give their largest PNG', async () => {
+  const small = Buffer.concat([PNG_SIGNATURE, Buffer.from('small')]);
+  const large = Buffer.concat([PNG_SIGNATURE, Buffer.from('large')]);
+  const ico = icoFile([{ width: 16, data: small }, { width: 256, data: large }, { width: 48, data: Buffer.from('bitmap') }]);
+  setUnfurlFetcher(createFakeFetcher({
+    responses: { 'https://example.com/favicon.ico': { contentType: 'image/x-icon', body: ico } }
+  }));
+
+  const image = await fetchCandidateImage({ url: 'https://example.com/favicon.ico', source: 'favicon' });
+  assert.deepEqual(image, large);
+});
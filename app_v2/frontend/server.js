@@ -0,0 +1,134 @@
+/**
+ * BioLink Frontend Server
+ * Serves the app and server-renders public profile pages (/:handle) so
+ * search engines and link previews get the profile's title, description,
+ * Open Graph and Twitter card tags. The browser then hydrates the same
+ * React tree (src/entry-server.jsx / src/main.jsx).
+ *
+ * Development: npm run dev:ssr (Vite middleware, hot reload)
+ * Production:  npm run build && npm start
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+const isProduction = process.env.NODE_ENV === 'production';
+const PORT = process.env.PORT || 5173;
+const API_URL = process.env.API_URL || process.env.VITE_API_URL || 'http://localhost:3001/api';
+const SITE_URL = (process.env.SITE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// One path segment that could be a handle. App routes with the same shape
+// are rendered as usual.
+const HANDLE_PATH = /^\/([a-zA-Z][a-zA-Z0-9_.]{2,29})\/?$/;
+const APP_ROUTES = ['login', 'signup', 'dashboard'];
+
+// Safe to embed in a <script> tag
+const serializeJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// Swap the default title and description for the profile's own tags.
+// Profile text goes in through replacer functions so "$&" and friends in
+// it are left alone.
+const injectHead = (template, head) => template
+  .replace(/\s*<title>.*?<\/title>/, '')
+  .replace(/\s*<meta name="description"[^>]*>/, '')
+  .replace('<!--app-head-->', () => head);
+
+// Fetch a profile the same way the browser would. With SSR_API_KEY the API
+// gives this server its own rate limit; without it every render shares one
+// visitor's public limit and falls back to the plain app once that runs out.
+const fetchProfile = async (handle) => {
+  const response = await fetch(`${API_URL}/public/${encodeURIComponent(handle)}`, {
+    headers: process.env.SSR_API_KEY ? { 'X-SSR-Key': process.env.SSR_API_KEY } : {}
+  });
+  if (response.status === 404) return { notFound: true };
+  if (!response.ok) throw new Error(`Profile request failed with ${response.status}`);
+  return response.json();
+};
+
+const createServer = async () => {
+  const app = express();
+
+  let vite;
+  if (isProduction) {
+    app.use(express.static(path.join(root, 'dist'), { index: false }));
+  } else {
+    const { createServer: createViteServer } = await import('vite');
+    vite = await createViteServer({
+      root,
+      server: { middlewareMode: true },
+      appType: 'custom'
+    });
+    app.use(vite.middlewares);
+  }
+
+  const loadApp = async (url) => {
+    if (isProduction) {
+      return {
+        template: fs.readFileSync(path.join(root, 'dist/index.html'), 'utf-8'),
+        entry: await import('./dist-ssr/entry-server.js')
+      };
+    }
+    const template = fs.readFileSync(path.join(root, 'index.html'), 'utf-8');
+    return {
+      template: await vite.transformIndexHtml(url, template),
+      entry: await vite.ssrLoadModule('/src/entry-server.jsx')
+    };
+  };
+
+  app.get('*', async (req, res) => {
+    const url = req.originalUrl;
+
+    try {
+      const { template, entry } = await loadApp(url);
+      const handle = req.path.match(HANDLE_PATH)?.[1];
+
+      // Everything else is the client-rendered app
+      if (!handle || APP_ROUTES.includes(handle.toLowerCase())) {
+        return res.type('html').send(template);
+      }
+
+      const data = await fetchProfile(handle);
+
+      if (data.notFound) {
+        return res.status(404).type('html').send(
+          template.replace('<!--app-head-->', '<meta name="robots" content="noindex" />')
+        );
+      }
+
+      // Old handle: permanent redirect to the profile's current URL
+      if (data.redirect) {
+        const query = url.slice(req.path.length);
+        return res.redirect(301, `/${data.handle}${query}`);
+      }
+
+      const head = entry.renderProfileHead(data, { siteUrl: SITE_URL });
+      const html = injectHead(template, head)
+        .replace('<!--app-html-->', () => entry.render(url, data))
+        .replace('</body>', () => `<script>window.__INITIAL_PROFILE__ = ${serializeJson(data)}</script>\n  </body>`);
+
+      // Express adds an ETag, so revalidating usually ends in a 304
+      res.set('Cache-Control', 'no-cache');
+      res.type('html').send(html);
+    } catch (error) {
+      vite?.ssrFixStacktrace(error);
+      console.error('Render error:', error);
+
+      // Fall back to client rendering
+      try {
+        const { template } = await loadApp(url);
+        res.type('html').send(template);
+      } catch {
+        res.status(500).send('Server error');
+      }
+    }
+  });
+
+  app.listen(PORT, () => {
+    console.log(`BioLink frontend running on http://localhost:${PORT}`);
+  });
+};
+
+createServer();
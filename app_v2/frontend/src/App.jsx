@@ -3,6 +3,10 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import Landing from './pages/Landing';
 import Signup from './pages/Signup';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
 import Dashboard from './pages/Dashboard';
 import PublicProfile from './pages/PublicProfile';
 
@@ -44,35 +48,49 @@ function GuestRoute({ children }) {
   return children;
 }
 
-function App() {
+// Routes shared by the browser app and the server renderer (entry-server.jsx).
+// initialProfile is the server-rendered public profile, if any.
+export function AppRoutes({ initialProfile }) {
+  return (
+    <Routes>
+      {/* Public routes */}
+      <Route path="/" element={<Landing />} />
+      <Route path="/verify-email" element={<VerifyEmail />} />
+      <Route path="/unlock-account" element={<UnlockAccount />} />
+      
+      {/* Guest only routes */}
+      <Route path="/signup" element={
+        <GuestRoute><Signup /></GuestRoute>
+      } />
+      <Route path="/login" element={
+        <GuestRoute><Login /></GuestRoute>
+      } />
+      <Route path="/forgot-password" element={
+        <GuestRoute><ForgotPassword /></GuestRoute>
+      } />
+      <Route path="/reset-password" element={
+        <GuestRoute><ResetPassword /></GuestRoute>
+      } />
+      
+      {/* Protected routes */}
+      <Route path="/dashboard/*" element={
+        <ProtectedRoute><Dashboard /></ProtectedRoute>
+      } />
+      
+      {/* Public profile - catch-all for handles */}
+      <Route path="/:handle" element={<PublicProfile initialProfile={initialProfile} />} />
+    </Routes>
+  );
+}
+
+function App({ initialProfile }) {
   return (
     <AuthProvider>
       <BrowserRouter>
-        <Routes>
-          {/* Public routes */}
-          <Route path="/" element={<Landing />} />
-          
-          {/* Guest only routes */}
-          <Route path="/signup" element={
-            <GuestRoute><Signup /></GuestRoute>
-          } />
-          <Route path="/login" element={
-            <GuestRoute><Login /></GuestRoute>
-          } />
-          
-          {/* Protected routes */}
-          <Route path="/dashboard/*" element={
-            <ProtectedRoute><Dashboard /></ProtectedRoute>
-          } />
-          
-          {/* Public profile - catch-all for handles */}
-          <Route path="/:handle" element={<PublicProfile />} />
-        </Routes>
+        <AppRoutes initialProfile={initialProfile} />
       </BrowserRouter>
     </AuthProvider>
   );
 }
 
 export default App;
-
-
@@ -1,18 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { api } from '../utils/api';
-import { Camera, Check, Loader2 } from 'lucide-react';
+import { Camera, Check, Loader2, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { MEDIA_BACKGROUND_TYPES, gradientColors, toGradient } from '../utils/background';
+import { fontFaceCss, fontStack, loadFonts } from '../utils/fonts';
+import ThemeEditor from './ThemeEditor';
 import './AppearanceTab.css';
 
-const THEMES = [
-  { id: 'dark', name: 'Dark', preview: '#0a0a0a' },
-  { id: 'light', name: 'Light', preview: '#ffffff' },
-  { id: 'sunset', name: 'Sunset', preview: 'linear-gradient(135deg, #764ba2, #f093fb)' },
-  { id: 'ocean', name: 'Ocean', preview: 'linear-gradient(135deg, #1a2a6c, #21d4fd)' },
-  { id: 'forest', name: 'Forest', preview: 'linear-gradient(135deg, #134E5E, #71B280)' },
-  { id: 'neon', name: 'Neon', preview: '#0a0014' },
-  { id: 'minimal', name: 'Minimal', preview: '#f5f5f5' }
-];
-
 const BUTTON_STYLES = [
   { id: 'rounded', name: 'Rounded' },
   { id: 'rectangular', name: 'Rectangle' },
@@ -22,25 +15,451 @@ const BUTTON_STYLES = [
   { id: 'gradient', name: 'Gradient' }
 ];
 
-const FONTS = [
-  { id: 'Inter', name: 'Inter' },
-  { id: 'Poppins', name: 'Poppins' },
-  { id: 'Roboto', name: 'Roboto' },
-  { id: 'Montserrat', name: 'Montserrat' },
-  { id: 'Playfair Display', name: 'Playfair' },
-  { id: 'Space Grotesk', name: 'Space Grotesk' }
+const BACKGROUND_TYPES = [
+  { id: 'gradient', name: 'Gradient' },
+  { id: 'solid', name: 'Solid' },
+  { id: 'image', name: 'Image', premium: true },
+  { id: 'video', name: 'Video', premium: true }
 ];
 
+const DEFAULT_GRADIENT = ['#764ba2', '#f093fb'];
+
+// Delay before saving color picker and slider changes
+const SAVE_DELAY_MS = 400;
+
+// Theme picker: presets first, then the user's own themes, which can be
+// edited with a live preview
+function ThemeSection({ profile, setProfile, fonts, onSelect, onError }) {
+  const [themes, setThemes] = useState([]);
+  // Theme being edited; a new one starts as a copy without an id
+  const [editing, setEditing] = useState(null);
+  // Active theme to restore when the editor closes
+  const savedTheme = useRef(null);
+
+  useEffect(() => {
+    fetchThemes();
+  }, []);
+
+  const fetchThemes = async () => {
+    try {
+      const response = await api.get('/profile/themes');
+      if (response.ok) {
+        setThemes(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching themes:', error);
+    }
+  };
+
+  const openEditor = (theme) => {
+    savedTheme.current = profile.activeTheme;
+    setEditing(theme);
+  };
+
+  const closeEditor = (activeTheme = savedTheme.current) => {
+    setProfile(prev => ({ ...prev, activeTheme }));
+    setEditing(null);
+  };
+
+  const handleNew = () => {
+    const base = profile.activeTheme || themes[0];
+    openEditor({ ...base, id: null, name: `${base.name} copy` });
+  };
+
+  const handleSave = (saved) => {
+    setThemes(prev => (
+      prev.some(theme => theme.id === saved.id)
+        ? prev.map(theme => (theme.id === saved.id ? saved : theme))
+        : [...prev, saved]
+    ));
+
+    if (!editing.id) {
+      // Use a new theme straight away
+      setEditing(null);
+      onSelect(saved);
+    } else {
+      closeEditor(profile.theme === saved.id ? saved : savedTheme.current);
+    }
+  };
+
+  const handleDelete = async (theme) => {
+    if (!confirm(`Delete the theme "${theme.name}"?`)) return;
+
+    const response = await api.delete(`/profile/themes/${theme.id}`);
+    if (!response.ok) {
+      onError('Failed to delete theme');
+      return;
+    }
+
+    setThemes(prev => prev.filter(t => t.id !== theme.id));
+    // The server moves a profile using it back to the default
+    if (profile.theme === theme.id) {
+      const fallback = themes.find(t => t.isPreset);
+      setProfile(prev => ({ ...prev, theme: fallback?.id, activeTheme: fallback }));
+    }
+  };
+
+  return (
+    <section className="appearance-section">
+      <h3>Theme</h3>
+      <div className="theme-grid">
+        {themes.map(theme => (
+          <div key={theme.id} className="theme-card-wrap">
+            <button
+              className={`theme-card ${profile.theme === theme.id ? 'active' : ''}`}
+              onClick={() => onSelect(theme)}
+              disabled={Boolean(editing)}
+            >
+              <div className="theme-preview" style={{ background: theme.backgroundColor }}>
+                <span
+                  className="theme-preview-button"
+                  style={{
+                    background: theme.buttonColor,
+                    borderColor: theme.buttonBorderColor,
+                    borderRadius: `${Math.round(theme.cornerRadius / 4)}px`
+                  }}
+                />
+              </div>
+              <span>{theme.name}</span>
+              {profile.theme === theme.id && <Check size={16} className="check" />}
+            </button>
+            {!theme.isPreset && !editing && (
+              <div className="theme-card-actions">
+                <button onClick={() => openEditor(theme)} aria-label={`Edit ${theme.name}`}>
+                  <Pencil size={12} />
+                </button>
+                <button onClick={() => handleDelete(theme)} aria-label={`Delete ${theme.name}`}>
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+        {themes.length > 0 && (
+          <button className="theme-card theme-card-new" onClick={handleNew} disabled={Boolean(editing)}>
+            <div className="theme-preview">
+              <Plus size={20} />
+            </div>
+            <span>New theme</span>
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <ThemeEditor
+          key={editing.id || 'new'}
+          theme={editing}
+          fonts={fonts}
+          onPreview={draft => setProfile(prev => ({ ...prev, activeTheme: draft }))}
+          onSave={handleSave}
+          onCancel={() => closeEditor()}
+        />
+      )}
+    </section>
+  );
+}
+
+// One row of font choices; the first card clears the choice
+function FontPicker({ label, fonts, value, emptyLabel, onSelect }) {
+  return (
+    <div className="font-picker">
+      <span className="font-picker-label">{label}</span>
+      <div className="font-grid">
+        <button
+          className={`font-card ${!value ? 'active' : ''}`}
+          onClick={() => onSelect(null)}
+        >
+          {emptyLabel}
+        </button>
+        {fonts.map(font => (
+          <button
+            key={font.id}
+            className={`font-card ${value === font.id ? 'active' : ''}`}
+            onClick={() => onSelect(font.id)}
+            style={{ fontFamily: fontStack(font) }}
+          >
+            {font.name}
+            <span className="font-category">{font.category}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Premium CSS for the public page. Checked by the server on save, which
+// reports problems by line.
+function CustomCssSection({ profile, setProfile }) {
+  const [draft, setDraft] = useState(profile.customCss || '');
+  const [errors, setErrors] = useState([]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const isPremium = profile.planTier === 'premium';
+
+  const handleSave = async () => {
+    setSaving(true);
+    setErrors([]);
+    setError('');
+
+    try {
+      const response = await api.put('/profile', { customCss: draft });
+      const data = await response.json();
+      if (response.ok) {
+        setProfile(prev => ({ ...prev, customCss: data.customCss }));
+      } else if (data.errors) {
+        setErrors(data.errors);
+      } else {
+        setError(data.error || 'Failed to save CSS');
+      }
+    } catch (error) {
+      console.error('Error saving custom CSS:', error);
+      setError('Failed to save CSS');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="appearance-section">
+      <h3>
+        Custom CSS
+        {!isPremium && <span className="premium-tag">Premium</span>}
+      </h3>
+      <textarea
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        placeholder={'.link-button {\n  letter-spacing: 0.05em;\n}'}
+        className={`input custom-css-input ${errors.length ? 'has-errors' : ''}`}
+        rows={8}
+        spellCheck={false}
+        disabled={!isPremium}
+      />
+      {errors.length > 0 && (
+        <ul className="custom-css-errors">
+          {errors.map((item, i) => (
+            <li key={i}>
+              <span className="custom-css-location">Line {item.line}, column {item.column}</span>
+              {item.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="form-error">{error}</p>}
+      <p className="input-hint">
+        Applies to your public page only; selectors are scoped to it. @import, @font-face and
+        images from other sites aren't allowed - use images uploaded to BioLink.
+      </p>
+      {isPremium && (
+        <button
+          className="btn btn-primary"
+          onClick={handleSave}
+          disabled={saving || draft === (profile.customCss || '')}
+        >
+          {saving ? 'Saving...' : 'Save CSS'}
+        </button>
+      )}
+    </section>
+  );
+}
+
+// Background colors, uploaded image/video and its overlay
+function BackgroundSection({ profile, setProfile, onChange, onChangeLater, onError }) {
+  const [uploading, setUploading] = useState(false);
+  // Image and video show their upload area before anything is uploaded
+  const [type, setType] = useState(profile.backgroundType);
+  const isPremium = profile.planTier === 'premium';
+  const uploadedType = profile.backgroundUrl && (profile.backgroundUrl.endsWith('.mp4') ? 'video' : 'image');
+  const gradient = gradientColors(profile.backgroundColor);
+  const solid = profile.backgroundColor?.startsWith('#') ? profile.backgroundColor : null;
+
+  // The server may change the type (uploads, plan downgrades)
+  useEffect(() => {
+    setType(profile.backgroundType);
+  }, [profile.backgroundType]);
+
+  const selectType = (id) => {
+    setType(id);
+    if (id === 'solid') {
+      onChange({ backgroundType: id, backgroundColor: solid || gradient?.[0] || '#1a1a1a' });
+    } else if (id === 'gradient') {
+      onChange({ backgroundType: id, backgroundColor: gradient ? profile.backgroundColor : null });
+    } else if (uploadedType === id) {
+      onChange({ backgroundType: id });
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setUploading(true);
+    onError('');
+    const formData = new FormData();
+    formData.append('background', file);
+
+    try {
+      const response = await api.upload('/profile/background', formData);
+      const data = await response.json();
+      if (response.ok) {
+        setProfile(prev => ({ ...prev, backgroundType: data.backgroundType, backgroundUrl: data.backgroundUrl }));
+      } else {
+        onError(data.error || 'Failed to upload background');
+      }
+    } catch (error) {
+      console.error('Error uploading background:', error);
+      onError('Failed to upload background');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleRemove = async () => {
+    const response = await api.delete('/profile/background');
+    if (response.ok) {
+      const data = await response.json();
+      setProfile(prev => ({ ...prev, backgroundType: data.backgroundType, backgroundUrl: data.backgroundUrl }));
+    }
+  };
+
+  return (
+    <section className="appearance-section">
+      <h3>Background</h3>
+      <div className="background-type-grid">
+        {BACKGROUND_TYPES.map(option => (
+          <button
+            key={option.id}
+            className={`style-card ${type === option.id ? 'active' : ''}`}
+            onClick={() => selectType(option.id)}
+          >
+            <span>{option.name}</span>
+            {option.premium && !isPremium && <span className="premium-tag">Premium</span>}
+          </button>
+        ))}
+      </div>
+
+      {type === 'solid' && (
+        <label className="color-row">
+          <input
+            type="color"
+            value={solid || '#1a1a1a'}
+            onChange={e => onChangeLater({ backgroundColor: e.target.value })}
+          />
+          <span>{solid || '#1a1a1a'}</span>
+        </label>
+      )}
+
+      {type === 'gradient' && (
+        <div className="color-row">
+          {[0, 1].map(i => (
+            <input
+              key={i}
+              type="color"
+              value={(gradient || DEFAULT_GRADIENT)[i]}
+              onChange={e => {
+                const colors = [...(gradient || DEFAULT_GRADIENT)];
+                colors[i] = e.target.value;
+                onChangeLater({ backgroundColor: toGradient(colors) });
+              }}
+              aria-label={i === 0 ? 'Gradient start color' : 'Gradient end color'}
+            />
+          ))}
+          {gradient ? (
+            <button className="btn btn-ghost" onClick={() => onChange({ backgroundColor: null })}>
+              Use theme gradient
+            </button>
+          ) : (
+            <span>Using your theme's background</span>
+          )}
+        </div>
+      )}
+
+      {MEDIA_BACKGROUND_TYPES.includes(type) && (
+        <>
+          <div className="background-upload">
+            <div className="background-preview">
+              {uploadedType === 'video' ? (
+                <video src={profile.backgroundUrl} muted loop autoPlay playsInline />
+              ) : uploadedType === 'image' ? (
+                <img src={profile.backgroundUrl} alt="Background" />
+              ) : null}
+              {uploading && (
+                <div className="avatar-uploading">
+                  <Loader2 size={24} className="spin" />
+                </div>
+              )}
+            </div>
+            <div className="background-actions">
+              <label className="avatar-btn">
+                <Upload size={18} />
+                Upload {type}
+                <input
+                  type="file"
+                  accept={type === 'video' ? 'video/mp4' : 'image/jpeg,image/png,image/gif,image/webp'}
+                  onChange={handleUpload}
+                  hidden
+                />
+              </label>
+              {uploadedType === type && (
+                <button className="btn btn-ghost" onClick={handleRemove}>Remove</button>
+              )}
+            </div>
+          </div>
+          <p className="input-hint">
+            {type === 'video'
+              ? 'MP4 (H.264), up to 15MB and 15 seconds. Plays muted on a loop.'
+              : 'JPG, PNG, GIF or WebP, up to 5MB.'}
+          </p>
+
+          <label className="range-row">
+            <span>Blur</span>
+            <input
+              type="range"
+              min={0}
+              max={20}
+              value={profile.backgroundBlur || 0}
+              onChange={e => onChangeLater({ backgroundBlur: Number(e.target.value) })}
+            />
+            <span className="range-value">{profile.backgroundBlur || 0}px</span>
+          </label>
+          <label className="range-row">
+            <span>Dim</span>
+            <input
+              type="range"
+              min={0}
+              max={80}
+              value={profile.backgroundDim || 0}
+              onChange={e => onChangeLater({ backgroundDim: Number(e.target.value) })}
+            />
+            <span className="range-value">{profile.backgroundDim || 0}%</span>
+          </label>
+        </>
+      )}
+    </section>
+  );
+}
+
 export default function AppearanceTab({ profile, setProfile, onUpdate }) {
   const [saving, setSaving] = useState(false);
   const [uploadingAvatar, setUploadingAvatar] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [fonts, setFonts] = useState([]);
+
+  const pendingChanges = useRef(null);
+  const saveTimer = useRef(null);
 
-  const handleChange = async (field, value) => {
-    setProfile(prev => ({ ...prev, [field]: value }));
+  const saveChanges = async (changes, previous = {}) => {
+    setSaveError('');
     
     setSaving(true);
     try {
-      await api.put('/profile', { [field]: value });
+      const response = await api.put('/profile', changes);
+      if (!response.ok) {
+        // e.g. 402 for premium-only options - roll back
+        const data = await response.json();
+        setProfile(prev => ({ ...prev, ...previous }));
+        setSaveError(data.error || 'Failed to save');
+      }
     } catch (error) {
       console.error('Error saving:', error);
     } finally {
@@ -48,11 +467,50 @@ export default function AppearanceTab({ profile, setProfile, onUpdate }) {
     }
   };
 
+  const handleChanges = (changes) => {
+    const previous = Object.fromEntries(Object.keys(changes).map(field => [field, profile[field]]));
+    setProfile(prev => ({ ...prev, ...changes }));
+    saveChanges(changes, previous);
+  };
+
+  const handleChange = (field, value) => handleChanges({ [field]: value });
+
+  // Color pickers and sliders fire on every move: show each change at
+  // once but save when the user pauses
+  const handleChangesLater = (changes) => {
+    setProfile(prev => ({ ...prev, ...changes }));
+    pendingChanges.current = { ...pendingChanges.current, ...changes };
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      saveChanges(pendingChanges.current);
+      pendingChanges.current = null;
+    }, SAVE_DELAY_MS);
+  };
+
+  const handleThemeSelect = (theme) => {
+    const previous = { theme: profile.theme, activeTheme: profile.activeTheme };
+    setProfile(prev => ({ ...prev, theme: theme.id, activeTheme: theme }));
+    saveChanges({ theme: theme.id }, previous);
+  };
+
+  useEffect(() => {
+    loadFonts().then(setFonts);
+  }, []);
+
+  // Don't lose a pending change when leaving the tab
+  useEffect(() => () => {
+    clearTimeout(saveTimer.current);
+    if (pendingChanges.current) {
+      api.put('/profile', pendingChanges.current);
+    }
+  }, []);
+
   const handleAvatarUpload = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
     
     setUploadingAvatar(true);
+    setSaveError('');
     const formData = new FormData();
     formData.append('avatar', file);
     
@@ -61,11 +519,15 @@ export default function AppearanceTab({ profile, setProfile, onUpdate }) {
       const data = await response.json();
       if (response.ok) {
         setProfile(prev => ({ ...prev, avatarUrl: data.avatarUrl }));
+      } else {
+        setSaveError(data.error || 'Failed to upload avatar');
       }
     } catch (error) {
       console.error('Error uploading avatar:', error);
+      setSaveError('Failed to upload avatar');
     } finally {
       setUploadingAvatar(false);
+      e.target.value = '';
     }
   };
 
@@ -79,6 +541,7 @@ export default function AppearanceTab({ profile, setProfile, onUpdate }) {
         <h2>Appearance</h2>
         <p>Customize your profile look</p>
         {saving && <span className="saving-indicator"><Loader2 size={14} className="spin" /> Saving...</span>}
+        {saveError && <p className="save-error">{saveError}</p>}
       </div>
 
       {/* Profile Section */}
@@ -136,23 +599,21 @@ export default function AppearanceTab({ profile, setProfile, onUpdate }) {
         </div>
       </section>
 
-      {/* Themes */}
-      <section className="appearance-section">
-        <h3>Theme</h3>
-        <div className="theme-grid">
-          {THEMES.map(theme => (
-            <button
-              key={theme.id}
-              className={`theme-card ${profile.theme === theme.id ? 'active' : ''}`}
-              onClick={() => handleChange('theme', theme.id)}
-            >
-              <div className="theme-preview" style={{ background: theme.preview }} />
-              <span>{theme.name}</span>
-              {profile.theme === theme.id && <Check size={16} className="check" />}
-            </button>
-          ))}
-        </div>
-      </section>
+      <ThemeSection
+        profile={profile}
+        setProfile={setProfile}
+        fonts={fonts}
+        onSelect={handleThemeSelect}
+        onError={setSaveError}
+      />
+
+      <BackgroundSection
+        profile={profile}
+        setProfile={setProfile}
+        onChange={handleChanges}
+        onChangeLater={handleChangesLater}
+        onError={setSaveError}
+      />
 
       {/* Button Style */}
       <section className="appearance-section">
@@ -171,22 +632,41 @@ export default function AppearanceTab({ profile, setProfile, onUpdate }) {
         </div>
       </section>
 
+      {/* Branding */}
+      <section className="appearance-section">
+        <h3>Branding</h3>
+        <label className="toggle-row">
+          <input
+            type="checkbox"
+            checked={profile.planTier === 'premium' && profile.hideBadge}
+            onChange={e => handleChange('hideBadge', e.target.checked)}
+          />
+          <span>Hide "Powered by BioLink" badge</span>
+          {profile.planTier !== 'premium' && <span className="premium-tag">Premium</span>}
+        </label>
+      </section>
+
       {/* Fonts */}
       <section className="appearance-section">
-        <h3>Font</h3>
-        <div className="font-grid">
-          {FONTS.map(font => (
-            <button
-              key={font.id}
-              className={`font-card ${profile.fontFamily === font.id ? 'active' : ''}`}
-              onClick={() => handleChange('fontFamily', font.id)}
-              style={{ fontFamily: font.id }}
-            >
-              {font.name}
-            </button>
-          ))}
-        </div>
+        <h3>Fonts</h3>
+        <style dangerouslySetInnerHTML={{ __html: fontFaceCss(fonts) }} />
+        <FontPicker
+          label="Headings"
+          fonts={fonts}
+          value={profile.headingFont}
+          emptyLabel="Same as body"
+          onSelect={id => handleChange('headingFont', id)}
+        />
+        <FontPicker
+          label="Body"
+          fonts={fonts}
+          value={profile.fontFamily}
+          emptyLabel="Theme font"
+          onSelect={id => handleChange('fontFamily', id)}
+        />
       </section>
+
+      <CustomCssSection profile={profile} setProfile={setProfile} />
     </div>
   );
 }
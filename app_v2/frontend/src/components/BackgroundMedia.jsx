@@ -0,0 +1,62 @@
+import { useEffect, useRef } from 'react';
+import { backgroundMedia } from '../utils/background';
+import './BackgroundMedia.css';
+
+// Uploaded background image or looping video with its blur and dim
+// overlay. Place inside a positioned background layer.
+export default function BackgroundMedia({ profile }) {
+  const videoRef = useRef(null);
+  const media = backgroundMedia(profile);
+
+  // React doesn't render the muted attribute on the server, and browsers
+  // only autoplay muted videos
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.muted = true;
+    video.play().catch(() => {});
+  }, [media?.url]);
+
+  if (!media) return null;
+
+  // Scaled up a little when blurred so the soft edges stay off screen
+  const style = media.blur ? { filter: `blur(${media.blur}px)`, transform: 'scale(1.1)' } : undefined;
+  const { variants } = media;
+
+  return (
+    <>
+      {media.type === 'video' ? (
+        <video
+          ref={videoRef}
+          src={media.url}
+          className="background-media"
+          style={style}
+          autoPlay
+          muted
+          loop
+          playsInline
+          aria-hidden="true"
+        />
+      ) : variants ? (
+        <picture>
+          <source
+            type="image/webp"
+            srcSet={`${variants.small.webpUrl} ${variants.small.width}w, ${variants.large.webpUrl} ${variants.large.width}w`}
+            sizes="100vw"
+          />
+          <img
+            src={variants.large.url}
+            srcSet={`${variants.small.url} ${variants.small.width}w, ${variants.large.url} ${variants.large.width}w`}
+            sizes="100vw"
+            alt=""
+            className="background-media"
+            style={style}
+          />
+        </picture>
+      ) : (
+        <img src={media.url} alt="" className="background-media" style={style} />
+      )}
+      {media.dim > 0 && <div className="background-dim" style={{ opacity: media.dim / 100 }} />}
+    </>
+  );
+}
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { formatMoney } from '../utils/format';
+import { DollarSign, Heart, Loader2, MessageSquare } from 'lucide-react';
+import './EarningsTab.css';
+
+export default function EarningsTab() {
+  const [loading, setLoading] = useState(true);
+  const [earnings, setEarnings] = useState(null);
+
+  useEffect(() => {
+    fetchEarnings();
+  }, []);
+
+  const fetchEarnings = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/payments/earnings');
+      if (response.ok) {
+        setEarnings(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching earnings:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="analytics-tab loading">
+        <Loader2 size={32} className="spin" />
+        <p>Loading earnings...</p>
+      </div>
+    );
+  }
+
+  const totals = earnings?.totals?.length ? earnings.totals : [{ currency: 'usd', amount: 0, count: 0 }];
+
+  return (
+    <div className="earnings-tab">
+      <div className="tab-header">
+        <div>
+          <h2>Earnings</h2>
+          <p>Tips received through your tip jars</p>
+        </div>
+      </div>
+
+      {/* Totals per currency */}
+      <div className="stats-grid">
+        {totals.map(total => (
+          <div key={total.currency} className="stat-card">
+            <div className="stat-icon earnings">
+              <DollarSign size={24} />
+            </div>
+            <div className="stat-content">
+              <span className="stat-value">{formatMoney(total.amount, total.currency)}</span>
+              <span className="stat-label">{total.count} {total.count === 1 ? 'tip' : 'tips'}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Per tip jar */}
+      <section className="analytics-section">
+        <h3>By Tip Jar</h3>
+        {earnings?.byLink?.length > 0 ? (
+          <div className="link-stats-list">
+            {earnings.byLink.map(link => (
+              <div key={`${link.linkId}-${link.currency}`} className="link-stat-item">
+                <div className="link-stat-info">
+                  <span className="link-stat-title">{link.title}</span>
+                  <span className="link-stat-url">{link.count} {link.count === 1 ? 'tip' : 'tips'}</span>
+                </div>
+                <div className="link-stat-clicks">
+                  <span>{formatMoney(link.amount, link.currency)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="no-data">Add a tip jar from the Links tab to start earning</p>
+        )}
+      </section>
+
+      {/* Recent tips */}
+      <section className="analytics-section">
+        <h3>Recent Tips</h3>
+        {earnings?.recent?.length > 0 ? (
+          <div className="tip-list">
+            {earnings.recent.map(tip => (
+              <div key={tip.id} className="tip-item">
+                <Heart size={16} className="tip-icon" />
+                <div className="tip-info">
+                  <span className="tip-from">{tip.supporterName || 'Anonymous'}</span>
+                  {tip.message && (
+                    <span className="tip-message"><MessageSquare size={12} /> {tip.message}</span>
+                  )}
+                  <span className="tip-date">{new Date(tip.completedAt).toLocaleString()}</span>
+                </div>
+                <span className="tip-amount-value">{formatMoney(tip.amount, tip.currency)}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="no-data">No tips yet</p>
+        )}
+      </section>
+    </div>
+  );
+}
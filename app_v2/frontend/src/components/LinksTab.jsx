@@ -1,13 +1,65 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { DndContext, closestCenter, KeyboardSensor, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { arrayMove, SortableContext, sortableKeyboardCoordinates, useSortable, verticalListSortingStrategy } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import { api } from '../utils/api';
-import { Plus, GripVertical, Eye, EyeOff, Pencil, Trash2, X, Check, Link2, Type, Loader2 } from 'lucide-react';
+import { Plus, GripVertical, Eye, EyeOff, Pencil, Trash2, X, Check, Link2, Type, Loader2, Lock, Clock, Music, Video, Heart, Image, Upload, RefreshCw } from 'lucide-react';
+import { SUPPORTED_PROVIDERS, PROVIDER_NAMES } from '../utils/embeds';
 import './LinksTab.css';
 
+const MODAL_TITLES = {
+  CLASSIC: 'Add Link',
+  HEADER: 'Add Header',
+  MUSIC: 'Add Music',
+  VIDEO: 'Add Video',
+  COMMERCE: 'Add Tip Jar'
+};
+
+const EMPTY_FORM = {
+  title: '',
+  url: '',
+  type: 'CLASSIC',
+  gateMode: '',
+  gatePassword: '',
+  scheduledStart: '',
+  scheduledEnd: '',
+  tipDescription: '',
+  tipAmounts: '5, 10, 20',
+  tipAllowCustom: false
+};
+
+// "5, 10, 20" -> [500, 1000, 2000]
+const parseTipAmounts = (value) =>
+  value.split(',').map(v => Math.round(parseFloat(v) * 100)).filter(v => !Number.isNaN(v));
+
+// Convert a stored UTC timestamp to a value for <input type="datetime-local">
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Convert a datetime-local value (browser time) back to UTC
+const toUtc = (value) => (value ? new Date(value).toISOString() : null);
+
+const scheduleLabel = (link) => {
+  if (link.scheduleStatus === 'scheduled') {
+    return { text: 'Scheduled', title: `Goes live ${new Date(link.scheduledStart).toLocaleString()}` };
+  }
+  if (link.scheduleStatus === 'expired') {
+    return { text: 'Expired', title: `Ended ${new Date(link.scheduledEnd).toLocaleString()}` };
+  }
+  return null;
+};
+
+const isUnfurling = (link) => ['PENDING', 'PROCESSING'].includes(link.unfurlStatus);
+
+// How often to refresh while thumbnails are being fetched
+const UNFURL_POLL_MS = 3000;
+
 // Sortable link item
-function SortableLink({ link, onEdit, onToggle, onDelete }) {
+function SortableLink({ link, onEdit, onToggle, onDelete, onAcceptThumbnail, onDismissThumbnail }) {
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: link.id });
   
   const style = {
@@ -15,18 +67,46 @@ function SortableLink({ link, onEdit, onToggle, onDelete }) {
     transition,
     opacity: isDragging ? 0.5 : 1
   };
+  const schedule = scheduleLabel(link);
 
   return (
-    <div ref={setNodeRef} style={style} className={`link-item ${!link.isActive ? 'inactive' : ''}`}>
+    <div ref={setNodeRef} style={style} className={`link-item ${!link.isActive || schedule ? 'inactive' : ''}`}>
       <button className="drag-handle" {...attributes} {...listeners}>
         <GripVertical size={18} />
       </button>
       
+      {link.thumbnailUrl && <img src={link.thumbnailUrl} alt="" className="link-item-thumb" />}
+      
       <div className="link-content">
         <div className="link-info">
-          <span className="link-title">{link.title}</span>
+          <span className="link-title">
+            {link.title}
+            {link.settings?.gate && (
+              <span className="link-badge" title={link.settings.gate.mode === 'sensitive' ? 'Sensitive (18+)' : 'Password protected'}>
+                {link.settings.gate.mode === 'sensitive' ? '18+' : <Lock size={12} />}
+              </span>
+            )}
+            {link.hiddenByPlan && (
+              <span className="link-badge" title="Hidden because your plan's link limit was exceeded">
+                Plan limit
+              </span>
+            )}
+            {schedule && (
+              <span className={`link-badge ${link.scheduleStatus}`} title={schedule.title}>
+                <Clock size={12} /> {schedule.text}
+              </span>
+            )}
+          </span>
           {link.url && <span className="link-url">{link.url}</span>}
         </div>
+        {link.suggestedThumbnailUrl && (
+          <div className="thumb-suggestion">
+            <img src={link.suggestedThumbnailUrl} alt="" />
+            <span>{link.thumbnailUrl ? 'Replace thumbnail with this image?' : 'Use this image as the thumbnail?'}</span>
+            <button className="btn btn-primary btn-sm" onClick={() => onAcceptThumbnail(link)}>Use</button>
+            <button className="btn btn-ghost btn-sm" onClick={() => onDismissThumbnail(link)}>Dismiss</button>
+          </div>
+        )}
       </div>
       
       <div className="link-actions">
@@ -44,11 +124,95 @@ function SortableLink({ link, onEdit, onToggle, onDelete }) {
   );
 }
 
+// Thumbnail controls for an existing link. Changes save straight away.
+function ThumbnailField({ link, onChange }) {
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Run a thumbnail request and hand the updated link back
+  const run = async (request) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await request();
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to update thumbnail');
+        return;
+      }
+      onChange(data);
+    } catch (err) {
+      console.error('Error updating thumbnail:', err);
+      setError('Failed to update thumbnail');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('thumbnail', file);
+    run(() => api.upload(`/links/${link.id}/thumbnail`, formData));
+  };
+
+  return (
+    <div className="input-group">
+      <label>Thumbnail</label>
+      <div className="thumbnail-field">
+        <div className="thumbnail-preview">
+          {link.thumbnailUrl ? <img src={link.thumbnailUrl} alt="" /> : <Image size={20} />}
+        </div>
+        <div className="thumbnail-actions">
+          <button type="button" className="btn btn-ghost btn-sm" onClick={() => fileInputRef.current?.click()} disabled={busy}>
+            <Upload size={14} /> Upload
+          </button>
+          {link.type === 'CLASSIC' && (
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => run(() => api.post(`/links/${link.id}/unfurl`))} disabled={busy || isUnfurling(link)}>
+              <RefreshCw size={14} className={isUnfurling(link) ? 'spin' : ''} /> Fetch from site
+            </button>
+          )}
+          {link.thumbnailUrl && (
+            <button type="button" className="btn btn-ghost btn-sm" onClick={() => run(() => api.delete(`/links/${link.id}/thumbnail`))} disabled={busy}>
+              Remove
+            </button>
+          )}
+        </div>
+        <input type="file" ref={fileInputRef} accept="image/*" onChange={handleUpload} hidden />
+      </div>
+      {isUnfurling(link) && <p className="input-hint">Looking for an image on the page…</p>}
+      {link.unfurlStatus === 'READY' && !link.suggestedThumbnailUrl && !link.thumbnailUrl && (
+        <p className="input-hint">No image found on the page. Upload one instead.</p>
+      )}
+      {error && <p className="form-error">{error}</p>}
+    </div>
+  );
+}
+
 export default function LinksTab({ links, setLinks, onUpdate }) {
   const [showModal, setShowModal] = useState(false);
   const [editingLink, setEditingLink] = useState(null);
-  const [linkForm, setLinkForm] = useState({ title: '', url: '', type: 'CLASSIC' });
+  const [linkForm, setLinkForm] = useState(EMPTY_FORM);
   const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  // Keep the list fresh while the server fetches thumbnails for new links
+  useEffect(() => {
+    if (!links.some(isUnfurling)) return;
+    const timer = setTimeout(onUpdate, UNFURL_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [links]);
+
+  // Show the latest state of the link being edited too
+  useEffect(() => {
+    if (!editingLink) return;
+    const latest = links.find(l => l.id === editingLink.id);
+    if (latest && latest !== editingLink) setEditingLink(latest);
+  }, [links]);
 
   const sensors = useSensors(
     useSensor(PointerSensor),
@@ -72,25 +236,74 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
 
   const openAddModal = (type = 'CLASSIC') => {
     setEditingLink(null);
-    setLinkForm({ title: '', url: '', type });
+    setLinkForm({ ...EMPTY_FORM, type });
+    setFormError('');
     setShowModal(true);
   };
 
   const openEditModal = (link) => {
     setEditingLink(link);
-    setLinkForm({ title: link.title, url: link.url || '', type: link.type });
+    const tipJar = link.settings?.tipJar;
+    setLinkForm({
+      ...EMPTY_FORM,
+      title: link.title,
+      url: link.url || '',
+      type: link.type,
+      gateMode: link.settings?.gate?.mode || '',
+      gatePassword: '',
+      scheduledStart: toLocalInput(link.scheduledStart),
+      scheduledEnd: toLocalInput(link.scheduledEnd),
+      ...(tipJar && {
+        tipDescription: tipJar.description || '',
+        tipAmounts: tipJar.amounts.map(a => a / 100).join(', '),
+        tipAllowCustom: Boolean(tipJar.allowCustom)
+      })
+    });
+    setFormError('');
     setShowModal(true);
   };
 
+  // Build the request body, folding gate options into link settings
+  const buildPayload = () => {
+    const { gateMode, gatePassword, scheduledStart, scheduledEnd, tipDescription, tipAmounts, tipAllowCustom, ...fields } = linkForm;
+    const gate = gateMode
+      ? { mode: gateMode, ...(gateMode === 'password' && gatePassword && { password: gatePassword }) }
+      : null;
+    
+    return {
+      ...fields,
+      scheduledStart: toUtc(scheduledStart),
+      scheduledEnd: toUtc(scheduledEnd),
+      settings: {
+        ...(editingLink?.settings || {}),
+        gate,
+        ...(fields.type === 'COMMERCE' && {
+          tipJar: {
+            ...(editingLink?.settings?.tipJar || {}),
+            title: fields.title,
+            description: tipDescription,
+            amounts: parseTipAmounts(tipAmounts),
+            allowCustom: tipAllowCustom
+          }
+        })
+      }
+    };
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
+    setFormError('');
     
     try {
-      if (editingLink) {
-        await api.put(`/links/${editingLink.id}`, linkForm);
-      } else {
-        await api.post('/links', linkForm);
+      const response = editingLink
+        ? await api.put(`/links/${editingLink.id}`, buildPayload())
+        : await api.post('/links', buildPayload());
+      
+      if (!response.ok) {
+        const data = await response.json();
+        setFormError(data.error || 'Failed to save link');
+        return;
       }
       setShowModal(false);
       onUpdate();
@@ -102,7 +315,28 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
   };
 
   const handleToggle = async (link) => {
-    await api.patch(`/links/${link.id}/toggle`);
+    const response = await api.patch(`/links/${link.id}/toggle`);
+    if (!response.ok) {
+      // e.g. the free plan's active link limit
+      const data = await response.json();
+      alert(data.error);
+      return;
+    }
+    onUpdate();
+  };
+
+  const handleAcceptThumbnail = async (link) => {
+    await api.post(`/links/${link.id}/thumbnail/accept`);
+    onUpdate();
+  };
+
+  const handleDismissThumbnail = async (link) => {
+    await api.delete(`/links/${link.id}/thumbnail?suggestion=true`);
+    onUpdate();
+  };
+
+  const handleThumbnailChange = (link) => {
+    setEditingLink(link);
     onUpdate();
   };
 
@@ -130,6 +364,18 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
           <Type size={20} />
           <span>Add Header</span>
         </button>
+        <button className="add-link-btn" onClick={() => openAddModal('MUSIC')}>
+          <Music size={20} />
+          <span>Add Music</span>
+        </button>
+        <button className="add-link-btn" onClick={() => openAddModal('VIDEO')}>
+          <Video size={20} />
+          <span>Add Video</span>
+        </button>
+        <button className="add-link-btn" onClick={() => openAddModal('COMMERCE')}>
+          <Heart size={20} />
+          <span>Add Tip Jar</span>
+        </button>
       </div>
 
       {/* Links list */}
@@ -150,6 +396,8 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
                   onEdit={openEditModal}
                   onToggle={handleToggle}
                   onDelete={handleDelete}
+                  onAcceptThumbnail={handleAcceptThumbnail}
+                  onDismissThumbnail={handleDismissThumbnail}
                 />
               ))}
             </SortableContext>
@@ -162,7 +410,7 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
           <div className="modal" onClick={e => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>{editingLink ? 'Edit Link' : linkForm.type === 'HEADER' ? 'Add Header' : 'Add Link'}</h3>
+              <h3>{editingLink ? 'Edit Link' : MODAL_TITLES[linkForm.type] || 'Add Link'}</h3>
               <button className="modal-close" onClick={() => setShowModal(false)}>
                 <X size={20} />
               </button>
@@ -182,7 +430,43 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
                 />
               </div>
               
-              {linkForm.type !== 'HEADER' && (
+              {linkForm.type === 'COMMERCE' && (
+                <>
+                  <div className="input-group">
+                    <label>Description</label>
+                    <input
+                      type="text"
+                      value={linkForm.tipDescription}
+                      onChange={e => setLinkForm({ ...linkForm, tipDescription: e.target.value })}
+                      placeholder="Buy me a coffee ☕"
+                      className="input"
+                      maxLength={150}
+                    />
+                  </div>
+                  <div className="input-group">
+                    <label>Amounts ($)</label>
+                    <input
+                      type="text"
+                      value={linkForm.tipAmounts}
+                      onChange={e => setLinkForm({ ...linkForm, tipAmounts: e.target.value })}
+                      placeholder="5, 10, 20"
+                      className="input"
+                      required
+                    />
+                    <p className="input-hint">Up to 4 amounts between $1 and $500, separated by commas</p>
+                  </div>
+                  <label className="toggle-row">
+                    <input
+                      type="checkbox"
+                      checked={linkForm.tipAllowCustom}
+                      onChange={e => setLinkForm({ ...linkForm, tipAllowCustom: e.target.checked })}
+                    />
+                    <span>Let supporters enter their own amount</span>
+                  </label>
+                </>
+              )}
+              
+              {!['HEADER', 'COMMERCE'].includes(linkForm.type) && (
                 <div className="input-group">
                   <label>URL</label>
                   <input
@@ -191,10 +475,78 @@ export default function LinksTab({ links, setLinks, onUpdate }) {
                     onChange={e => setLinkForm({ ...linkForm, url: e.target.value })}
                     placeholder="https://example.com"
                     className="input"
+                    required={Boolean(SUPPORTED_PROVIDERS[linkForm.type])}
                   />
+                  {SUPPORTED_PROVIDERS[linkForm.type] && (
+                    <p className="input-hint">
+                      Supported: {SUPPORTED_PROVIDERS[linkForm.type].map(p => PROVIDER_NAMES[p]).join(', ')}
+                    </p>
+                  )}
+                </div>
+              )}
+              
+              {linkForm.type === 'CLASSIC' && !editingLink && (
+                <p className="input-hint">We'll look for an image on the page to use as the thumbnail.</p>
+              )}
+              
+              {editingLink && !['HEADER', 'COMMERCE'].includes(editingLink.type) && (
+                <ThumbnailField link={editingLink} onChange={handleThumbnailChange} />
+              )}
+              
+              {!['HEADER', 'COMMERCE'].includes(linkForm.type) && (
+                <div className="input-group">
+                  <label>Access</label>
+                  <select
+                    value={linkForm.gateMode}
+                    onChange={e => setLinkForm({ ...linkForm, gateMode: e.target.value })}
+                    className="input"
+                  >
+                    <option value="">Public</option>
+                    <option value="sensitive">Sensitive content (18+)</option>
+                    <option value="password">Password protected</option>
+                  </select>
                 </div>
               )}
               
+              {linkForm.type !== 'HEADER' && linkForm.gateMode === 'password' && (
+                <div className="input-group">
+                  <label>Link password</label>
+                  <input
+                    type="password"
+                    value={linkForm.gatePassword}
+                    onChange={e => setLinkForm({ ...linkForm, gatePassword: e.target.value })}
+                    placeholder={editingLink?.settings?.gate?.hasPassword ? 'Leave blank to keep current password' : 'Visitors must enter this to open the link'}
+                    className="input"
+                    required={!editingLink?.settings?.gate?.hasPassword}
+                    minLength={8}
+                  />
+                </div>
+              )}
+              
+              <div className="schedule-fields">
+                <div className="input-group">
+                  <label>Show from</label>
+                  <input
+                    type="datetime-local"
+                    value={linkForm.scheduledStart}
+                    onChange={e => setLinkForm({ ...linkForm, scheduledStart: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div className="input-group">
+                  <label>Hide after</label>
+                  <input
+                    type="datetime-local"
+                    value={linkForm.scheduledEnd}
+                    min={linkForm.scheduledStart || undefined}
+                    onChange={e => setLinkForm({ ...linkForm, scheduledEnd: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+              
+              {formError && <p className="form-error">{formError}</p>}
+              
               <div className="modal-actions">
                 <button type="button" className="btn btn-ghost" onClick={() => setShowModal(false)}>
                   Cancel
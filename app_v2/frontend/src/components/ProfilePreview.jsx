@@ -1,15 +1,35 @@
+import { useState, useEffect } from 'react';
 import { ExternalLink } from 'lucide-react';
+import { backgroundStyle } from '../utils/background';
+import { themeVariables } from '../utils/theme';
+import { fontFaceCss, loadFonts, profileFonts } from '../utils/fonts';
+import BackgroundMedia from './BackgroundMedia';
 import './ProfilePreview.css';
 
 export default function ProfilePreview({ profile, links }) {
-  const themeClass = profile?.theme || 'dark';
+  // Mirror the public page: hidden and out-of-schedule links are not shown
+  const visibleLinks = links?.filter(l => l.isActive && (!l.scheduleStatus || l.scheduleStatus === 'live')) || [];
+  const [fontRegistry, setFontRegistry] = useState([]);
+  const fonts = profileFonts(profile, fontRegistry);
+  
+  useEffect(() => {
+    loadFonts().then(setFontRegistry);
+  }, []);
   
   return (
-    <div className={`profile-preview theme-${themeClass}`}>
+    <div
+      className="profile-preview"
+      style={themeVariables(profile?.activeTheme, fonts)}
+    >
+      {fonts && <style dangerouslySetInnerHTML={{ __html: fontFaceCss([fonts.heading, fonts.body]) }} />}
       <div className="preview-phone">
         <div className="preview-notch" />
         
         <div className="preview-content">
+          <div className="preview-bg" style={backgroundStyle(profile)}>
+            <BackgroundMedia profile={profile} />
+          </div>
+          
           {/* Avatar */}
           <div className="preview-avatar">
             {profile?.avatarUrl ? (
@@ -32,7 +52,7 @@ export default function ProfilePreview({ profile, links }) {
           
           {/* Links */}
           <div className="preview-links">
-            {links?.filter(l => l.isActive).slice(0, 5).map((link, i) => (
+            {visibleLinks.slice(0, 5).map((link, i) => (
               link.type === 'HEADER' ? (
                 <div key={link.id} className="preview-header">{link.title}</div>
               ) : (
@@ -46,7 +66,7 @@ export default function ProfilePreview({ profile, links }) {
               )
             ))}
             
-            {(!links || links.filter(l => l.isActive).length === 0) && (
+            {visibleLinks.length === 0 && (
               <div className="preview-link rounded placeholder">
                 Your links appear here
               </div>
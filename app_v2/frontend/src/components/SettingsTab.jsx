@@ -1,9 +1,637 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { api } from '../utils/api';
-import { User, Lock, Trash2, AlertCircle, Check, Loader2 } from 'lucide-react';
+import { formatBytes } from '../utils/format';
+import { User, Lock, Trash2, AlertCircle, Check, Loader2, Sparkles, ShieldCheck, MonitorSmartphone, Download, Search } from 'lucide-react';
 import './SettingsTab.css';
 
+// Personal data export: start, poll until ready, download
+function DataExportSection() {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  const inProgress = job && ['PENDING', 'PROCESSING'].includes(job.status);
+
+  useEffect(() => {
+    fetchLatest();
+  }, []);
+
+  // Poll while the export is being built
+  useEffect(() => {
+    if (!inProgress) return;
+    const timer = setInterval(async () => {
+      const response = await api.get(`/export/${job.id}`);
+      if (response.ok) {
+        setJob(await response.json());
+      }
+    }, 2000);
+    return () => clearInterval(timer);
+  }, [inProgress, job?.id]);
+
+  const fetchLatest = async () => {
+    try {
+      const response = await api.get('/export/latest');
+      if (response.ok) {
+        setJob(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching export:', error);
+    }
+  };
+
+  const handleStart = async () => {
+    setError('');
+    
+    try {
+      const response = await api.post('/export');
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      
+      setJob(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDownload = async () => {
+    setError('');
+    setDownloading(true);
+    
+    try {
+      const response = await api.get(`/export/${job.id}/download`);
+      
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error);
+      }
+      
+      // Authenticated download: save the blob through a temporary link
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || 'biolink-export.zip';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const isReady = job?.status === 'READY' && new Date(job.expiresAt) > new Date();
+
+  return (
+    <>
+      <p className="billing-note">
+        Download your profile, links, social icons and analytics as JSON and CSV files in a zip archive.
+      </p>
+      
+      {inProgress && (
+        <p className="billing-note">
+          <Loader2 size={14} className="spin" /> Preparing your export. This can take a few minutes for large accounts.
+        </p>
+      )}
+      
+      {isReady && (
+        <p className="billing-note">
+          Export from {new Date(job.completedAt).toLocaleString()} ({formatBytes(job.size)}), available until {new Date(job.expiresAt).toLocaleDateString()}.
+        </p>
+      )}
+      
+      {job?.status === 'FAILED' && (
+        <div className="message error">
+          <AlertCircle size={16} />
+          {job.error}
+        </div>
+      )}
+      
+      {error && (
+        <div className="message error">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      
+      <div className="billing-actions">
+        {isReady && (
+          <button className="btn btn-primary" onClick={handleDownload} disabled={downloading}>
+            {downloading ? <Loader2 size={16} className="spin" /> : <Download size={16} />}
+            Download
+          </button>
+        )}
+        <button className="btn btn-ghost" onClick={handleStart} disabled={inProgress}>
+          {isReady ? 'Create new export' : 'Export my data'}
+        </button>
+      </div>
+    </>
+  );
+}
+
+// Signed-in devices with per-device and global logout
+function SessionsSection() {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      if (response.ok) {
+        setSessions(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+    
+    setError('');
+    setRevoking(session.id);
+    
+    try {
+      const response = await api.delete(`/auth/sessions/${session.id}`);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error);
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    setRevoking('all');
+    await logout({ everywhere: true });
+  };
+
+  if (!sessions) {
+    return <Loader2 size={18} className="spin" />;
+  }
+
+  return (
+    <>
+      <ul className="session-list">
+        {sessions.map(session => (
+          <li key={session.id} className="session-item">
+            <div>
+              <span className="session-device">
+                {session.device || 'Unknown device'}
+                {session.current && <span className="session-current">This device</span>}
+              </span>
+              <span className="session-meta">
+                Last active {new Date(session.lastSeenAt).toLocaleString()}
+              </span>
+            </div>
+            <button
+              className="btn btn-ghost"
+              onClick={() => handleRevoke(session)}
+              disabled={!!revoking}
+            >
+              {revoking === session.id && <Loader2 size={16} className="spin" />}
+              Log out
+            </button>
+          </li>
+        ))}
+      </ul>
+      
+      {error && (
+        <div className="message error">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      
+      <div className="billing-actions">
+        <button className="btn btn-danger" onClick={handleLogoutAll} disabled={!!revoking}>
+          {revoking === 'all' && <Loader2 size={16} className="spin" />}
+          Log out all devices
+        </button>
+      </div>
+    </>
+  );
+}
+
+// TOTP enrollment, recovery codes and disabling 2FA
+function TwoFactorSection() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisable, setShowDisable] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      if (response.ok) {
+        setStatus(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching 2FA status:', error);
+    }
+  };
+
+  const run = async (endpoint, body, onSuccess) => {
+    setError('');
+    setWorking(true);
+    
+    try {
+      const response = await api.post(endpoint, body);
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      
+      setCode('');
+      setPassword('');
+      onSuccess(data);
+      await fetchStatus();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSetup = () => run('/auth/2fa/setup', {}, setSetup);
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run('/auth/2fa/enable', { code }, (data) => {
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run('/auth/2fa/recovery-codes', { code }, (data) => setRecoveryCodes(data.recoveryCodes));
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    // Accept either an app code or a recovery code
+    const factor = /^\d{6}$/.test(code.trim()) ? { code } : { recoveryCode: code };
+    run('/auth/2fa/disable', { password, ...factor }, () => {
+      setShowDisable(false);
+      setRecoveryCodes(null);
+    });
+  };
+
+  const errorMessage = error && (
+    <div className="message error">
+      <AlertCircle size={16} />
+      {error}
+    </div>
+  );
+
+  if (!status) {
+    return <Loader2 size={18} className="spin" />;
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className="two-factor">
+        <p className="billing-note">
+          Save these recovery codes somewhere safe. Each one can be used once if you lose access to your authenticator app.
+        </p>
+        <ul className="recovery-codes">
+          {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+        </ul>
+        <button className="btn btn-primary" onClick={() => setRecoveryCodes(null)}>
+          I've saved them
+        </button>
+      </div>
+    );
+  }
+
+  if (setup) {
+    return (
+      <form onSubmit={handleEnable} className="two-factor">
+        <p className="billing-note">
+          Scan this QR code with your authenticator app, or enter the key manually, then enter the 6-digit code it shows.
+        </p>
+        <img src={setup.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+        <code className="two-factor-secret">{setup.secret}</code>
+        
+        <div className="input-group">
+          <label>Authentication code</label>
+          <input
+            type="text"
+            value={code}
+            onChange={e => setCode(e.target.value)}
+            className="input"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            required
+          />
+        </div>
+        
+        {errorMessage}
+        
+        <div className="billing-actions">
+          <button type="button" className="btn btn-ghost" onClick={() => setSetup(null)}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={working}>
+            {working && <Loader2 size={16} className="spin" />}
+            Turn on 2FA
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="two-factor">
+        <p className="billing-note">
+          Protect your account with a code from an authenticator app in addition to your password.
+        </p>
+        {errorMessage}
+        <button className="btn btn-primary" onClick={handleSetup} disabled={working}>
+          {working && <Loader2 size={16} className="spin" />}
+          Set up two-factor authentication
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="two-factor">
+      <div className="setting-item">
+        <label>Status</label>
+        <span className="setting-value">On</span>
+      </div>
+      <div className="setting-item">
+        <label>Recovery codes left</label>
+        <span className="setting-value">{status.recoveryCodesRemaining}</span>
+      </div>
+      
+      <form onSubmit={showDisable ? handleDisable : handleRegenerate} className="password-form">
+        {showDisable && (
+          <div className="input-group">
+            <label>Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              className="input"
+              required
+            />
+          </div>
+        )}
+        
+        <div className="input-group">
+          <label>{showDisable ? 'Authentication or recovery code' : 'Authentication code'}</label>
+          <input
+            type="text"
+            value={code}
+            onChange={e => setCode(e.target.value)}
+            className="input"
+            autoComplete="one-time-code"
+            required
+          />
+        </div>
+        
+        {errorMessage}
+        
+        <div className="billing-actions">
+          {showDisable ? (
+            <>
+              <button type="button" className="btn btn-ghost" onClick={() => setShowDisable(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-danger" disabled={working}>
+                {working && <Loader2 size={16} className="spin" />}
+                Turn off 2FA
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="submit" className="btn btn-ghost" disabled={working}>
+                {working && <Loader2 size={16} className="spin" />}
+                New recovery codes
+              </button>
+              <button type="button" className="btn btn-danger" onClick={() => { setShowDisable(true); setError(''); }}>
+                Turn off 2FA
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Handle with an inline change form. Old handles keep redirecting.
+function HandleSetting({ profile, onUpdate }) {
+  const { updateUser } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [handle, setHandle] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const nextChangeAt = profile?.nextHandleChangeAt && new Date(profile.nextHandleChangeAt);
+
+  const startEditing = () => {
+    setHandle(profile?.handle || '');
+    setError('');
+    setEditing(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    
+    try {
+      const response = await api.put('/profile/handle', { handle });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      
+      updateUser({ handle: data.handle });
+      onUpdate();
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <div className="setting-item">
+        <label>Handle</label>
+        <span className="setting-value">
+          @{profile?.handle}
+          <button className="btn btn-ghost handle-edit" onClick={startEditing}>
+            Change
+          </button>
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="password-form handle-form">
+      <div className="input-group">
+        <label>New Handle</label>
+        <input
+          type="text"
+          value={handle}
+          onChange={e => setHandle(e.target.value.trim())}
+          className="input"
+          maxLength={30}
+          autoFocus
+          required
+        />
+        <span className="input-hint">
+          Links to @{profile?.handle} will keep redirecting to your new handle, and nobody else can claim it for 90 days.
+          {nextChangeAt ? ` You can change your handle again on ${nextChangeAt.toLocaleDateString()}.` : ' After changing, you have to wait 30 days to change it again.'}
+        </span>
+      </div>
+      
+      {error && (
+        <div className="message error">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      
+      <div className="billing-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving || !handle}>
+          {saving && <Loader2 size={16} className="spin" />}
+          Save Handle
+        </button>
+        <button type="button" className="btn btn-ghost" onClick={() => setEditing(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Page title and description for search results and link previews
+function SeoSection({ profile, onUpdate }) {
+  const [metaTitle, setMetaTitle] = useState('');
+  const [metaDescription, setMetaDescription] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    setMetaTitle(profile?.metaTitle || '');
+    setMetaDescription(profile?.metaDescription || '');
+  }, [profile?.metaTitle, profile?.metaDescription]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setSaving(true);
+    
+    try {
+      const response = await api.put('/profile', { metaTitle, metaDescription });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      
+      setSuccess('Saved. Link previews may take a few minutes to update.');
+      onUpdate();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const defaultTitle = profile ? `${profile.displayName || `@${profile.handle}`} | BioLink` : '';
+
+  return (
+    <form onSubmit={handleSubmit} className="password-form">
+      <div className="input-group">
+        <label>Page Title</label>
+        <input
+          type="text"
+          value={metaTitle}
+          onChange={e => setMetaTitle(e.target.value)}
+          placeholder={defaultTitle}
+          className="input"
+          maxLength={60}
+        />
+        <span className="input-hint">Shown in search results and link previews ({metaTitle.length}/60)</span>
+      </div>
+      
+      <div className="input-group">
+        <label>Description</label>
+        <textarea
+          value={metaDescription}
+          onChange={e => setMetaDescription(e.target.value)}
+          placeholder={profile?.bioDescription || 'A short description of your page'}
+          className="input"
+          maxLength={160}
+          rows={3}
+        />
+        <span className="input-hint">Leave empty to use your bio ({metaDescription.length}/160)</span>
+      </div>
+      
+      {error && (
+        <div className="message error">
+          <AlertCircle size={16} />
+          {error}
+        </div>
+      )}
+      
+      {success && (
+        <div className="message success">
+          <Check size={16} />
+          {success}
+        </div>
+      )}
+      
+      <button type="submit" className="btn btn-primary" disabled={saving}>
+        {saving && <Loader2 size={16} className="spin" />}
+        Save
+      </button>
+    </form>
+  );
+}
+
 export default function SettingsTab({ profile, onUpdate }) {
   const { logout } = useAuth();
   const [currentPassword, setCurrentPassword] = useState('');
@@ -13,6 +641,55 @@ export default function SettingsTab({ profile, onUpdate }) {
   const [passwordSuccess, setPasswordSuccess] = useState('');
   const [changingPassword, setChangingPassword] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteError, setDeleteError] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [billing, setBilling] = useState(null);
+  const [billingAction, setBillingAction] = useState(null);
+  const [billingError, setBillingError] = useState('');
+
+  useEffect(() => {
+    fetchBilling();
+  }, []);
+
+  const fetchBilling = async () => {
+    try {
+      const response = await api.get('/billing');
+      if (response.ok) {
+        setBilling(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching billing:', error);
+    }
+  };
+
+  // upgrade | downgrade | cancel
+  const handleBilling = async (action) => {
+    setBillingError('');
+    setBillingAction(action);
+    
+    try {
+      const response = await api.post(`/billing/${action}`);
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      
+      // Upgrades continue on the payment provider's checkout page
+      if (data.url) {
+        window.location.href = data.url;
+        return;
+      }
+      
+      await fetchBilling();
+      onUpdate();
+    } catch (err) {
+      setBillingError(err.message);
+    } finally {
+      setBillingAction(null);
+    }
+  };
 
   const handleChangePassword = async (e) => {
     e.preventDefault();
@@ -42,7 +719,7 @@ export default function SettingsTab({ profile, onUpdate }) {
         throw new Error(data.error);
       }
       
-      setPasswordSuccess('Password changed successfully');
+      setPasswordSuccess('Password changed successfully. Other devices have been logged out.');
       setCurrentPassword('');
       setNewPassword('');
       setConfirmPassword('');
@@ -53,10 +730,31 @@ export default function SettingsTab({ profile, onUpdate }) {
     }
   };
 
-  const handleDeleteAccount = async () => {
-    // In production, this would call an API endpoint
-    alert('Account deletion would be processed here. Your data will be deleted within 14 days.');
-    logout();
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleteError('');
+    setDeleting(true);
+    
+    try {
+      const response = await api.delete('/auth/account', { password: deletePassword });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      
+      // Sessions are already revoked server-side
+      logout();
+    } catch (err) {
+      setDeleteError(err.message);
+      setDeleting(false);
+    }
+  };
+
+  const cancelDelete = () => {
+    setShowDeleteConfirm(false);
+    setDeletePassword('');
+    setDeleteError('');
   };
 
   return (
@@ -75,10 +773,7 @@ export default function SettingsTab({ profile, onUpdate }) {
           <span className="setting-value">{profile?.email}</span>
         </div>
         
-        <div className="setting-item">
-          <label>Handle</label>
-          <span className="setting-value">@{profile?.handle}</span>
-        </div>
+        <HandleSetting profile={profile} onUpdate={onUpdate} />
         
         <div className="setting-item">
           <label>Plan</label>
@@ -88,6 +783,74 @@ export default function SettingsTab({ profile, onUpdate }) {
         </div>
       </section>
 
+      {/* SEO */}
+      <section className="settings-section">
+        <h3><Search size={18} /> Search & Sharing</h3>
+        <SeoSection profile={profile} onUpdate={onUpdate} />
+      </section>
+
+      {/* Plan & Billing */}
+      <section className="settings-section">
+        <h3><Sparkles size={18} /> Plan</h3>
+        
+        {billing ? (
+          <>
+            <div className="setting-item">
+              <label>Active links</label>
+              <span className="setting-value">
+                {billing.usage.activeLinks}
+                {billing.limits.maxActiveLinks !== null && ` / ${billing.limits.maxActiveLinks}`}
+              </span>
+            </div>
+            
+            {billing.usage.hiddenLinks > 0 && (
+              <p className="billing-note">
+                {billing.usage.hiddenLinks} link(s) were hidden when your plan changed. Upgrade to show them again.
+              </p>
+            )}
+            
+            {billing.subscription?.cancelAtPeriodEnd && billing.subscription.currentPeriodEnd && (
+              <p className="billing-note">
+                Premium ends on {new Date(billing.subscription.currentPeriodEnd).toLocaleDateString()}.
+              </p>
+            )}
+            
+            {billing.subscription?.status === 'PAST_DUE' && (
+              <p className="billing-note">Your last payment failed. Please update your payment method.</p>
+            )}
+            
+            {billingError && (
+              <div className="message error">
+                <AlertCircle size={16} />
+                {billingError}
+              </div>
+            )}
+            
+            <div className="billing-actions">
+              {billing.planTier === 'free' || billing.subscription?.cancelAtPeriodEnd ? (
+                <button className="btn btn-primary" onClick={() => handleBilling('upgrade')} disabled={!!billingAction}>
+                  {billingAction === 'upgrade' && <Loader2 size={16} className="spin" />}
+                  {billing.subscription?.cancelAtPeriodEnd ? 'Keep Premium' : 'Upgrade to Premium'}
+                </button>
+              ) : (
+                <>
+                  <button className="btn btn-ghost" onClick={() => handleBilling('downgrade')} disabled={!!billingAction}>
+                    {billingAction === 'downgrade' && <Loader2 size={16} className="spin" />}
+                    Downgrade at period end
+                  </button>
+                  <button className="btn btn-danger" onClick={() => handleBilling('cancel')} disabled={!!billingAction}>
+                    {billingAction === 'cancel' && <Loader2 size={16} className="spin" />}
+                    Cancel now
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        ) : (
+          <Loader2 size={18} className="spin" />
+        )}
+      </section>
+
       {/* Change Password */}
       <section className="settings-section">
         <h3><Lock size={18} /> Change Password</h3>
@@ -153,6 +916,24 @@ export default function SettingsTab({ profile, onUpdate }) {
         </form>
       </section>
 
+      {/* Sessions */}
+      <section className="settings-section">
+        <h3><MonitorSmartphone size={18} /> Devices</h3>
+        <SessionsSection />
+      </section>
+
+      {/* Two-Factor Authentication */}
+      <section className="settings-section">
+        <h3><ShieldCheck size={18} /> Two-Factor Authentication</h3>
+        <TwoFactorSection />
+      </section>
+
+      {/* Data Export */}
+      <section className="settings-section">
+        <h3><Download size={18} /> Your Data</h3>
+        <DataExportSection />
+      </section>
+
       {/* Danger Zone */}
       <section className="settings-section danger">
         <h3><Trash2 size={18} /> Danger Zone</h3>
@@ -160,7 +941,7 @@ export default function SettingsTab({ profile, onUpdate }) {
         <div className="danger-content">
           <div>
             <h4>Delete Account</h4>
-            <p>Permanently delete your account and all data. This action cannot be undone.</p>
+            <p>Permanently delete your account and all data after a 14-day grace period.</p>
           </div>
           
           <button 
@@ -172,17 +953,40 @@ export default function SettingsTab({ profile, onUpdate }) {
         </div>
         
         {showDeleteConfirm && (
-          <div className="delete-confirm">
-            <p>Are you sure? This will permanently delete your account and all data after a 14-day grace period.</p>
+          <form onSubmit={handleDeleteAccount} className="delete-confirm">
+            <p>
+              Your profile will be hidden immediately and your account permanently deleted after 14 days.
+              Log back in before then to cancel.
+            </p>
+            
+            <div className="input-group">
+              <label>Confirm with your password</label>
+              <input
+                type="password"
+                value={deletePassword}
+                onChange={e => setDeletePassword(e.target.value)}
+                className="input"
+                required
+              />
+            </div>
+            
+            {deleteError && (
+              <div className="message error">
+                <AlertCircle size={16} />
+                {deleteError}
+              </div>
+            )}
+            
             <div className="confirm-actions">
-              <button className="btn btn-ghost" onClick={() => setShowDeleteConfirm(false)}>
+              <button type="button" className="btn btn-ghost" onClick={cancelDelete}>
                 Cancel
               </button>
-              <button className="btn btn-danger" onClick={handleDeleteAccount}>
+              <button type="submit" className="btn btn-danger" disabled={deleting}>
+                {deleting && <Loader2 size={16} className="spin" />}
                 Yes, Delete My Account
               </button>
             </div>
-          </div>
+          </form>
         )}
       </section>
     </div>
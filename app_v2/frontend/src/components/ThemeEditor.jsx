@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { Check, AlertTriangle, Plus, X } from 'lucide-react';
+import { toGradient } from '../utils/background';
+import { WCAG_AA_RATIO, checkContrast, withOpacity, opacityOf } from '../utils/theme';
+import './ThemeEditor.css';
+
+const MAX_CORNER_RADIUS = 32;
+const MAX_GRADIENT_STOPS = 3;
+
+// Fields sent to the server; everything else on a theme is computed
+const THEME_FIELDS = [
+  'name', 'backgroundColor', 'textColor', 'buttonColor', 'buttonTextColor',
+  'buttonBorderColor', 'buttonShadowColor', 'cornerRadius', 'fontFamily'
+];
+
+// Color input, plus an opacity slider for colors drawn over the background
+function ColorField({ label, value, onChange, withAlpha = false }) {
+  const opacity = opacityOf(value);
+
+  return (
+    <div className="theme-color-field">
+      <label className="color-row">
+        <input
+          type="color"
+          value={value.slice(0, 7)}
+          onChange={e => onChange(withOpacity(e.target.value, opacity))}
+        />
+        <span>{label}</span>
+      </label>
+      {withAlpha && (
+        <label className="range-row">
+          <span>Opacity</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={Math.round(opacity * 100)}
+            onChange={e => onChange(withOpacity(value, Number(e.target.value) / 100))}
+          />
+          <span className="range-value">{Math.round(opacity * 100)}%</span>
+        </label>
+      )}
+    </div>
+  );
+}
+
+function ContrastBadge({ label, result }) {
+  return (
+    <div className={`contrast-badge ${result.passesAA ? 'pass' : 'fail'}`}>
+      {result.passesAA ? <Check size={14} /> : <AlertTriangle size={14} />}
+      <span>{label}</span>
+      <strong>{result.ratio.toFixed(2)}:1</strong>
+      <span>{result.passesAA ? 'AA' : `Below AA (${WCAG_AA_RATIO}:1)`}</span>
+    </div>
+  );
+}
+
+/**
+ * Create or edit one of the user's themes. Every change is passed to
+ * onPreview so the phone preview shows the draft; nothing is stored
+ * until Save.
+ */
+export default function ThemeEditor({ theme, fonts, onPreview, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(THEME_FIELDS.map(field => [field, theme[field]])));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isGradient = draft.backgroundColor.startsWith('linear-gradient');
+  const stops = draft.backgroundColor.match(/#[0-9a-f]{6}/gi) || ['#0a0a0a'];
+  const contrast = checkContrast(draft);
+
+  useEffect(() => {
+    onPreview(draft);
+  }, [draft]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const setStops = (colors) => {
+    update({ backgroundColor: colors.length > 1 ? toGradient(colors) : colors[0] });
+  };
+
+  const setStop = (index, color) => {
+    const colors = [...stops];
+    colors[index] = color;
+    setStops(colors);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = theme.id
+        ? await api.put(`/profile/themes/${theme.id}`, draft)
+        : await api.post('/profile/themes', draft);
+      const data = await response.json();
+      if (response.ok) {
+        onSave(data);
+      } else {
+        setError(data.error || 'Failed to save theme');
+      }
+    } catch (error) {
+      console.error('Error saving theme:', error);
+      setError('Failed to save theme');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="theme-editor">
+      <div className="theme-editor-header">
+        <h4>{theme.id ? 'Edit theme' : 'New theme'}</h4>
+        <button className="btn btn-ghost" onClick={onCancel} aria-label="Close theme editor">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="input-group">
+        <label>Name</label>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={e => update({ name: e.target.value })}
+          className="input"
+          maxLength={40}
+        />
+      </div>
+
+      <div className="theme-editor-group">
+        <span className="theme-editor-label">Background</span>
+        <div className="theme-editor-options">
+          <button
+            className={`style-card ${!isGradient ? 'active' : ''}`}
+            onClick={() => setStops([stops[0]])}
+          >
+            <span>Solid</span>
+          </button>
+          <button
+            className={`style-card ${isGradient ? 'active' : ''}`}
+            onClick={() => isGradient || setStops([stops[0], stops[0]])}
+          >
+            <span>Gradient</span>
+          </button>
+        </div>
+        <div className="color-row">
+          {stops.map((color, i) => (
+            <input
+              key={i}
+              type="color"
+              value={color}
+              onChange={e => setStop(i, e.target.value)}
+              aria-label={isGradient ? `Gradient color ${i + 1}` : 'Background color'}
+            />
+          ))}
+          {isGradient && stops.length < MAX_GRADIENT_STOPS && (
+            <button className="btn btn-ghost" onClick={() => setStops([...stops, stops[stops.length - 1]])}>
+              <Plus size={14} /> Add color
+            </button>
+          )}
+          {isGradient && stops.length > 2 && (
+            <button className="btn btn-ghost" onClick={() => setStops(stops.slice(0, -1))}>
+              Remove color
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="theme-editor-group">
+        <span className="theme-editor-label">Colors</span>
+        <ColorField label="Text" value={draft.textColor} onChange={textColor => update({ textColor })} />
+        <ColorField label="Button text" value={draft.buttonTextColor} onChange={buttonTextColor => update({ buttonTextColor })} />
+        <ColorField label="Button fill" value={draft.buttonColor} onChange={buttonColor => update({ buttonColor })} withAlpha />
+        <ColorField label="Button border" value={draft.buttonBorderColor} onChange={buttonBorderColor => update({ buttonBorderColor })} withAlpha />
+        <ColorField label="Button shadow" value={draft.buttonShadowColor} onChange={buttonShadowColor => update({ buttonShadowColor })} withAlpha />
+      </div>
+
+      <div className="theme-editor-group">
+        <label className="range-row">
+          <span>Corner radius</span>
+          <input
+            type="range"
+            min={0}
+            max={MAX_CORNER_RADIUS}
+            value={draft.cornerRadius}
+            onChange={e => update({ cornerRadius: Number(e.target.value) })}
+          />
+          <span className="range-value">{draft.cornerRadius}px</span>
+        </label>
+      </div>
+
+      <div className="input-group">
+        <label>Font</label>
+        <select
+          value={draft.fontFamily}
+          onChange={e => update({ fontFamily: e.target.value })}
+          className="input"
+        >
+          {fonts.map(font => (
+            <option key={font.id} value={font.id}>{font.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="theme-editor-group">
+        <span className="theme-editor-label">Contrast (WCAG AA)</span>
+        <ContrastBadge label="Text on background" result={contrast.text} />
+        <ContrastBadge label="Button text" result={contrast.button} />
+        {!(contrast.text.passesAA && contrast.button.passesAA) && (
+          <p className="input-hint">
+            Low contrast makes your page hard to read for some visitors. You can still save this theme.
+          </p>
+        )}
+      </div>
+
+      {error && <p className="form-error">{error}</p>}
+
+      <div className="theme-editor-actions">
+        <button className="btn btn-ghost" onClick={onCancel}>Cancel</button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save theme'}
+        </button>
+      </div>
+    </div>
+  );
+}
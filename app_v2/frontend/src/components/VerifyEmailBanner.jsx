@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { api } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { MailWarning, Loader2 } from 'lucide-react';
+import './VerifyEmailBanner.css';
+
+export default function VerifyEmailBanner() {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    setMessage('');
+    
+    try {
+      const response = await api.post('/auth/resend-verification');
+      const data = await response.json();
+      setMessage(response.ok ? data.message : data.error);
+    } catch (error) {
+      setMessage('Failed to send email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-banner">
+      <MailWarning size={20} />
+      <div className="verify-banner-text">
+        <strong>Verify your email</strong>
+        <span>
+          {message || `Check ${user.email} for a verification link. Until then you can publish up to 2 links.`}
+        </span>
+      </div>
+      <button
+        onClick={handleResend}
+        disabled={sending}
+        className="btn btn-ghost"
+      >
+        {sending ? <Loader2 size={16} className="spin" /> : 'Resend email'}
+      </button>
+    </div>
+  );
+}
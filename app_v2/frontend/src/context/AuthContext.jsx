@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { api } from '../utils/api';
+import { api, setAccessToken, refreshAccessToken, setSessionExpiredHandler } from '../utils/api';
 
 const AuthContext = createContext(null);
 
@@ -7,15 +7,23 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // Check for existing session on mount
+  // Restore the session from the refresh cookie on mount
   useEffect(() => {
-    const token = localStorage.getItem('biolink_token');
+    setSessionExpiredHandler(() => {
+      setAccessToken(null);
+      setUser(null);
+    });
+    restoreSession();
+  }, []);
+
+  const restoreSession = async () => {
+    const token = await refreshAccessToken();
     if (token) {
-      fetchUser();
+      await fetchUser();
     } else {
       setLoading(false);
     }
-  }, []);
+  };
 
   const fetchUser = async () => {
     try {
@@ -24,12 +32,11 @@ export function AuthProvider({ children }) {
         const userData = await response.json();
         setUser(userData);
       } else {
-        // Token invalid, clear it
-        localStorage.removeItem('biolink_token');
+        setAccessToken(null);
       }
     } catch (error) {
       console.error('Error fetching user:', error);
-      localStorage.removeItem('biolink_token');
+      setAccessToken(null);
     } finally {
       setLoading(false);
     }
@@ -43,7 +50,25 @@ export function AuthProvider({ children }) {
       throw new Error(data.error || 'Login failed');
     }
     
-    localStorage.setItem('biolink_token', data.token);
+    // 2FA accounts get a challenge instead of a session - see loginTwoFactor
+    if (data.twoFactorRequired) {
+      return data;
+    }
+    
+    setAccessToken(data.token);
+    setUser(data.user);
+    return data;
+  };
+
+  const loginTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+    const data = await response.json();
+    
+    if (!response.ok) {
+      throw new Error(data.error || 'Verification failed');
+    }
+    
+    setAccessToken(data.token);
     setUser(data.user);
     return data;
   };
@@ -61,13 +86,19 @@ export function AuthProvider({ children }) {
       throw new Error(data.error || 'Signup failed');
     }
     
-    localStorage.setItem('biolink_token', data.token);
+    setAccessToken(data.token);
     setUser(data.user);
     return data;
   };
 
-  const logout = () => {
-    localStorage.removeItem('biolink_token');
+  // everywhere: end every session on every device, not just this one
+  const logout = async ({ everywhere = false } = {}) => {
+    try {
+      await api.post(everywhere ? '/auth/logout-all' : '/auth/logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setAccessToken(null);
     setUser(null);
   };
 
@@ -80,6 +111,7 @@ export function AuthProvider({ children }) {
       user,
       loading,
       login,
+      loginTwoFactor,
       signup,
       logout,
       updateUser,
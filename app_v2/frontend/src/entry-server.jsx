@@ -0,0 +1,57 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server';
+import { AuthProvider } from './context/AuthContext';
+import { AppRoutes } from './App';
+import { profileMeta } from './utils/seo';
+import { preloadFontFiles } from './utils/fonts';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Same tree as main.jsx, with a static router for the requested URL
+export function render(url, initialProfile) {
+  return renderToString(
+    <React.StrictMode>
+      <AuthProvider>
+        <StaticRouter location={url}>
+          <AppRoutes initialProfile={initialProfile} />
+        </StaticRouter>
+      </AuthProvider>
+    </React.StrictMode>
+  );
+}
+
+// <head> tags for search engines and link previews (Open Graph, Twitter)
+export function renderProfileHead(profile, { siteUrl }) {
+  const { title, description, image } = profileMeta(profile);
+  const url = `${siteUrl}/${profile.handle}`;
+  
+  const meta = (attribute, key, content) => `<meta ${attribute}="${key}" content="${escapeHtml(content)}" />`;
+  
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    meta('name', 'description', description),
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    meta('property', 'og:type', 'profile'),
+    meta('property', 'og:site_name', 'BioLink'),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', url),
+    meta('property', 'profile:username', profile.handle),
+    image && meta('property', 'og:image', image),
+    image && meta('property', 'og:image:width', '1200'),
+    image && meta('property', 'og:image:height', '630'),
+    image && meta('property', 'og:image:alt', title),
+    meta('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    image && meta('name', 'twitter:image', image),
+    ...(profile.fonts ? preloadFontFiles(profile.fonts) : []).map(file => (
+      `<link rel="preload" href="${escapeHtml(file)}" as="font" type="font/woff2" crossorigin />`
+    ))
+  ].filter(Boolean).join('\n    ');
+}
@@ -1,12 +1,27 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+// The app's own fonts, self-hosted like the profile fonts (utils/fonts.js)
+import '@fontsource/inter/latin-400.css';
+import '@fontsource/inter/latin-500.css';
+import '@fontsource/inter/latin-600.css';
+import '@fontsource/inter/latin-700.css';
+import '@fontsource/poppins/latin-500.css';
+import '@fontsource/poppins/latin-600.css';
+import '@fontsource/poppins/latin-700.css';
 import './styles/global.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+// Set by the server on server-rendered profile pages (see server.js)
+const initialProfile = window.__INITIAL_PROFILE__;
+const root = document.getElementById('root');
+const app = (
   <React.StrictMode>
-    <App />
+    <App initialProfile={initialProfile} />
   </React.StrictMode>
 );
 
-
+if (initialProfile) {
+  ReactDOM.hydrateRoot(root, app);
+} else {
+  ReactDOM.createRoot(root).render(app);
+}
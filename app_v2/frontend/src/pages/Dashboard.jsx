@@ -1,16 +1,18 @@
 import { useState, useEffect } from 'react';
-import { Routes, Route, NavLink, useNavigate } from 'react-router-dom';
+import { Routes, Route, NavLink, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { api } from '../utils/api';
 import { 
   Link2, Palette, BarChart3, Settings, LogOut, 
-  ExternalLink, Menu, X, Share2
+  ExternalLink, Menu, X, Share2, Wallet
 } from 'lucide-react';
 import LinksTab from '../components/LinksTab';
 import AppearanceTab from '../components/AppearanceTab';
 import AnalyticsTab from '../components/AnalyticsTab';
 import SettingsTab from '../components/SettingsTab';
+import EarningsTab from '../components/EarningsTab';
 import ProfilePreview from '../components/ProfilePreview';
+import VerifyEmailBanner from '../components/VerifyEmailBanner';
 import './Dashboard.css';
 
 export default function Dashboard() {
@@ -20,12 +22,21 @@ export default function Dashboard() {
   const [links, setLinks] = useState([]);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [showShareToast, setShowShareToast] = useState(false);
+  const location = useLocation();
+  // Set by Login when signing in cancelled a pending account deletion
+  const [showRestoredToast, setShowRestoredToast] = useState(Boolean(location.state?.restored));
 
   useEffect(() => {
     fetchProfile();
     fetchLinks();
   }, []);
 
+  useEffect(() => {
+    if (!showRestoredToast) return;
+    const timer = setTimeout(() => setShowRestoredToast(false), 4000);
+    return () => clearTimeout(timer);
+  }, [showRestoredToast]);
+
   const fetchProfile = async () => {
     try {
       const response = await api.get('/profile');
@@ -50,8 +61,8 @@ export default function Dashboard() {
     }
   };
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/');
   };
 
@@ -94,6 +105,10 @@ export default function Dashboard() {
             <BarChart3 size={20} />
             Analytics
           </NavLink>
+          <NavLink to="/dashboard/earnings" onClick={() => setMobileMenuOpen(false)}>
+            <Wallet size={20} />
+            Earnings
+          </NavLink>
           <NavLink to="/dashboard/settings" onClick={() => setMobileMenuOpen(false)}>
             <Settings size={20} />
             Settings
@@ -136,6 +151,8 @@ export default function Dashboard() {
           </div>
         </header>
 
+        <VerifyEmailBanner />
+
         {/* Content area */}
         <div className="dashboard-content">
           <div className="content-main">
@@ -155,6 +172,7 @@ export default function Dashboard() {
                 />
               } />
               <Route path="analytics" element={<AnalyticsTab />} />
+              <Route path="earnings" element={<EarningsTab />} />
               <Route path="settings" element={
                 <SettingsTab 
                   profile={profile}
@@ -183,6 +201,11 @@ export default function Dashboard() {
           Link copied to clipboard!
         </div>
       )}
+      {showRestoredToast && (
+        <div className="toast">
+          Welcome back! Your account deletion has been cancelled.
+        </div>
+      )}
 
       {/* Mobile overlay */}
       {mobileMenuOpen && (
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../utils/api';
+import { ArrowRight, AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+import './Auth.css';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState('');
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!email) {
+      setError('Please enter your email');
+      return;
+    }
+    
+    setLoading(true);
+    
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Something went wrong');
+      }
+      
+      setSent(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-bg">
+        <div className="auth-bg-gradient" />
+      </div>
+      
+      <div className="auth-container">
+        <Link to="/" className="auth-logo">
+          <div className="logo-icon">B</div>
+          <span>BioLink</span>
+        </Link>
+        
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="auth-step animate-fade-in">
+            <h1>Forgot password?</h1>
+            <p className="auth-subtitle">We'll email you a link to reset it</p>
+            
+            {sent ? (
+              <div className="auth-success">
+                <CheckCircle size={18} />
+                {sent}
+              </div>
+            ) : (
+              <>
+                <div className="input-group">
+                  <label>Email</label>
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                    className="input"
+                    autoFocus
+                  />
+                </div>
+                
+                {error && (
+                  <div className="auth-error">
+                    <AlertCircle size={18} />
+                    {error}
+                  </div>
+                )}
+                
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary btn-full"
+                >
+                  {loading ? (
+                    <>
+                      <Loader2 size={18} className="spin" />
+                      Sending...
+                    </>
+                  ) : (
+                    <>
+                      Send reset link
+                      <ArrowRight size={18} />
+                    </>
+                  )}
+                </button>
+              </>
+            )}
+          </div>
+        </form>
+        
+        <p className="auth-footer">
+          Remembered it? <Link to="/login">Log in</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
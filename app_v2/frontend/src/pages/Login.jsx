@@ -6,12 +6,15 @@ import './Auth.css';
 
 export default function Login() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, loginTwoFactor } = useAuth();
   
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -25,14 +28,50 @@ export default function Login() {
     setLoading(true);
     
     try {
-      await login(email, password);
-      navigate('/dashboard');
+      const data = await login(email, password);
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        return;
+      }
+      navigate('/dashboard', { state: { restored: data.restored } });
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
     }
   };
+  
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!code) {
+      setError('Please enter your code');
+      return;
+    }
+    
+    setLoading(true);
+    
+    try {
+      const data = await loginTwoFactor(challengeToken, useRecoveryCode ? { recoveryCode: code } : { code });
+      navigate('/dashboard', { state: { restored: data.restored } });
+    } catch (err) {
+      setError(err.message);
+      // Challenges are short-lived; start over once it has expired
+      if (err.message.includes('expired')) {
+        setChallengeToken(null);
+        setCode('');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
+  };
 
   return (
     <div className="auth-page">
@@ -46,64 +85,120 @@ export default function Login() {
           <span>BioLink</span>
         </Link>
         
-        <form onSubmit={handleSubmit} className="auth-form">
-          <div className="auth-step animate-fade-in">
-            <h1>Welcome back</h1>
-            <p className="auth-subtitle">Log in to manage your BioLink</p>
-            
-            <div className="input-group">
-              <label>Email</label>
-              <input
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="you@example.com"
-                className="input"
-                autoFocus
-              />
-            </div>
-            
-            <div className="input-group">
-              <label>Password</label>
-              <input
-                type="password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="Enter your password"
-                className="input"
-              />
+        {challengeToken ? (
+          <form onSubmit={handleVerify} className="auth-form">
+            <div className="auth-step animate-fade-in">
+              <h1>Two-factor authentication</h1>
+              <p className="auth-subtitle">
+                {useRecoveryCode
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'}
+              </p>
+              
+              <div className="input-group">
+                <label>{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</label>
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  className="input"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                />
+              </div>
+              
+              {error && (
+                <div className="auth-error">
+                  <AlertCircle size={18} />
+                  {error}
+                </div>
+              )}
+              
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary btn-full"
+              >
+                {loading ? (
+                  <>
+                    <Loader2 size={18} className="spin" />
+                    Verifying...
+                  </>
+                ) : (
+                  <>
+                    Verify
+                    <ArrowRight size={18} />
+                  </>
+                )}
+              </button>
+              
+              <button type="button" onClick={toggleRecoveryCode} className="forgot-link link-button">
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
             </div>
-            
-            {error && (
-              <div className="auth-error">
-                <AlertCircle size={18} />
-                {error}
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="auth-step animate-fade-in">
+              <h1>Welcome back</h1>
+              <p className="auth-subtitle">Log in to manage your BioLink</p>
+              
+              <div className="input-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  className="input"
+                  autoFocus
+                />
+              </div>
+              
+              <div className="input-group">
+                <label>Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Enter your password"
+                  className="input"
+                />
               </div>
-            )}
-            
-            <button
-              type="submit"
-              disabled={loading}
-              className="btn btn-primary btn-full"
-            >
-              {loading ? (
-                <>
-                  <Loader2 size={18} className="spin" />
-                  Logging in...
-                </>
-              ) : (
-                <>
-                  Log in
-                  <ArrowRight size={18} />
-                </>
+              
+              {error && (
+                <div className="auth-error">
+                  <AlertCircle size={18} />
+                  {error}
+                </div>
               )}
-            </button>
-            
-            <Link to="/forgot-password" className="forgot-link">
-              Forgot password?
-            </Link>
-          </div>
-        </form>
+              
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn btn-primary btn-full"
+              >
+                {loading ? (
+                  <>
+                    <Loader2 size={18} className="spin" />
+                    Logging in...
+                  </>
+                ) : (
+                  <>
+                    Log in
+                    <ArrowRight size={18} />
+                  </>
+                )}
+              </button>
+              
+              <Link to="/forgot-password" className="forgot-link">
+                Forgot password?
+              </Link>
+            </div>
+          </form>
+        )}
         
         <p className="auth-footer">
           Don't have an account? <Link to="/signup">Sign up free</Link>
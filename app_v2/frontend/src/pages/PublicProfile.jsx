@@ -1,6 +1,13 @@
 import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { ExternalLink, Instagram, Twitter, Youtube, Music, Github, Linkedin, Mail, Globe } from 'lucide-react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
+import { ExternalLink, Instagram, Twitter, Youtube, Music, Github, Linkedin, Mail, Globe, Lock, X, Loader2, Play, ChevronUp, Heart } from 'lucide-react';
+import { getEmbedPlayer, PROVIDER_NAMES } from '../utils/embeds';
+import { formatMoney } from '../utils/format';
+import { profileMeta } from '../utils/seo';
+import { backgroundStyle, hasCustomBackground } from '../utils/background';
+import { themeVariables } from '../utils/theme';
+import { fontFaceCss } from '../utils/fonts';
+import BackgroundMedia from '../components/BackgroundMedia';
 import './PublicProfile.css';
 
 const API_URL = import.meta.env.VITE_API_URL || '/api';
@@ -18,17 +25,166 @@ const socialIcons = {
   website: Globe
 };
 
-export default function PublicProfile() {
+// Inline iframe player for MUSIC / VIDEO links
+function EmbedPlayer({ embed, title }) {
+  const player = getEmbedPlayer(embed);
+  
+  return (
+    <div className={`link-embed ${player.aspect === 'video' ? 'video' : ''}`}>
+      <iframe
+        src={player.src}
+        title={`${PROVIDER_NAMES[embed.provider]}: ${title}`}
+        height={player.height}
+        loading="lazy"
+        allow="autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture"
+        allowFullScreen
+      />
+    </div>
+  );
+}
+
+// Tip jar card for COMMERCE links
+function TipJar({ link, buttonStyle, style }) {
+  const [pendingAmount, setPendingAmount] = useState(null);
+  const [error, setError] = useState('');
+  const [customAmount, setCustomAmount] = useState('');
+  const [supporterName, setSupporterName] = useState('');
+  const [message, setMessage] = useState('');
+  const { tipJar } = link.settings;
+  
+  const startCheckout = async (amount) => {
+    // Same bounds as the server (lib/tipJar.js), in cents
+    if (!Number.isInteger(amount) || amount < 100 || amount > 50000) {
+      setError('Enter an amount between 1 and 500');
+      return;
+    }
+    setPendingAmount(amount);
+    setError('');
+    
+    try {
+      const response = await fetch(`${API_URL}/payments/checkout/${link.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amount, supporterName, message })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Unable to start checkout');
+      }
+      window.location.href = data.url;
+    } catch (err) {
+      setError(err.message);
+      setPendingAmount(null);
+    }
+  };
+  
+  return (
+    <div className={`tip-jar ${buttonStyle}`} style={style}>
+      <div className="tip-jar-header">
+        <Heart size={18} />
+        <span>{tipJar.title || link.title}</span>
+      </div>
+      {tipJar.description && <p className="tip-jar-description">{tipJar.description}</p>}
+      <div className="tip-jar-amounts">
+        {tipJar.amounts.map(amount => (
+          <button
+            key={amount}
+            type="button"
+            className="tip-amount"
+            onClick={() => startCheckout(amount)}
+            disabled={pendingAmount !== null}
+          >
+            {pendingAmount === amount ? <Loader2 size={16} className="spin" /> : formatMoney(amount, tipJar.currency)}
+          </button>
+        ))}
+      </div>
+      {tipJar.allowCustom && (
+        <form
+          className="tip-jar-custom"
+          onSubmit={e => {
+            e.preventDefault();
+            startCheckout(Math.round(Number(customAmount) * 100));
+          }}
+        >
+          <input
+            type="number"
+            min={1}
+            max={500}
+            step="0.01"
+            value={customAmount}
+            onChange={e => setCustomAmount(e.target.value)}
+            placeholder="Other amount"
+            aria-label="Tip amount"
+          />
+          <button type="submit" className="tip-amount" disabled={pendingAmount !== null || !customAmount}>
+            Tip
+          </button>
+        </form>
+      )}
+      <input
+        type="text"
+        className="tip-jar-field"
+        value={supporterName}
+        onChange={e => setSupporterName(e.target.value)}
+        placeholder="Your name (optional)"
+        maxLength={60}
+      />
+      <textarea
+        className="tip-jar-field"
+        value={message}
+        onChange={e => setMessage(e.target.value)}
+        placeholder="Say something nice (optional)"
+        maxLength={200}
+        rows={2}
+      />
+      {error && <p className="tip-jar-error">{error}</p>}
+    </div>
+  );
+}
+
+export default function PublicProfile({ initialProfile }) {
   const { handle } = useParams();
-  const [profile, setProfile] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const tipStatus = searchParams.get('tip');
+  // Profile rendered by the server for this handle, if any
+  const preloaded = initialProfile?.handle.toLowerCase() === handle.toLowerCase()
+    ? initialProfile
+    : null;
+  const [profile, setProfile] = useState(preloaded);
+  const [loading, setLoading] = useState(!preloaded);
   const [error, setError] = useState(null);
+  const [gatedLink, setGatedLink] = useState(null);
+  const [gatePassword, setGatePassword] = useState('');
+  const [gateError, setGateError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [expandedEmbeds, setExpandedEmbeds] = useState({});
 
   useEffect(() => {
-    fetchProfile();
+    if (preloaded) {
+      setProfile(preloaded);
+      setLoading(false);
+      trackView();
+    } else {
+      fetchProfile();
+    }
   }, [handle]);
 
+  useEffect(() => {
+    if (profile) document.title = profileMeta(profile).title;
+  }, [profile]);
+
+  const trackView = () => {
+    fetch(`${API_URL}/public/${handle}/view`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ referrer: document.referrer })
+    });
+  };
+
   const fetchProfile = async () => {
+    let redirected = false;
     try {
       const response = await fetch(`${API_URL}/public/${handle}`);
       const data = await response.json();
@@ -38,32 +194,91 @@ export default function PublicProfile() {
         return;
       }
       
-      setProfile(data);
+      // Old handle: move to the profile's current URL (keeps loading state)
+      if (data.redirect) {
+        redirected = true;
+        navigate(`/${data.handle}${window.location.search}`, { replace: true });
+        return;
+      }
       
-      // Track page view
-      fetch(`${API_URL}/public/${handle}/view`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ referrer: document.referrer })
-      });
+      setProfile(data);
+      trackView();
     } catch (err) {
       setError({ error: 'Failed to load profile' });
     } finally {
-      setLoading(false);
+      if (!redirected) setLoading(false);
     }
   };
 
-  const handleLinkClick = async (link) => {
-    // Track click
-    await fetch(`${API_URL}/public/click/${link.id}`, {
+  const handleLinkClick = (link) => {
+    // Gated links are unlocked through the modal
+    if (link.gate) {
+      setGatedLink(link);
+      setGatePassword('');
+      setGateError('');
+      return;
+    }
+    
+    // Open straight from the click so popup blockers allow it
+    if (link.url) {
+      window.open(link.url, '_blank', 'noopener,noreferrer');
+    }
+    
+    // Track click (keepalive lets it finish if the page goes away)
+    fetch(`${API_URL}/public/click/${link.id}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ referrer: document.referrer })
+      body: JSON.stringify({ referrer: document.referrer }),
+      keepalive: true
     });
+  };
+
+  // Inline players open in place; the first open counts as a click
+  const toggleEmbed = (link) => {
+    const isOpen = expandedEmbeds[link.id];
+    setExpandedEmbeds(prev => ({ ...prev, [link.id]: !isOpen }));
     
-    // Open link
-    if (link.url) {
-      window.open(link.url, '_blank', 'noopener,noreferrer');
+    if (isOpen === undefined) {
+      fetch(`${API_URL}/public/click/${link.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ referrer: document.referrer })
+      });
+    }
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setGateError('');
+    setUnlocking(true);
+    
+    try {
+      const response = await fetch(`${API_URL}/public/unlock/${gatedLink.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          referrer: document.referrer,
+          confirmed: gatedLink.gate.mode === 'sensitive',
+          password: gatePassword
+        })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        setGateError(data.error || 'Unable to unlock link');
+        return;
+      }
+      
+      setGatedLink(null);
+      // The URL only arrives after the request, when popup blockers no
+      // longer treat a new window as user-initiated - go there instead
+      if (data.url) {
+        window.location.assign(data.url);
+      }
+    } catch (err) {
+      setGateError('Unable to unlock link');
+    } finally {
+      setUnlocking(false);
     }
   };
 
@@ -105,17 +320,47 @@ export default function PublicProfile() {
   const themeClass = profile.theme || 'dark';
 
   return (
-    <div className={`public-profile theme-${themeClass}`}>
+    <div
+      className={`public-profile theme-${themeClass}`}
+      style={themeVariables(profile.activeTheme, profile.fonts)}
+    >
+      {/* Only this profile's fonts; rendered on the server too, so text doesn't reflow */}
+      {profile.fonts && (
+        <style dangerouslySetInnerHTML={{ __html: fontFaceCss([profile.fonts.heading, profile.fonts.body]) }} />
+      )}
+      {/* Premium custom CSS, already sanitized and scoped by the server */}
+      {profile.customCss && <style dangerouslySetInnerHTML={{ __html: profile.customCss }} />}
+
       {/* Background */}
-      <div className="profile-bg">
-        <div className="profile-bg-gradient" />
-        <div className="profile-bg-pattern" />
+      <div className="profile-bg" style={backgroundStyle(profile)}>
+        {!hasCustomBackground(profile) && (
+          <>
+            <div className="profile-bg-gradient" />
+            <div className="profile-bg-pattern" />
+          </>
+        )}
+        <BackgroundMedia profile={profile} />
       </div>
 
       <div className="profile-container">
         {/* Avatar */}
         <div className="profile-avatar-wrapper">
-          {profile.avatarUrl ? (
+          {profile.avatar ? (
+            <picture>
+              <source
+                type="image/webp"
+                srcSet={`${profile.avatar.thumb.webpUrl} 100w, ${profile.avatar.large.webpUrl} 400w`}
+                sizes="96px"
+              />
+              <img
+                src={profile.avatar.large.url}
+                srcSet={`${profile.avatar.thumb.url} 100w, ${profile.avatar.large.url} 400w`}
+                sizes="96px"
+                alt={profile.displayName}
+                className="profile-avatar"
+              />
+            </picture>
+          ) : profile.avatarUrl ? (
             <img 
               src={profile.avatarUrl} 
               alt={profile.displayName} 
@@ -137,6 +382,12 @@ export default function PublicProfile() {
           <p className="profile-bio">{profile.bioDescription}</p>
         )}
 
+        {tipStatus === 'success' && (
+          <div className="tip-banner">
+            <Heart size={16} /> Thank you for your support!
+          </div>
+        )}
+
         {/* Links */}
         <div className="profile-links">
           {profile.links?.map((link, index) => (
@@ -148,6 +399,39 @@ export default function PublicProfile() {
               >
                 {link.title}
               </div>
+            ) : link.type === 'COMMERCE' && link.settings?.tipJar && !link.gate ? (
+              <TipJar
+                key={link.id}
+                link={link}
+                buttonStyle={profile.buttonStyle || 'rounded'}
+                style={{ animationDelay: `${index * 0.05}s` }}
+              />
+            ) : getEmbedPlayer(link.settings?.embed) ? (
+              <div
+                key={link.id}
+                className="link-embed-card"
+                style={{ animationDelay: `${index * 0.05}s` }}
+              >
+                <button
+                  type="button"
+                  onClick={() => toggleEmbed(link)}
+                  className={`link-button ${profile.buttonStyle || 'rounded'}`}
+                  aria-expanded={Boolean(expandedEmbeds[link.id])}
+                >
+                  {link.thumbnailUrl && (
+                    <img 
+                      src={link.thumbnailUrl} 
+                      alt="" 
+                      className="link-thumbnail"
+                    />
+                  )}
+                  <span className="link-title">{link.title}</span>
+                  {expandedEmbeds[link.id] ? <ChevronUp size={16} className="link-arrow" /> : <Play size={16} className="link-arrow" />}
+                </button>
+                {expandedEmbeds[link.id] && (
+                  <EmbedPlayer embed={link.settings.embed} title={link.title} />
+                )}
+              </div>
             ) : (
               <a
                 key={link.id}
@@ -158,7 +442,7 @@ export default function PublicProfile() {
                   e.preventDefault();
                   handleLinkClick(link);
                 }}
-                className={`link-button ${profile.buttonStyle || 'rounded'}`}
+                className={`link-button ${profile.buttonStyle || 'rounded'} ${link.gate ? 'gated' : ''}`}
                 style={{ animationDelay: `${index * 0.05}s` }}
               >
                 {link.thumbnailUrl && (
@@ -169,7 +453,13 @@ export default function PublicProfile() {
                   />
                 )}
                 <span className="link-title">{link.title}</span>
-                <ExternalLink size={16} className="link-arrow" />
+                {link.gate ? (
+                  <span className="link-gate-label">
+                    {link.gate.mode === 'sensitive' ? '18+' : <Lock size={16} />}
+                  </span>
+                ) : (
+                  <ExternalLink size={16} className="link-arrow" />
+                )}
               </a>
             )
           ))}
@@ -204,6 +494,44 @@ export default function PublicProfile() {
           </a>
         )}
       </div>
+
+      {/* Gate modal */}
+      {gatedLink && (
+        <div className="gate-overlay" onClick={() => setGatedLink(null)}>
+          <form className="gate-modal" onSubmit={handleUnlock} onClick={e => e.stopPropagation()}>
+            <button type="button" className="gate-close" onClick={() => setGatedLink(null)}>
+              <X size={18} />
+            </button>
+            
+            {gatedLink.gate.mode === 'sensitive' ? (
+              <>
+                <h2>Sensitive content</h2>
+                <p>This link may contain content that is not suitable for all audiences. Please confirm you are 18 or older to continue.</p>
+              </>
+            ) : (
+              <>
+                <h2><Lock size={18} /> Password required</h2>
+                <p>Enter the password to open "{gatedLink.title}".</p>
+                <input
+                  type="password"
+                  value={gatePassword}
+                  onChange={e => setGatePassword(e.target.value)}
+                  placeholder="Password"
+                  className="gate-input"
+                  autoFocus
+                />
+              </>
+            )}
+            
+            {gateError && <p className="gate-error">{gateError}</p>}
+            
+            <button type="submit" className="gate-submit" disabled={unlocking}>
+              {unlocking && <Loader2 size={16} className="spin" />}
+              {gatedLink.gate.mode === 'sensitive' ? "I'm 18 or older" : 'Unlock'}
+            </button>
+          </form>
+        </div>
+      )}
     </div>
   );
 }
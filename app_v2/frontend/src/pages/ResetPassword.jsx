@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { api } from '../utils/api';
+import { ArrowRight, AlertCircle, Loader2 } from 'lucide-react';
+import './Auth.css';
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    
+    if (!password || !confirmPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+    
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    
+    setLoading(true);
+    
+    try {
+      const response = await api.post('/auth/reset-password', { token, password });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Could not reset password');
+      }
+      
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-bg">
+        <div className="auth-bg-gradient" />
+      </div>
+      
+      <div className="auth-container">
+        <Link to="/" className="auth-logo">
+          <div className="logo-icon">B</div>
+          <span>BioLink</span>
+        </Link>
+        
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="auth-step animate-fade-in">
+            <h1>Choose a new password</h1>
+            
+            {!token ? (
+              <>
+                <div className="auth-error">
+                  <AlertCircle size={18} />
+                  This reset link is invalid or has expired
+                </div>
+                <Link to="/forgot-password" className="btn btn-primary btn-full">
+                  Request a new link
+                </Link>
+              </>
+            ) : (
+              <>
+                <p className="auth-subtitle">You'll be logged out everywhere else</p>
+                
+                <div className="input-group">
+                  <label>New password</label>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Create a strong password"
+                    className="input"
+                    autoFocus
+                  />
+                  <span className="input-hint">
+                    At least 8 characters with uppercase, lowercase and a number
+                  </span>
+                </div>
+                
+                <div className="input-group">
+                  <label>Confirm password</label>
+                  <input
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    placeholder="Repeat your new password"
+                    className="input"
+                  />
+                </div>
+                
+                {error && (
+                  <div className="auth-error">
+                    <AlertCircle size={18} />
+                    {error}
+                  </div>
+                )}
+                
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary btn-full"
+                >
+                  {loading ? (
+                    <>
+                      <Loader2 size={18} className="spin" />
+                      Saving...
+                    </>
+                  ) : (
+                    <>
+                      Reset password
+                      <ArrowRight size={18} />
+                    </>
+                  )}
+                </button>
+              </>
+            )}
+          </div>
+        </form>
+        
+        <p className="auth-footer">
+          Back to <Link to="/login">Log in</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -28,6 +28,7 @@ export default function Signup() {
   const [handle, setHandle] = useState('');
   const [handleStatus, setHandleStatus] = useState(null); // null, 'checking', 'available', 'taken'
   const [handleSuggestions, setHandleSuggestions] = useState([]);
+  const [handleMessage, setHandleMessage] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [category, setCategory] = useState('');
@@ -38,19 +39,23 @@ export default function Signup() {
     setHandle(cleaned);
     setHandleStatus(null);
     setHandleSuggestions([]);
+    setHandleMessage('');
     
     if (cleaned.length < 3) return;
     
     setHandleStatus('checking');
     
     try {
-      const response = await api.get(`/auth/check-handle/${cleaned}`);
+      // Category (if picked already) tailors suggestions, e.g. jane.music
+      const query = category ? `?category=${category}` : '';
+      const response = await api.get(`/auth/check-handle/${cleaned}${query}`);
       const data = await response.json();
       
       if (data.available) {
         setHandleStatus('available');
       } else {
         setHandleStatus('taken');
+        setHandleMessage(data.message || data.error || '');
         setHandleSuggestions(data.suggestions || []);
       }
     } catch (err) {
@@ -144,6 +149,10 @@ export default function Signup() {
                   </div>
                 </div>
                 
+                {handleStatus === 'taken' && handleMessage && (
+                  <p className="input-hint text-error">{handleMessage}</p>
+                )}
+                
                 {handleStatus === 'taken' && handleSuggestions.length > 0 && (
                   <div className="handle-suggestions">
                     <span>Try: </span>
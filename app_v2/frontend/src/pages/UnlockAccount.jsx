@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { api } from '../utils/api';
+import { AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+import './Auth.css';
+
+export default function UnlockAccount() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [error, setError] = useState(token ? '' : 'This unlock link is invalid or has expired');
+  const requested = useRef(false);
+  
+  useEffect(() => {
+    // Tokens are single-use, so only send it once (StrictMode runs effects twice)
+    if (!token || requested.current) return;
+    requested.current = true;
+    unlock();
+  }, [token]);
+  
+  const unlock = async () => {
+    try {
+      const response = await api.post('/auth/unlock-account', { token });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Unlock failed');
+      }
+      
+      setStatus('unlocked');
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-bg">
+        <div className="auth-bg-gradient" />
+      </div>
+      
+      <div className="auth-container">
+        <Link to="/" className="auth-logo">
+          <div className="logo-icon">B</div>
+          <span>BioLink</span>
+        </Link>
+        
+        <div className="auth-form">
+          <div className="auth-step animate-fade-in">
+            <h1>Unlock your account</h1>
+            
+            {status === 'unlocking' && (
+              <p className="auth-subtitle">
+                <Loader2 size={18} className="spin" /> Unlocking your account...
+              </p>
+            )}
+            
+            {status === 'unlocked' && (
+              <div className="auth-success">
+                <CheckCircle size={18} />
+                Your account is unlocked. If you've forgotten your password, reset it before trying again.
+              </div>
+            )}
+            
+            {status === 'error' && (
+              <div className="auth-error">
+                <AlertCircle size={18} />
+                {error}
+              </div>
+            )}
+            
+            {status !== 'unlocking' && (
+              <>
+                <Link to="/login" className="btn btn-primary btn-full">
+                  Log in
+                </Link>
+                {status === 'unlocked' && (
+                  <p className="auth-footer">
+                    <Link to="/forgot-password">Reset password</Link>
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { api } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { AlertCircle, CheckCircle, Loader2 } from 'lucide-react';
+import './Auth.css';
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+  
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [error, setError] = useState(token ? '' : 'This verification link is invalid or has expired');
+  const requested = useRef(false);
+  
+  useEffect(() => {
+    // Tokens are single-use, so only send it once (StrictMode runs effects twice)
+    if (!token || requested.current) return;
+    requested.current = true;
+    verify();
+  }, [token]);
+  
+  const verify = async () => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || 'Verification failed');
+      }
+      
+      setStatus('verified');
+    } catch (err) {
+      setError(err.message);
+      setStatus('error');
+    }
+  };
+  
+  useEffect(() => {
+    if (status === 'verified' && user && !user.emailVerified) {
+      updateUser({ emailVerified: true });
+    }
+  }, [status, user]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-bg">
+        <div className="auth-bg-gradient" />
+      </div>
+      
+      <div className="auth-container">
+        <Link to="/" className="auth-logo">
+          <div className="logo-icon">B</div>
+          <span>BioLink</span>
+        </Link>
+        
+        <div className="auth-form">
+          <div className="auth-step animate-fade-in">
+            <h1>Email verification</h1>
+            
+            {status === 'verifying' && (
+              <p className="auth-subtitle">
+                <Loader2 size={18} className="spin" /> Verifying your email...
+              </p>
+            )}
+            
+            {status === 'verified' && (
+              <div className="auth-success">
+                <CheckCircle size={18} />
+                Your email is verified. You can now publish all your links.
+              </div>
+            )}
+            
+            {status === 'error' && (
+              <div className="auth-error">
+                <AlertCircle size={18} />
+                {error}
+              </div>
+            )}
+            
+            {status !== 'verifying' && (
+              <Link to={user ? '/dashboard' : '/login'} className="btn btn-primary btn-full">
+                {user ? 'Go to dashboard' : 'Log in'}
+              </Link>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -5,11 +5,47 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
-async function request(endpoint, options = {}) {
+// Access tokens live in memory only and expire after 15 minutes.
+// The refresh token is an httpOnly cookie the browser sends to /auth/refresh.
+let accessToken = null;
+let refreshPromise = null;
+let onSessionExpired = null;
+
+export const setAccessToken = (token) => {
+  accessToken = token;
+};
+
+// Called when the session can't be refreshed (logged out elsewhere, expired)
+export const setSessionExpiredHandler = (handler) => {
+  onSessionExpired = handler;
+};
+
+// Get a new access token; concurrent callers share one refresh request
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      credentials: 'include'
+    })
+      .then(async (response) => {
+        const data = response.ok ? await response.json() : null;
+        accessToken = data?.token || null;
+        return accessToken;
+      })
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+async function request(endpoint, options = {}, retry = true) {
   const url = `${API_BASE_URL}${endpoint}`;
-  const token = localStorage.getItem('biolink_token');
+  const token = accessToken;
   
   const config = {
+    credentials: 'include',
     headers: {
       'Content-Type': 'application/json',
       ...(token && { Authorization: `Bearer ${token}` }),
@@ -29,6 +65,16 @@ async function request(endpoint, options = {}) {
   }
   
   const response = await fetch(url, config);
+  
+  // Expired access token: refresh once and replay the request
+  if (response.status === 401 && token && retry) {
+    const refreshed = await refreshAccessToken();
+    if (refreshed) {
+      return request(endpoint, options, false);
+    }
+    onSessionExpired?.();
+  }
+  
   return response;
 }
 
@@ -50,7 +96,10 @@ export const api = {
     body 
   }),
   
-  delete: (endpoint) => request(endpoint, { method: 'DELETE' }),
+  delete: (endpoint, body) => request(endpoint, { 
+    method: 'DELETE', 
+    body 
+  }),
   
   upload: (endpoint, formData) => request(endpoint, {
     method: 'POST',
@@ -0,0 +1,34 @@
+// Profile backgrounds, shared by the public page and the editor preview
+
+export const MEDIA_BACKGROUND_TYPES = ['image', 'video'];
+
+// "linear-gradient(135deg, #aaaaaa, #bbbbbb)" -> ['#aaaaaa', '#bbbbbb']
+export const gradientColors = (value) => {
+  const match = value?.match(/^linear-gradient\(\d+deg, (#[0-9a-f]{6}), (#[0-9a-f]{6})\)$/i);
+  return match ? [match[1], match[2]] : null;
+};
+
+export const toGradient = (colors) => `linear-gradient(135deg, ${colors.join(', ')})`;
+
+// The creator's color or gradient. Undefined keeps the theme's background.
+export const backgroundStyle = (profile) => (
+  profile?.backgroundColor ? { background: profile.backgroundColor } : undefined
+);
+
+// Uploaded image or video to draw over the colors, or null
+export const backgroundMedia = (profile) => {
+  if (!profile?.backgroundUrl || !MEDIA_BACKGROUND_TYPES.includes(profile.backgroundType)) {
+    return null;
+  }
+  return {
+    type: profile.backgroundType,
+    url: profile.backgroundUrl,
+    // Sizes for srcset (public profile only)
+    variants: profile.backgroundImage || null,
+    blur: profile.backgroundBlur || 0,
+    dim: profile.backgroundDim || 0
+  };
+};
+
+// Whether a profile draws anything other than its theme's background
+export const hasCustomBackground = (profile) => Boolean(profile?.backgroundColor || backgroundMedia(profile));
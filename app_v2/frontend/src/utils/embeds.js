@@ -0,0 +1,46 @@
+/**
+ * Embed Players
+ * Builds iframe sources for MUSIC and VIDEO links from the
+ * normalized embed settings stored by the backend.
+ */
+
+// `valid` guards ids that go straight into the iframe path
+const PLAYERS = {
+  youtube: {
+    src: ({ id }) => `https://www.youtube-nocookie.com/embed/${id}`,
+    valid: ({ id }) => /^[\w-]{11}$/.test(id),
+    aspect: 'video'
+  },
+  vimeo: {
+    src: ({ id }) => `https://player.vimeo.com/video/${id}`,
+    valid: ({ id }) => /^\d+$/.test(id),
+    aspect: 'video'
+  },
+  spotify: { src: ({ kind, id }) => `https://open.spotify.com/embed/${kind}/${id}`, height: 152 },
+  soundcloud: {
+    src: ({ id }) => `https://w.soundcloud.com/player/?url=${encodeURIComponent(`https://soundcloud.com/${id}`)}&visual=false`,
+    height: 166
+  },
+  apple: { src: ({ id }) => `https://embed.music.apple.com/${id}`, height: 175 }
+};
+
+export const PROVIDER_NAMES = {
+  youtube: 'YouTube',
+  vimeo: 'Vimeo',
+  spotify: 'Spotify',
+  soundcloud: 'SoundCloud',
+  apple: 'Apple Music'
+};
+
+// Provider hint shown in the link editor
+export const SUPPORTED_PROVIDERS = {
+  MUSIC: ['spotify', 'soundcloud', 'apple'],
+  VIDEO: ['youtube', 'vimeo']
+};
+
+// Returns { src, aspect?, height? } or null for unknown providers
+export function getEmbedPlayer(embed) {
+  const player = embed && PLAYERS[embed.provider];
+  if (!player || (player.valid && !player.valid(embed))) return null;
+  return { src: player.src(embed), aspect: player.aspect, height: player.height };
+}
@@ -0,0 +1,73 @@
+// Profile fonts: @font-face rules for the self-hosted font files and the
+// font stacks used by the public page and preview. Metadata (weights,
+// category, fallback) comes from the server's registry.
+
+import { api } from './api';
+
+// Latin subset, normal style, in the weights the registry lists. Vite
+// copies these into the build; a page only references the faces its
+// fonts need and browsers only download the ones text is drawn with.
+const FONT_FILES = import.meta.glob(
+  '/node_modules/@fontsource/*/files/*-latin-{400,500,600,700}-normal.woff2',
+  { query: '?url', import: 'default', eager: true, exhaustive: true }
+);
+
+const DEFAULT_FONT = 'Inter';
+
+// "Playfair Display" -> "playfair-display", the @fontsource package name
+const fontSlug = (id) => id.toLowerCase().replace(/\s+/g, '-');
+
+export const fontFile = (font, weight) => {
+  const slug = fontSlug(font.id);
+  return FONT_FILES[`/node_modules/@fontsource/${slug}/files/${slug}-latin-${weight}-normal.woff2`] || null;
+};
+
+export const fontStack = (font) => `'${font.id}', ${font.fallback}`;
+
+// @font-face rules for the given fonts (duplicates are skipped)
+export const fontFaceCss = (fonts) => {
+  const unique = [...new Map(fonts.filter(Boolean).map(font => [font.id, font])).values()];
+
+  return unique.flatMap(font => font.weights
+    .filter(weight => fontFile(font, weight))
+    .map(weight => `@font-face{font-family:'${font.id}';font-style:normal;font-weight:${weight};font-display:swap;src:url(${fontFile(font, weight)}) format('woff2');}`)
+  ).join('\n');
+};
+
+// The weight a browser would pick for `weight` from those the font has
+const closestWeight = (font, weight) => (
+  font.weights.reduce((best, w) => (Math.abs(w - weight) < Math.abs(best - weight) ? w : best))
+);
+
+// Files to preload for a server-rendered page: regular body text and
+// semibold headings, the faces needed for the first paint
+export const preloadFontFiles = (fonts) => {
+  const files = [
+    fontFile(fonts.body, closestWeight(fonts.body, 400)),
+    fontFile(fonts.heading, closestWeight(fonts.heading, 600))
+  ];
+  return [...new Set(files.filter(Boolean))];
+};
+
+// Heading and body fonts for a profile (mirrors resolveFonts in the
+// server's lib/fonts.js, for the editor preview)
+export const profileFonts = (profile, registry) => {
+  const find = (id) => registry.find(font => font.id === id);
+  const body = find(profile?.fontFamily) || find(profile?.activeTheme?.fontFamily) || find(DEFAULT_FONT);
+  if (!body) return null;
+  return { heading: find(profile?.headingFont) || body, body };
+};
+
+let registryRequest = null;
+
+// The font registry, fetched once per page load
+export const loadFonts = () => {
+  registryRequest ||= api.get('/profile/fonts')
+    .then(response => (response.ok ? response.json() : []))
+    .catch(error => {
+      console.error('Error fetching fonts:', error);
+      registryRequest = null;
+      return [];
+    });
+  return registryRequest;
+};
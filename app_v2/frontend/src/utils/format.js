@@ -0,0 +1,21 @@
+/**
+ * Formatting helpers
+ * Uses the browser locale (knowledge base: store UTC, display locally)
+ */
+
+// Format an amount in cents, e.g. 500 -> "$5.00"
+export function formatMoney(cents, currency = 'usd') {
+  return new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format((cents || 0) / 100);
+}
+
+// Format a file size, e.g. 1536 -> "1.5 KB"
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
@@ -0,0 +1,12 @@
+// Title, description and preview image for a public profile. Used for the
+// server-rendered head tags and the document title in the browser.
+export const profileMeta = (profile) => {
+  const name = profile.displayName || `@${profile.handle}`;
+  
+  return {
+    title: profile.metaTitle || `${name} | BioLink`,
+    description: profile.metaDescription || profile.bioDescription || `Check out ${name}'s links on BioLink.`,
+    // Generated 1200x630 share image (see /api/public/:handle/og.png)
+    image: profile.ogImageUrl || null
+  };
+};
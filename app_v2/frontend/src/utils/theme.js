@@ -0,0 +1,89 @@
+// Profile themes: CSS variables for the public page and preview, and the
+// WCAG contrast check shown in the theme editor (mirrors lib/themes.js
+// on the server)
+
+import { fontStack } from './fonts';
+
+export const WCAG_AA_RATIO = 4.5;
+
+const parseHex = (hex) => ({
+  r: parseInt(hex.slice(1, 3), 16),
+  g: parseInt(hex.slice(3, 5), 16),
+  b: parseInt(hex.slice(5, 7), 16),
+  a: hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1
+});
+
+const toHexByte = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+// "#rrggbb" + opacity (0-1) -> "#rrggbbaa"; fully opaque stays "#rrggbb"
+export const withOpacity = (hex, opacity) => (
+  opacity >= 1 ? hex.slice(0, 7) : `${hex.slice(0, 7)}${toHexByte(opacity * 255)}`
+);
+
+export const opacityOf = (hex) => parseHex(hex).a;
+
+// Hover state for buttons: translucent fills get a little more opaque
+const hoverColor = (hex) => {
+  const { a } = parseHex(hex);
+  return a < 1 ? withOpacity(hex, Math.min(1, a + 0.08)) : hex;
+};
+
+// Variables read by PublicProfile.css and ProfilePreview.css. `fonts` is
+// the profile's { heading, body } from the font registry; until it's
+// known the theme's font is used for both.
+export const themeVariables = (theme, fonts) => {
+  if (!theme) return undefined;
+  const fallback = `'${theme.fontFamily}', -apple-system, BlinkMacSystemFont, sans-serif`;
+
+  return {
+    '--profile-bg': theme.backgroundColor,
+    '--profile-text': theme.textColor,
+    '--profile-text-secondary': withOpacity(theme.textColor, opacityOf(theme.textColor) * 0.7),
+    '--profile-card': theme.buttonColor,
+    '--profile-card-hover': hoverColor(theme.buttonColor),
+    '--profile-border': theme.buttonBorderColor,
+    '--profile-button-text': theme.buttonTextColor,
+    '--profile-button-shadow': theme.buttonShadowColor,
+    '--profile-radius': `${theme.cornerRadius}px`,
+    '--font-body': fonts ? fontStack(fonts.body) : fallback,
+    '--font-heading': fonts ? fontStack(fonts.heading) : fallback
+  };
+};
+
+// A translucent color as it appears over an opaque one
+const blend = (top, bottom) => ({
+  r: top.r * top.a + bottom.r * (1 - top.a),
+  g: top.g * top.a + bottom.g * (1 - top.a),
+  b: top.b * top.a + bottom.b * (1 - top.a),
+  a: 1
+});
+
+const luminance = ({ r, g, b }) => {
+  const [R, G, B] = [r, g, b].map(value => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+};
+
+const contrastRatio = (a, b) => {
+  const [lighter, darker] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Text on the background and button text on buttons, worst gradient stop
+export const checkContrast = (theme) => {
+  const stops = (theme.backgroundColor.match(/#[0-9a-f]{6}/gi) || ['#000000']).map(parseHex);
+  const worst = (ratios) => Math.round(Math.min(...ratios) * 100) / 100;
+
+  const text = worst(stops.map(bg => contrastRatio(blend(parseHex(theme.textColor), bg), bg)));
+  const button = worst(stops.map(bg => {
+    const fill = blend(parseHex(theme.buttonColor), bg);
+    return contrastRatio(blend(parseHex(theme.buttonTextColor), fill), fill);
+  }));
+
+  return {
+    text: { ratio: text, passesAA: text >= WCAG_AA_RATIO },
+    button: { ratio: button, passesAA: button >= WCAG_AA_RATIO }
+  };
+};